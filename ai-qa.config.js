@@ -0,0 +1,78 @@
+/**
+ * ai-qa configuration
+ *
+ * Read by every ai-qa command (and by generate_test.js, debug_test.js, run_tests.js and report.js).
+ * The values below are the defaults; delete any you do not change. Command-line flags and
+ * environment variables (AI_QA_PROVIDER, AI_QA_MODEL, AI_QA_HISTORY, ...) override this file.
+ * Run `ai-qa config` to check it and see the settings in effect.
+ */
+module.exports = {
+  paths: {
+    inputDir: 'test-inputs',
+    outputDir: 'playwright-tests',
+    manifest: 'playwright-tests/.ai-qa-manifest.json',
+    history: '.ai-qa/history.jsonl'
+  },
+
+  provider: {
+    // perplexity, openai, gemini or mock (null: $AI_QA_PROVIDER, else perplexity)
+    name: null,
+    // null: $AI_QA_MODEL, else the provider default
+    model: null,
+    baseURL: null,
+    temperature: 0.2,
+    // Response token limits per request type
+    maxTokens: {
+      generate: 2000,
+      pageObjects: 3000,
+      heal: 3000,
+      update: 3000,
+      describe: 1500
+    },
+    // Per-request timeout; timed-out, rate-limited (429) and 5xx requests are retried up to
+    // maxRetries times with exponential backoff, honouring Retry-After
+    timeoutMs: 60000,
+    maxRetries: 4,
+    // Requests in flight at once per provider, across parallel generation and healing
+    maxConcurrent: 4,
+    // Model context window in tokens (null: known for common models, else 8192); prompts are
+    // trimmed to fit it next to maxTokens
+    contextWindow: null
+  },
+
+  generate: {
+    concurrency: 3,
+    // Attempts per spec when the generated code fails validation
+    maxRetries: 3,
+    // Spec language: js (.spec.js) or ts (.spec.ts, type-checked against tsconfig.json)
+    lang: 'js',
+    pom: false,
+    explore: false,
+    baseURL: null
+  },
+
+  heal: {
+    // Repair attempts per failing spec in `ai-qa run`
+    maxAttempts: 3,
+    backup: true,
+    force: false,
+    allowWeakening: false
+  },
+
+  // Template files replacing the built-in prompts in prompts/ (null: built-in), and a folder of
+  // known-good *.spec.js files shown to the model as examples; see lib/prompts.js
+  prompts: {
+    generate: null,
+    pageObjects: null,
+    heal: null,
+    update: null,
+    describe: null,
+    examples: null
+  },
+
+  // Deployments the suite runs against (`ai-qa run --env <name>`, or QA_ENV=<name> npx playwright test).
+  // credentials maps each variable the specs read to the variable holding it for that environment,
+  // so secrets stay out of this file; see lib/environments.js
+  // e.g. staging: { baseURL: 'https://staging.example.com', credentials: { QA_PASSWORD: 'STAGING_QA_PASSWORD' } }
+  environments: {}
+};
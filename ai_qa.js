@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * ai_qa.js
+ *
+ * Purpose:
+ *  - Single entry point for the framework, installed as the `ai-qa` command
+ *  - Dispatches subcommands to the scripts that implement them:
+ *      generate → generate_test.js   (descriptions → Playwright specs)
+ *      update   → generate_test.js --update (edit specs whose description changed)
+ *      describe → describe_test.js   (hand-written specs → descriptions, verified by regenerating)
+ *      record   → record_test.js     (browser session → description and spec)
+ *      heal     → debug_test.js      (repair one failing test, patches, rollback, ledger)
+ *      run      → run_tests.js       (run the suite and heal failing specs)
+ *      report   → report.js          (history summary)
+ *      config   → print the resolved configuration after validation
+ *
+ * Usage:
+ *  ai-qa <command> [options]
+ *  ai-qa generate --module module-A --config ./ai-qa.config.js
+ *  ai-qa <command> --help
+ *
+ * Notes:
+ *  - Every command reads ai-qa.config.js (or ai-qa.config.json) from the working directory, or the
+ *    file given with --config; see lib/config.js for the settings
+ *  - The scripts still run on their own (node generate_test.js ...) with the same flags
+ */
+
+// -------------------------------
+// Configuration and Imports
+// -------------------------------
+const { loadCommandConfig } = require('./lib/cli');
+
+// Subcommand → { description, run(argv) }; modules load on demand so `ai-qa report` stays fast
+const COMMANDS = {
+  generate: {
+    description: 'Generate Playwright specs from test descriptions',
+    run: argv => require('./generate_test').generateTest(argv)
+  },
+  update: {
+    description: 'Edit existing specs to match changed descriptions, keeping fixes made since',
+    run: argv => require('./generate_test').generateTest([...argv, '--update'])
+  },
+  describe: {
+    description: 'Write descriptions for hand-written specs so they can be updated and regenerated',
+    run: argv => require('./describe_test').main(argv)
+  },
+  record: {
+    description: 'Record a test in a browser and write its description and spec',
+    run: argv => require('./record_test').main(argv)
+  },
+  heal: {
+    description: 'Repair a failing test from its error log, or write, apply and roll back fixes',
+    run: argv => require('./debug_test').main(argv)
+  },
+  run: {
+    description: 'Run the suite and heal failing specs',
+    run: argv => require('./run_tests').main(argv)
+  },
+  report: {
+    description: 'Summarise generation and healing history',
+    run: argv => require('./report').main(argv)
+  },
+  config: {
+    description: 'Validate the config file and print the resolved settings',
+    run: printConfig
+  }
+};
+
+// -------------------------------
+// Commands
+// -------------------------------
+function printHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  console.log(`
+Usage: ai-qa <command> [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, { description }]) => `  ${name.padEnd(width)}  ${description}`).join('\n')}
+
+Options:
+  --config <path>  Config file (default: ai-qa.config.js or ai-qa.config.json when present)
+  -h, --help       Display this help message (ai-qa <command> --help for command options)
+
+Examples:
+  ai-qa generate --module module-A
+  ai-qa update --module module-A --dry-run
+  ai-qa describe playwright-tests/module-A/checkout.spec.js
+  ai-qa record --module module-A --name checkout --url http://localhost:3000/
+  ai-qa run playwright-tests/module-A --max-attempts 5
+  ai-qa heal --test ./playwright-tests/login.spec.js --report
+  ai-qa report --out .ai-qa/report.html
+`);
+}
+
+/**
+ * Prints the configuration every command would use
+ * @param {string[]} argv - Process arguments (node, script, then the command's options)
+ */
+function printConfig(argv) {
+  try {
+    const config = loadCommandConfig(argv);
+    console.log(`# ${config.file ? `Loaded from ${config.file}` : 'No config file found, using defaults'}`);
+    const { file, ...settings } = config;
+    console.log(JSON.stringify(settings, null, 2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// -------------------------------
+// Main Function
+// -------------------------------
+async function main(argv = process.argv) {
+  const [command, ...rest] = argv.slice(2);
+
+  if (!command || command === '-h' || command === '--help') {
+    printHelp();
+    process.exit(command ? 0 : 1);
+  }
+
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command: ${command}`);
+    printHelp();
+    process.exit(1);
+  }
+
+  // Subcommands parse argv like the scripts do: node and the script first, then their options
+  await COMMANDS[command].run([argv[0], argv[1], ...rest]);
+}
+
+// -------------------------------
+// Execute Main
+// -------------------------------
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  COMMANDS,
+  main
+};
@@ -3,17 +3,45 @@
  * debug_test.js
  *
  * Purpose:
- *  - Read a failed Playwright/Jest test file and its error log
- *  - Send both as context to Perplexity API to request a corrected test script
- *  - Overwrite the original test file with the LLM-corrected code
+ *  - Read a failed Playwright/Jest test file and its error log, and/or Playwright's JSON report
+ *    (failing step, failed locator, stack lines and page snapshot; see lib/failure_context.js)
+ *  - Classify each failure first (see lib/failure_classifier.js): only failures caused by the
+ *    test are sent for repair; the rest are reported as likely application bugs
+ *  - Send both as context to the configured LLM provider to request a corrected test script
+ *  - When the test imports local helpers, Playwright fixtures or page objects (see
+ *    lib/spec_dependencies.js), send them too and accept fixes to any of them, so a broken helper
+ *    or selector is fixed once where it lives instead of worked around in the test
+ *  - Write multi-file fixes atomically: every file is backed up and replaced, or none is
+ *  - Compare the corrected script with the original by AST and reject fixes that remove tests or
+ *    assertions or weaken matchers (see lib/assertion_guard.js); for .spec.ts tests, also reject
+ *    fixes that drop types or do not type-check against tsconfig.json
+ *  - Overwrite the original test file with the LLM-corrected code, or write the fix as a
+ *    reviewable unified diff (--patch) that can be applied later (--apply)
+ *  - Roll a test file, and the files it imports that the same fix changed, back to their
+ *    timestamped backups (--rollback)
+ *  - Turn heals recorded by the runtime self-healing locators into patches with permanent
+ *    selector updates (--from-ledger; see lib/self_healing.js)
+ *  - Record every repair in the history store for `node report.js` (see lib/history.js)
  *
  * Usage:
+ *  ai-qa heal [options]  (or: node debug_test.js [options])
  *  node debug_test.js --test ./playwright-tests/example.spec.ts --log ./test-inputs/last_failure.log [--backup]
+ *  node debug_test.js --test ./playwright-tests/example.spec.ts --report ./test-results/results.json
+ *  node debug_test.js --test ./playwright-tests/example.spec.ts --log ./test-inputs/last_failure.log --patch
+ *  node debug_test.js --apply ./playwright-tests/example.spec.ts.heal.patch
+ *  node debug_test.js --test ./playwright-tests/example.spec.ts --rollback [--to <timestamp>]
+ *  node debug_test.js --from-ledger [./.ai-qa/heal-ledger.jsonl] [--test ./playwright-tests/example.spec.ts]
  *
  * Notes:
  *  - This script is modular with clear functions and robust error handling
- *  - Requires Perplexity API key in environment variable PERPLEXITY_API_KEY
+ *  - Requires an LLM provider configured through AI_QA_PROVIDER (see lib/llm_provider.js),
+ *    e.g. PERPLEXITY_API_KEY for the default Perplexity provider
  *  - Safe by default: creates a timestamped backup unless --no-backup is provided
+ *  - Defaults for --backup, --force and --allow-weakening, the provider and its sampling parameters
+ *    come from ai-qa.config.js (see lib/config.js)
+ *  - Exits with code 2, without touching the test, when every failure is classified as a
+ *    likely application bug (--force repairs it anyway), or when every failure is a screenshot
+ *    that differs from its baseline: that is fixed by updating the baseline, which is proposed
  */
 
 // -------------------------------
@@ -21,79 +49,133 @@
 // -------------------------------
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
 const { promisify } = require('util');
+const Diff = require('diff');
+const { createProvider } = require('./lib/llm_provider');
+const { getConfig, completionParams } = require('./lib/config');
+const { buildPrompt, moduleOf } = require('./lib/prompts');
+const { parseArgs: parseOptions, loadCommandConfig } = require('./lib/cli');
+const { DEFAULT_REPORT_FILE, loadJsonReport, buildFailureContext, formatFailureContext, formatSnapshots, formatErrorLog } = require('./lib/failure_context');
+const { CATEGORY, classifyFailures, formatClassifications } = require('./lib/failure_classifier');
+const { checkHealedSpec, formatGuardReport } = require('./lib/assertion_guard');
+const { extractFileBlocks } = require('./lib/page_objects');
+const { listLocalImports, findSpecDependencies } = require('./lib/spec_dependencies');
+const { LANGUAGES, specLanguage, typeCheckSpec } = require('./lib/code_validator');
+const { DEFAULT_LEDGER_FILE, readLedger } = require('./lib/self_healing');
+const { groupLedgerBySpec, applyHealsToSource } = require('./lib/selector_updates');
+const { recordEvent, trackPrompts, diffStats } = require('./lib/history');
 const readFile = promisify(fs.readFile);
 const writeFile = promisify(fs.writeFile);
 const copyFile = promisify(fs.copyFile);
 const access = promisify(fs.access);
+const unlink = promisify(fs.unlink);
+const rename = promisify(fs.rename);
 
-/**
- * Perplexity API Configuration
- * API Endpoint: https://api.perplexity.ai/chat/completions
- * Recommended Model: mistral-7b-instruct
- * Set the PERPLEXITY_API_KEY environment variable with your API key
- */
-const PERPLEXITY_API_KEY = process.env.PERPLEXITY_API_KEY || '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';
+// Suffix of patch files written by --patch when no path is given
+const PATCH_SUFFIX = '.heal.patch';
 
-if (!PERPLEXITY_API_KEY) {
-  console.error('Error: PERPLEXITY_API_KEY environment variable is not set');
-  process.exit(1);
-}
-
-// Perplexity API endpoint
-const PERPLEXITY_API_URL = 'https://api.perplexity.ai/chat/completions';
+// Numbered instructions prompts/heal.md lists before {{outputInstructions}}
+const HEAL_FIXED_INSTRUCTIONS = 5;
 
 // -------------------------------
 // CLI Argument Parsing
 // -------------------------------
+const OPTIONS = {
+  '--test': { key: 'testPath', type: 'string' },
+  '--log': { key: 'logPath', type: 'string' },
+  '--report': { key: 'reportPath', type: 'optional', fallback: DEFAULT_REPORT_FILE },
+  '--backup': { key: 'backup', type: 'boolean' },
+  '--no-backup': { key: 'backup', type: 'boolean', value: false },
+  '--dry-run': { key: 'dryRun', type: 'boolean' },
+  '--force': { key: 'force', type: 'boolean' },
+  '--allow-weakening': { key: 'allowWeakening', type: 'boolean' },
+  // Optional output path: only consumed when the next argument is not another flag
+  '--patch': { key: 'patch', type: 'optional', fallback: true },
+  '--apply': { key: 'applyPath', type: 'string' },
+  '--rollback': { key: 'rollback', type: 'boolean' },
+  '--to': { key: 'rollbackTo', type: 'string' },
+  '--from-ledger': { key: 'ledgerPath', type: 'optional', fallback: DEFAULT_LEDGER_FILE },
+  '--provider': { key: 'provider', type: 'string' },
+  '--model': { key: 'model', type: 'string' },
+  '-h': { key: 'help', type: 'boolean' },
+  '--help': { key: 'help', type: 'boolean' }
+};
+
 function parseArgs(argv) {
-  const args = { backup: true };
-  for (let i = 2; i < argv.length; i++) {
-    const a = argv[i];
-    if (a === '--test') args.testPath = argv[++i];
-    else if (a === '--log') args.logPath = argv[++i];
-    else if (a === '--backup') args.backup = true;
-    else if (a === '--no-backup') args.backup = false;
-    else if (a === '--dry-run') args.dryRun = true;
-    else if (a === '-h' || a === '--help') args.help = true;
-    else {
-      console.warn(`Unknown argument: ${a}`);
-    }
-  }
-  return args;
+  const { heal } = getConfig();
+  return parseOptions(argv, OPTIONS, { backup: heal.backup, force: heal.force, allowWeakening: heal.allowWeakening });
 }
 
 function printHelp() {
   console.log(`
-Usage: node debug_test.js --test <test-file> --log <error-log> [OPTIONS]
+Usage: ai-qa heal --test <test-file> --log <error-log> [OPTIONS]
+       node debug_test.js --test <test-file> --log <error-log> [OPTIONS]
+       node debug_test.js --apply <patch-file> [--no-backup]
+       node debug_test.js --test <test-file> --rollback [--to <timestamp>]
+       node debug_test.js --from-ledger [ledger-file] [--test <test-file>]
 
 Options:
-  --test <path>       Path to the failing test file (required)
-  --log <path>        Path to the error log file (required)
+  --test <path>       Path to the failing test file (required unless --apply or --from-ledger)
+  --log <path>        Path to the error log file (--log or --report is required when healing)
+  --report [path]     Read failure context from a Playwright JSON report
+                      (default path: ${DEFAULT_REPORT_FILE}, written by playwright.config.js)
   --backup            Create a timestamped backup of the test file (default: true)
   --no-backup         Do not create a backup before overwriting
   --dry-run           Print the corrected code without writing to file
+  --force             Also repair failures classified as likely application bugs
+  --allow-weakening   Write fixes that remove tests or assertions or weaken matchers
+                      (they are rejected by default)
+  --patch [path]      Write the fix as a unified diff instead of overwriting the test
+                      (default path: <test-file>${PATCH_SUFFIX})
+  --apply <path>      Apply a patch written by --patch to the file it names
+  --rollback          Restore the test file from its most recent timestamped backup
+  --to <timestamp>    With --rollback, restore the backup with this timestamp instead
+  --from-ledger [path] Write a ${PATCH_SUFFIX} per spec replacing locators healed at runtime
+                      (default path: ${DEFAULT_LEDGER_FILE}; --test limits it to one spec)
+  --provider <name>   LLM provider: perplexity, openai, gemini or mock (default: $AI_QA_PROVIDER or perplexity)
+  --model <name>      Model name for the provider (default: $AI_QA_MODEL or the provider default)
+  --config <path>     Config file (default: ai-qa.config.js or ai-qa.config.json when present)
   -h, --help          Display this help message
 
-Example:
+Examples:
   node debug_test.js --test ./playwright-tests/login.spec.js --log ./test-inputs/error.log
+  node debug_test.js --test ./playwright-tests/login.spec.js --log ./test-inputs/error.log --patch
+  node debug_test.js --apply ./playwright-tests/login.spec.js${PATCH_SUFFIX}
+  node debug_test.js --test ./playwright-tests/login.spec.js --rollback --to 2024-01-31T09-15-00
+  node debug_test.js --from-ledger
 `);
 }
 
 // -------------------------------
 // Main Function
 // -------------------------------
-async function main() {
-  const args = parseArgs(process.argv);
+async function main(argv = process.argv) {
+  let args;
+  try {
+    loadCommandConfig(argv);
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
 
   if (args.help) {
     printHelp();
     process.exit(0);
   }
 
-  if (!args.testPath || !args.logPath) {
-    console.error('Error: Both --test and --log are required.');
+  const healing = !args.applyPath && !args.rollback && !args.ledgerPath;
+  if ([args.applyPath, args.rollback, args.ledgerPath].filter(Boolean).length > 1) {
+    console.error('Error: --apply, --rollback and --from-ledger cannot be combined.');
+    process.exit(1);
+  }
+  if (!args.applyPath && !args.ledgerPath && !args.testPath) {
+    console.error('Error: --test is required.');
+    printHelp();
+    process.exit(1);
+  }
+  if (healing && !args.logPath && !args.reportPath) {
+    console.error('Error: --test and one of --log or --report are required.');
     printHelp();
     process.exit(1);
   }
@@ -103,33 +185,145 @@ async function main() {
   console.log('===================================\n');
 
   try {
+    if (args.applyPath) {
+      const targetPaths = await applyPatchFile(args.applyPath, { backup: args.backup });
+      console.log(`\n✓ Patch applied to ${targetPaths.join(', ')}`);
+      recordEvent({ type: 'heal', source: 'patch', spec: targetPaths[0], files: targetPaths, outcome: 'applied' });
+      return;
+    }
+
+    if (args.ledgerPath) {
+      const patchPaths = await writeLedgerPatches(args.ledgerPath, { testPath: args.testPath });
+      if (patchPaths.length === 0) {
+        console.log(`\nNo selector updates to propose from ${args.ledgerPath}`);
+      } else {
+        console.log(`\n✓ ${patchPaths.length} patch(es) written. Review them, then apply with: node debug_test.js --apply <patch>`);
+      }
+      return;
+    }
+
+    if (args.rollback) {
+      const backupPaths = await rollbackTestFile(args.testPath, { timestamp: args.rollbackTo });
+      console.log(`\n✓ Restored ${backupPaths.length} file(s) from ${backupPaths.join(', ')}`);
+      return;
+    }
+
     // Read test file and error log
     console.log(`Reading test file: ${args.testPath}`);
     const testContent = await safeReadFile(args.testPath);
-    console.log(`Reading error log: ${args.logPath}`);
-    const errorLog = await safeReadFile(args.logPath);
-
-    // Call Perplexity API to fix the test
-    console.log('\nSending to Perplexity API for correction...');
-    const correctedTest = await callPerplexityAPI(testContent, errorLog);
+    let failureContext = [];
+    if (args.reportPath) {
+      console.log(`Reading Playwright report: ${args.reportPath}`);
+      failureContext = buildFailureContext(loadJsonReport(args.reportPath), args.testPath);
+      if (failureContext.length === 0) {
+        console.warn(`Warning: the report has no failing tests for ${args.testPath}`);
+      }
+    }
 
-    if (args.dryRun) {
-      console.log('\n--- Corrected Test (Dry Run) ---');
-      console.log(correctedTest);
-      console.log('--- End of Corrected Test ---\n');
+    let errorLog;
+    if (args.logPath) {
+      console.log(`Reading error log: ${args.logPath}`);
+      errorLog = await safeReadFile(args.logPath);
+    } else if (failureContext.length > 0) {
+      errorLog = formatErrorLog(failureContext);
     } else {
-      // Backup original test file if needed
-      if (args.backup) {
-        const backupPath = createBackupPath(args.testPath);
-        console.log(`Creating backup: ${backupPath}`);
-        await copyFile(args.testPath, backupPath);
+      throw new Error(`Nothing to fix: no error log given and no failures for ${args.testPath} in the report`);
+    }
+
+    // Only failures caused by the test itself are sent for repair
+    const classifications = classifyFailures(failureContext, errorLog);
+    console.log(`\nFailure classification:\n${formatClassifications(classifications)}`);
+
+    const categories = [...new Set(classifications.map(entry => entry.category))];
+    const visual = classifications.filter(entry => entry.category === CATEGORY.VISUAL_DIFF);
+    if (visual.length === classifications.length) {
+      recordEvent({ type: 'heal', source: 'debug', spec: args.testPath, categories, outcome: 'baseline-proposed' });
+      console.error('\n✗ Not healing: the page looks different from its baseline screenshot(s).');
+      visual.flatMap(entry => (entry.failure ? entry.failure.images : []))
+        .forEach(image => console.error(`  ${image.name}: ${image.path}`));
+      console.error(`  If the change is intended, update the baseline: npx playwright test ${args.testPath} --update-snapshots`);
+      console.error(`  (or: ai-qa run ${args.testPath} --update-baselines)`);
+      process.exit(2);
+    }
+    // Screenshot diffs are never sent for repair, even with --force
+    const unhealable = classifications.filter(entry => !entry.healable && (!args.force || entry.category === CATEGORY.VISUAL_DIFF));
+    if (unhealable.length === classifications.length) {
+      recordEvent({ type: 'heal', source: 'debug', spec: args.testPath, categories, outcome: 'app-bug' });
+      console.error('\n✗ Not healing: every failure looks like an application or environment problem.');
+      console.error('  Investigate the application, or re-run with --force to repair the test anyway.');
+      process.exit(2);
+    }
+    if (unhealable.length > 0) {
+      console.warn(`\nSkipping ${unhealable.length} failure(s) reported as likely application bugs or visual changes`);
+      failureContext = classifications.filter(entry => !unhealable.includes(entry)).map(entry => entry.failure);
+      if (!args.logPath) {
+        errorLog = formatErrorLog(failureContext);
       }
+    }
 
-      // Write corrected test back to the original file
-      console.log(`Writing corrected test to: ${args.testPath}`);
-      await writeFile(args.testPath, correctedTest, 'utf8');
+    // Ask the LLM provider to fix the test
+    const provider = trackPrompts(createProvider({ provider: args.provider, model: args.model }));
+    console.log(`\nSending to ${provider.label} (${provider.model}) for correction...`);
+    const changes = await requestRepair(args.testPath, testContent, errorLog, provider, failureContext);
+    if (changes.length === 0) {
+      throw new Error('The model returned no changes');
+    }
+    const specChange = changes.find(change => isSameFile(change.file, args.testPath));
+    const record = outcome => recordEvent({
+      type: 'heal',
+      source: 'debug',
+      spec: args.testPath,
+      categories,
+      promptHash: provider.promptHashes[provider.promptHashes.length - 1],
+      model: `${provider.name}/${provider.model}`,
+      diff: diffStats(changes),
+      outcome
+    });
+
+    // Make sure the fix still tests what the original tested (and keeps its types), in every file it changes
+    const guard = guardChanges(changes);
+    if (guard.report) {
+      console.log(`\nAssertion guard:\n${guard.report}`);
+    }
+    if (guard.errors.length > 0 && !args.allowWeakening && !args.dryRun) {
+      record('rejected');
+      throw new Error('Fix rejected: it removes or weakens what the test checks. Re-run with --allow-weakening to write it anyway.');
+    }
 
-      console.log('\n✓ Test file successfully updated!');
+    const typeErrors = await typeCheckChanges(changes);
+    if (typeErrors.length > 0) {
+      console.log(`\nType check:\n✗ ${typeErrors.join('\n✗ ')}`);
+      if (!args.dryRun) {
+        record('rejected');
+        throw new Error('Fix rejected: the corrected files do not type-check. Re-run with --dry-run to inspect them.');
+      }
+    }
+
+    if (args.dryRun) {
+      for (const change of changes) {
+        const label = change === specChange ? 'Corrected Test' : `Corrected ${change.file}`;
+        console.log(`\n--- ${label} (Dry Run) ---`);
+        console.log(change.corrected);
+        console.log(`--- End of ${label} ---\n`);
+      }
+      record('dry-run');
+    } else if (args.patch) {
+      const patchPath = args.patch === true ? `${args.testPath}${PATCH_SUFFIX}` : args.patch;
+      const patch = changes.map(change => createHealPatch(change.file, change.original, change.corrected)).join('');
+      await writeFile(patchPath, patch, 'utf8');
+      console.log(`\n✓ Patch written to ${patchPath}`);
+      console.log(`  Review it, then apply with: node debug_test.js --apply ${patchPath}`);
+      record('patched');
+    } else {
+      await applyChanges(changes, { backup: args.backup });
+      record('applied');
+      const otherFiles = changes.filter(change => change !== specChange).map(change => change.file);
+      if (specChange) {
+        console.log('\n✓ Test file successfully updated!');
+      }
+      if (otherFiles.length > 0) {
+        console.log(`\n✓ Imported file(s) updated: ${otherFiles.join(', ')}`);
+      }
     }
   } catch (error) {
     console.error('\n✗ Error during debug process:');
@@ -156,84 +350,434 @@ async function safeReadFile(filePath) {
   }
 }
 
+/**
+ * Current time in the format used in backup file names
+ * @returns {string} Timestamp, e.g. 2024-05-01T12-30-00
+ */
+function backupTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+}
+
 /**
  * Creates a timestamped backup path for a given file
  * @param {string} originalPath - Original file path
+ * @param {string} [timestamp] - Timestamp to use (files changed by one fix share theirs)
  * @returns {string} Backup file path with timestamp
  */
-function createBackupPath(originalPath) {
+function createBackupPath(originalPath, timestamp = backupTimestamp()) {
   const dir = path.dirname(originalPath);
   const ext = path.extname(originalPath);
   const name = path.basename(originalPath, ext);
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
   return path.join(dir, `${name}.${timestamp}.bak${ext}`);
 }
 
 /**
- * Calls Perplexity API with the failed test and error log to generate a corrected test
- * Uses mistral-7b-instruct model for code correction
- * @param {string} testContent - The original test file content
- * @param {string} errorLog - The error log content
- * @returns {Promise<string>} Corrected test code
+ * Lists the timestamped backups createBackupPath has made for a file, oldest first
+ * @param {string} originalPath - Original file path
+ * @returns {{timestamp: string, path: string}[]} Backups sorted by timestamp
+ */
+function findBackups(originalPath) {
+  const dir = path.dirname(originalPath);
+  const ext = path.extname(originalPath);
+  const name = path.basename(originalPath, ext);
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${escape(name)}\\.(\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2})\\.bak${escape(ext)}$`);
+
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(pattern) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({ timestamp: match[1], path: path.join(dir, file) }))
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Restores a test file, and the files it imports, from timestamped backups
+ * A fix backs up every file it changes under one timestamp, so restoring that timestamp undoes the
+ * whole fix, including one that only changed a helper. The restored backups and any newer ones are
+ * removed, so repeated rollbacks step further back
+ * @param {string} testPath - Test file to restore
+ * @param {Object} [options]
+ * @param {string} [options.timestamp] - Backup timestamp to restore (default: most recent)
+ * @returns {Promise<string[]>} Paths of the backups that were restored
+ */
+async function rollbackTestFile(testPath, { timestamp } = {}) {
+  const imports = fs.existsSync(testPath) ? listLocalImports(await safeReadFile(testPath), testPath) : [];
+  const files = [testPath, ...imports.map(dependency => dependency.file)]
+    .map(file => ({ file, backups: findBackups(file) }))
+    .filter(({ backups }) => backups.length > 0);
+  if (files.length === 0) {
+    throw new Error(`No backups found for "${testPath}" or the files it imports`);
+  }
+
+  const timestamps = [...new Set(files.flatMap(({ backups }) => backups.map(backup => backup.timestamp)))].sort();
+  const target = timestamp || timestamps[timestamps.length - 1];
+  if (!timestamps.includes(target)) {
+    throw new Error(`No backup of "${testPath}" or the files it imports with timestamp ${timestamp}. Available: ${timestamps.join(', ')}`);
+  }
+
+  const restored = [];
+  for (const { file, backups } of files) {
+    const index = backups.findIndex(backup => backup.timestamp === target);
+    if (index === -1) continue;
+    console.log(`Restoring ${file} from ${backups[index].path}`);
+    await copyFile(backups[index].path, file);
+    for (const stale of backups.slice(index)) {
+      await unlink(stale.path);
+    }
+    restored.push(backups[index].path);
+  }
+  return restored;
+}
+
+/**
+ * Builds a unified diff between the original and corrected test
+ * Uses git-style a/ and b/ prefixes so the patch also works with `git apply`
+ * @param {string} testPath - Test file path (recorded in the patch header)
+ * @param {string} original - Original test content
+ * @param {string} corrected - Corrected test content
+ * @returns {string} Unified diff
+ */
+function createHealPatch(testPath, original, corrected) {
+  const filePath = path.relative(process.cwd(), path.resolve(testPath)).split(path.sep).join('/');
+  return Diff.createTwoFilesPatch(`a/${filePath}`, `b/${filePath}`, original, ensureTrailingNewline(corrected), undefined, undefined, { context: 3 });
+}
+
+/**
+ * Applies a patch written by --patch to the file(s) named in its headers
+ * Every file is checked before any is written, so a patch that does not apply changes nothing
+ * @param {string} patchPath - Patch file path
+ * @param {Object} [options]
+ * @param {boolean} [options.backup=true] - Create a timestamped backup before overwriting
+ * @returns {Promise<string[]>} Paths of the patched files
+ */
+async function applyPatchFile(patchPath, { backup = true } = {}) {
+  const patchText = await safeReadFile(patchPath);
+  const patches = Diff.parsePatch(patchText).filter(patch => patch.hunks.length > 0);
+  if (patches.length === 0 || patches.some(patch => !patch.newFileName)) {
+    throw new Error(`"${patchPath}" must contain a unified diff`);
+  }
+
+  const changes = [];
+  for (const patch of patches) {
+    const targetPath = patch.newFileName.replace(/^b\//, '');
+    const original = await safeReadFile(targetPath);
+    const patched = Diff.applyPatch(original, patch);
+    if (patched === false) {
+      throw new Error(`Patch "${patchPath}" does not apply cleanly to "${targetPath}" (the file changed since the patch was made)`);
+    }
+    changes.push({ file: targetPath, original, corrected: patched });
+  }
+
+  await applyChanges(changes, { backup });
+  return changes.map(change => change.file);
+}
+
+/**
+ * Writes one patch per spec (or page object) replacing the locators that were healed at runtime
+ * Heals whose original locator can no longer be found in the file are reported and skipped
+ * @param {string} ledgerPath - Heal ledger written by lib/self_healing.js
+ * @param {Object} [options]
+ * @param {string} [options.testPath] - Only propose updates for this spec and the page objects it used
+ * @returns {Promise<string[]>} Paths of the patches written
+ */
+async function writeLedgerPatches(ledgerPath, { testPath } = {}) {
+  console.log(`Reading heal ledger: ${ledgerPath}`);
+  const bySpec = groupLedgerBySpec(readLedger(ledgerPath));
+  const patchPaths = [];
+
+  for (const [specPath, specHeals] of bySpec) {
+    const heals = testPath
+      ? specHeals.filter(heal => [specPath, heal.testFile].some(file => file && isSameFile(file, testPath)))
+      : specHeals;
+    if (heals.length === 0) continue;
+    if (!fs.existsSync(specPath)) {
+      console.warn(`Warning: skipping ${heals.length} heal(s) for missing spec ${specPath}`);
+      continue;
+    }
+
+    const original = await safeReadFile(specPath);
+    const { source, applied, missed } = applyHealsToSource(original, heals);
+    for (const heal of missed) {
+      console.warn(`Warning: ${specPath}:${heal.line || '?'} no longer contains ${heal.original}`);
+    }
+    if (applied.length === 0) continue;
+
+    const patchPath = `${specPath}${PATCH_SUFFIX}`;
+    await writeFile(patchPath, createHealPatch(specPath, original, source), 'utf8');
+    applied.forEach(heal => console.log(`  ${specPath}:${heal.line || '?'} ${heal.original} → ${heal.healed} (${heal.strategy})`));
+    console.log(`✓ Patch written to ${patchPath}`);
+    patchPaths.push(patchPath);
+  }
+
+  return patchPaths;
+}
+
+/**
+ * Ensures text ends with a newline so diffs do not flag a missing EOF newline
+ * @param {string} text - Text
+ * @returns {string} Text ending in a newline
  */
-async function callPerplexityAPI(testContent, errorLog) {
-  const prompt = `You are an expert Playwright/Jest test engineer. Below is a test that failed and the error log. Please analyze the error and provide a corrected version of the test.
+function ensureTrailingNewline(text) {
+  return text.endsWith('\n') ? text : `${text}\n`;
+}
 
---- Original Test ---
-${testContent}
+/**
+ * Writes a corrected test over the original file, backing it up first if requested
+ * @param {string} testPath - Path to the test file being corrected
+ * @param {string} correctedTest - Corrected test code
+ * @param {Object} [options]
+ * @param {boolean} [options.backup=true] - Create a timestamped backup before overwriting
+ * @returns {Promise<string|null>} Backup path, or null when no backup was made
+ */
+async function applyCorrection(testPath, correctedTest, { backup = true } = {}) {
+  const [backupPath] = await applyChanges([{ file: testPath, corrected: correctedTest }], { backup });
+  return backupPath;
+}
 
---- Error Log ---
-${errorLog}
+/**
+ * Runs the assertion guard on every file of a fix: helpers, fixtures and page objects must keep
+ * their checks just like the spec, so one weakened file rejects the whole set
+ * @param {{file: string, original: string, corrected: string}[]} changes - Changes from requestRepair
+ * @returns {{errors: string[], report: string}} Errors (prefixed with the file when there are several)
+ *   and the guard's report for the console ('' when there is nothing to report)
+ */
+function guardChanges(changes) {
+  const several = changes.length > 1;
+  const errors = [];
+  const reports = [];
+  for (const change of changes) {
+    const guard = checkHealedSpec(change.original, change.corrected, { typescript: specLanguage(change.file) === 'ts' });
+    errors.push(...guard.errors.map(error => (several ? `${change.file}: ${error}` : error)));
+    const report = formatGuardReport(guard);
+    if (report) {
+      reports.push(several ? `${change.file}\n${report}` : report);
+    }
+  }
+  return { errors, report: reports.join('\n') };
+}
 
---- Instructions ---
-1. Fix the test based on the error log
-2. Maintain the original test structure and intent
-3. Use proper selectors and best practices
-4. Add comments explaining the fixes
-5. Return ONLY the corrected test code, no explanations
+/**
+ * Type-checks every TypeScript file of a fix (Playwright strips types without checking them)
+ * @param {{file: string, corrected: string}[]} changes - Changes from requestRepair
+ * @returns {Promise<string[]>} Type errors, prefixed with the file when there are several
+ */
+async function typeCheckChanges(changes) {
+  const several = changes.length > 1;
+  const errors = [];
+  for (const change of changes.filter(change => specLanguage(change.file) === 'ts')) {
+    const typeErrors = await typeCheckSpec(change.corrected, change.file);
+    errors.push(...typeErrors.map(error => (several ? `${change.file}: ${error}` : error)));
+  }
+  return errors;
+}
 
-Corrected Test:`;
+/**
+ * Writes corrected files all together, or not at all
+ * Every file is checked against the content the fix was made from and staged in a temporary file
+ * first; the originals are then backed up (under one timestamp, see rollbackTestFile) and replaced.
+ * If a replacement fails, the files already replaced are put back
+ * @param {{file: string, original?: string, corrected: string}[]} changes - Files to write
+ * @param {Object} [options]
+ * @param {boolean} [options.backup=true] - Create timestamped backups before overwriting
+ * @returns {Promise<(string|null)[]>} Backup path per file
+ * @throws {Error} When a file changed since the fix was made, or cannot be written; no file is changed
+ */
+async function applyChanges(changes, { backup = true } = {}) {
+  const staged = [];
+  const discardStaged = () => Promise.all(staged.map(({ tempPath }) => unlink(tempPath).catch(() => {})));
 
   try {
-    const response = await axios.post(
-      PERPLEXITY_API_URL,
-      {
-        model: 'mistral-7b-instruct',
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.2,
-        max_tokens: 3000
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${PERPLEXITY_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
+    for (const change of changes) {
+      const current = await safeReadFile(change.file);
+      if (change.original !== undefined && current !== change.original) {
+        throw new Error(`"${change.file}" changed since the fix was made`);
       }
-    );
+      const tempPath = `${change.file}.${process.pid}.tmp`;
+      await writeFile(tempPath, change.corrected, 'utf8');
+      staged.push({ ...change, current, tempPath });
+    }
+  } catch (error) {
+    await discardStaged();
+    throw new Error(`No file was changed: ${error.message}`);
+  }
+
+  const timestamp = backupTimestamp();
+  const backups = [];
+  for (const { file } of staged) {
+    const backupPath = backup ? createBackupPath(file, timestamp) : null;
+    if (backupPath) {
+      console.log(`Creating backup: ${backupPath}`);
+      await copyFile(file, backupPath);
+    }
+    backups.push(backupPath);
+  }
 
-    const correctedCode = response.data.choices[0].message.content;
-    return extractCodeFromResponse(correctedCode);
+  const replaced = [];
+  try {
+    for (const change of staged) {
+      console.log(`Writing corrected file: ${change.file}`);
+      await rename(change.tempPath, change.file);
+      replaced.push(change);
+    }
   } catch (error) {
-    if (error.response) {
-      const status = error.response.status;
-      if (status === 401 || status === 403) {
-        throw new Error('Perplexity API authentication failed. Check your API key.');
-      } else if (status === 429) {
-        throw new Error('Perplexity API rate limit exceeded. Please try again later.');
-      } else if (status === 500) {
-        throw new Error('Perplexity API server error. Please try again later.');
-      } else {
-        throw new Error(`Perplexity API error: ${error.response.data?.error?.message || error.message}`);
-      }
-    } else {
-      throw new Error(`Perplexity API error: ${error.message}`);
+    for (const change of replaced) {
+      await writeFile(change.file, change.current, 'utf8');
+    }
+    await discardStaged();
+    throw new Error(`Failed to write the fix, restored ${replaced.length} file(s) already written: ${error.message}`);
+  }
+  return backups;
+}
+
+/**
+ * Asks the LLM provider to repair a failing test
+ * The helpers, fixtures and page objects the test imports go into the prompt (see
+ * lib/spec_dependencies.js), and the model may return fixes to any of them
+ * @param {string} testPath - Path to the failing test
+ * @param {string} testContent - The original test file content
+ * @param {string} errorLog - The error log content
+ * @param {Object} provider - Provider from lib/llm_provider.js
+ * @param {Object[]} [failureContext] - Structured failures from lib/failure_context.js
+ * @returns {Promise<{file: string, original: string, corrected: string}[]>} Changed files
+ */
+async function requestRepair(testPath, testContent, errorLog, provider, failureContext = []) {
+  const dependencies = findSpecDependencies(testContent, testPath, { errorLog });
+  if (dependencies.length === 0) {
+    const corrected = await callPerplexityAPI(testContent, errorLog, provider, failureContext, { testPath });
+    return [{ file: testPath, original: testContent, corrected }];
+  }
+
+  console.log(`Including imported file(s): ${dependencies.map(dependency => `${dependency.file} (${dependency.kind})`).join(', ')}`);
+  const prompt = buildRepairPrompt(testContent, errorLog, failureContext, { testPath, dependencies, contextWindow: provider.contextWindow });
+  const response = await provider.complete(prompt, completionParams('heal'));
+
+  const blocks = extractFileBlocks(response);
+  if (blocks.length === 0) {
+    // No per-file blocks: treat the answer as the corrected test
+    return [{ file: testPath, original: testContent, corrected: extractCodeFromResponse(response) }];
+  }
+
+  const originals = [{ file: testPath, source: testContent }, ...dependencies];
+  const changes = [];
+  for (const block of blocks) {
+    const target = originals.find(candidate => isSameFile(candidate.file, block.file));
+    if (!target) {
+      console.warn(`Warning: ignoring changes to ${block.file}, which is neither the test nor a file it imports`);
+      continue;
+    }
+    if (block.code.trim() !== target.source.trim()) {
+      changes.push({ file: target.file, original: target.source, corrected: block.code });
     }
   }
+  return changes;
+}
+
+/**
+ * Sends the failed test and error log to the LLM provider to generate a corrected test
+ * Keeps its historical name; the request goes to whichever provider is configured
+ * @param {string} testContent - The original test file content
+ * @param {string} errorLog - The error log content
+ * @param {Object} [provider] - Provider from lib/llm_provider.js (created from env when omitted)
+ * @param {Object[]} [failureContext] - Structured failures from lib/failure_context.js
+ * @param {Object} [options]
+ * @param {string} [options.testPath] - Test path (selects its module's prompt template and examples)
+ * @returns {Promise<string>} Corrected test code
+ */
+async function callPerplexityAPI(testContent, errorLog, provider = createProvider(), failureContext = [], { testPath } = {}) {
+  const prompt = buildRepairPrompt(testContent, errorLog, failureContext, { testPath, contextWindow: provider.contextWindow });
+  const correctedCode = await provider.complete(prompt, completionParams('heal'));
+  return extractCodeFromResponse(correctedCode);
+}
+
+/**
+ * Builds the repair prompt
+ * @param {string} testContent - The original test file content
+ * @param {string} errorLog - The error log content
+ * @param {Object[]} failureContext - Structured failures from lib/failure_context.js
+ * @param {Object} [options]
+ * @param {string} [options.testPath] - Test path (required with dependencies; selects the module's template)
+ * @param {{file: string, source: string, kind: string}[]} [options.dependencies] - Files the test imports
+ *   (from lib/spec_dependencies.js)
+ * @param {number} [options.contextWindow] - Model context window; long error logs and failure context are trimmed to fit
+ * @returns {string} Prompt
+ */
+function buildRepairPrompt(testContent, errorLog, failureContext, { testPath, dependencies = [], contextWindow = null } = {}) {
+  const contextSection = failureContext.length > 0
+    ? `
+--- Failure Context ---
+${formatFailureContext(failureContext)}
+`
+    : '';
+
+  const fileBlock = ({ file, source }) => `\`\`\`${LANGUAGES[specLanguage(file)].fence}\n// ${file}\n${source.trim()}\n\`\`\``;
+  const pageObjects = dependencies.filter(dependency => dependency.kind === 'page-object');
+  const helpers = dependencies.filter(dependency => dependency.kind !== 'page-object');
+
+  const pageObjectSection = pageObjects.length > 0
+    ? `
+--- Page Objects ---
+${pageObjects.map(fileBlock).join('\n\n')}
+`
+    : '';
+
+  const helperSection = helpers.length > 0
+    ? `
+--- Helpers and Fixtures ---
+${helpers.map(dependency => `${dependency.kind === 'fixture' ? 'Fixtures' : 'Helper'} imported by the test:\n${fileBlock(dependency)}`).join('\n\n')}
+`
+    : '';
+
+  const typescript = Boolean(testPath) && specLanguage(testPath) === 'ts';
+  const instructions = [];
+  if (typescript) {
+    instructions.push(`The test is TypeScript: keep every type annotation, interface and type import, never add any,
+   @ts-ignore or @ts-expect-error, and return TypeScript`);
+  }
+  if (pageObjects.length > 0) {
+    instructions.push(`The test uses the page objects above, which are shared with other tests. Fix a wrong selector once in the
+   page object, not in the test, and keep every existing page object member`);
+  }
+  if (helpers.length > 0) {
+    instructions.push(`The test imports the helpers and fixtures above, which other tests may share. When the failure comes
+   from one of them, fix it there, keeping its exported names, fixture names and signatures`);
+  }
+  if (dependencies.length > 0) {
+    instructions.push(`Return every file you change, and only those, in its own fenced code block whose first line is a
+   comment with its path (the test is // ${testPath}), no explanations`);
+  } else {
+    instructions.push('Return ONLY the corrected test code, no explanations');
+  }
+  const outputInstructions = instructions.map((instruction, index) => `${index + HEAL_FIXED_INSTRUCTIONS + 1}. ${instruction}`).join('\n');
+
+  const variables = {
+    test: testContent,
+    testPath: testPath || '',
+    errorLog,
+    failureContext: contextSection,
+    pageObjects: pageObjectSection,
+    helpers: helperSection,
+    outputInstructions
+  };
+
+  return buildPrompt('heal', variables, {
+    module: testPath ? moduleOf(testPath) : '',
+    domSnapshot: formatSnapshots(failureContext),
+    contextWindow
+  });
+}
+
+/**
+ * Whether two paths point at the same file
+ * @param {string} a - First path
+ * @param {string} b - Second path
+ * @returns {boolean} True when both resolve to the same file
+ */
+function isSameFile(a, b) {
+  return path.resolve(a) === path.resolve(b);
 }
 
 /**
@@ -263,4 +807,25 @@ function extractCodeFromResponse(response) {
 // -------------------------------
 // Execute Main
 // -------------------------------
-main();
+// Only run the CLI when executed directly so run_tests.js can reuse the repair path
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  main,
+  safeReadFile,
+  createBackupPath,
+  findBackups,
+  rollbackTestFile,
+  createHealPatch,
+  applyPatchFile,
+  writeLedgerPatches,
+  applyCorrection,
+  applyChanges,
+  guardChanges,
+  typeCheckChanges,
+  requestRepair,
+  callPerplexityAPI,
+  extractCodeFromResponse
+};
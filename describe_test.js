@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+/**
+ * describe_test.js
+ *
+ * Purpose:
+ *  - Bring hand-written Playwright specs under the generate/update/heal workflow by writing the
+ *    plain-text description each one could have been generated from
+ *  - Write each description to the test-inputs/ path the spec mirrors, in the step-per-line style
+ *    of the project's existing descriptions, e.g.
+ *      playwright-tests/module-A/checkout.spec.js → test-inputs/module-A/checkout.txt
+ *  - Verify each description before writing it: a spec is regenerated from it and must have the
+ *    same test titles and assertions as the original (see compareSpecs in lib/assertion_guard.js);
+ *    mismatches are sent back to the model for another attempt
+ *  - Record the spec in the manifest as written by hand (see lib/manifest.js), so `ai-qa generate`
+ *    never replaces it and `ai-qa update` edits it when its description changes
+ *
+ * Usage:
+ *  ai-qa describe [specs...] [options]  (or: node describe_test.js [specs...] [options])
+ *  node describe_test.js playwright-tests/module-A/checkout.spec.js
+ *  node describe_test.js --module module-A [--dry-run] [--no-verify] [--force]
+ *
+ * Notes:
+ *  - Without spec paths, every *.spec.js / *.spec.ts under the output directory is described,
+ *    except specs that already have a description or were generated by this tool
+ *  - The prompt is prompts/describe.md, which a module can override (see lib/prompts.js)
+ *  - Every description written (or rejected) is recorded in the history store (see lib/history.js)
+ */
+
+// -------------------------------
+// Configuration and Imports
+// -------------------------------
+const fs = require('fs');
+const path = require('path');
+const { createProvider } = require('./lib/llm_provider');
+const { getConfig, completionParams } = require('./lib/config');
+const { buildPrompt, promptVersion, moduleOf } = require('./lib/prompts');
+const { parseArgs: parseOptions, loadCommandConfig } = require('./lib/cli');
+const { walkFiles, globToRegExp, toPosixPath } = require('./lib/files');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { loadManifest, saveManifest, getEntry, recordDescribedSpec, hashDescription } = require('./lib/manifest');
+const { parseDescription } = require('./lib/description_parser');
+const { LANGUAGES, specLanguage } = require('./lib/code_validator');
+const { compareSpecs } = require('./lib/assertion_guard');
+const { recordEvent, trackPrompts } = require('./lib/history');
+const { safeReadFile } = require('./debug_test');
+const { PROMPT_VERSION, readTestInput, saveTestOutput, generatePlaywrightCodeWithRetry } = require('./generate_test');
+
+// Specs this command describes (timestamped backups end in .bak.js and are left out)
+const SPEC_PATTERN = /\.spec\.[jt]s$/;
+
+// Description written for a spec, replacing its .spec.js / .spec.ts extension
+const DESCRIPTION_EXTENSION = '.txt';
+
+// Style shown to the model when the project has no plain-text description yet
+const DEFAULT_STYLE_EXAMPLE = `Go to https://example.com/login.
+Type 'user@example.com' into the email field.
+Type \${PASSWORD} into the password field.
+Click the 'Sign In' button.
+Verify a welcome message is visible.`;
+
+// -------------------------------
+// CLI Argument Parsing
+// -------------------------------
+const OPTIONS = {
+  '--module': { key: 'modules', type: 'list' },
+  '--glob': { key: 'globs', type: 'list' },
+  '--concurrency': { key: 'concurrency', type: 'integer' },
+  '--max-retries': { key: 'maxRetries', type: 'integer' },
+  '--force': { key: 'force', type: 'boolean' },
+  '--no-verify': { key: 'verify', type: 'boolean', value: false },
+  '--dry-run': { key: 'dryRun', type: 'boolean' },
+  '--provider': { key: 'provider', type: 'string' },
+  '--model': { key: 'model', type: 'string' },
+  '-h': { key: 'help', type: 'boolean' },
+  '--help': { key: 'help', type: 'boolean' }
+};
+
+function parseArgs(argv) {
+  const { generate } = getConfig();
+  return parseOptions(argv, OPTIONS, {
+    concurrency: generate.concurrency,
+    maxRetries: generate.maxRetries,
+    verify: true
+  }, { positional: 'specs' });
+}
+
+function printHelp() {
+  const { paths, generate } = getConfig();
+  console.log(`
+Usage: ai-qa describe [specs...] [OPTIONS]
+       node describe_test.js [specs...] [OPTIONS]
+
+Writes a plain-text description under ${paths.inputDir}/ for each hand-written spec under ${paths.outputDir}/,
+so the spec can be maintained with ai-qa update and healed like a generated one.
+
+Options:
+  --module <name>     Only describe specs in this module (repeatable)
+  --glob <pattern>    Only describe specs matching this glob, relative to ${paths.outputDir}/ (repeatable)
+  --concurrency <n>   Number of specs described in parallel (default: ${generate.concurrency})
+  --max-retries <n>   Attempts per description before giving up (default: ${generate.maxRetries})
+  --force             Overwrite an existing description and describe specs this tool generated
+  --no-verify         Write descriptions without regenerating a spec from them to compare
+  --dry-run           Print the descriptions without writing them
+  --provider <name>   LLM provider: perplexity, openai, gemini or mock (default: $AI_QA_PROVIDER, the config
+                      file or perplexity)
+  --model <name>      Model name for the provider (default: $AI_QA_MODEL, the config file or the provider default)
+  --config <path>     Config file (default: ai-qa.config.js or ai-qa.config.json when present)
+  -h, --help          Display this help message
+
+Examples:
+  ai-qa describe playwright-tests/module-A/checkout.spec.js
+  node describe_test.js --module module-A --dry-run
+`);
+}
+
+// -------------------------------
+// Main Function
+// -------------------------------
+async function main(argv = process.argv) {
+  let args;
+  try {
+    loadCommandConfig(argv);
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  try {
+    if (!Number.isInteger(args.concurrency) || args.concurrency < 1) {
+      throw new Error('--concurrency must be a positive integer');
+    }
+    if (!Number.isInteger(args.maxRetries) || args.maxRetries < 1) {
+      throw new Error('--max-retries must be a positive integer');
+    }
+    const { paths } = getConfig();
+
+    console.log('\n========================================');
+    console.log('Test Description Started');
+    console.log('========================================\n');
+
+    const specs = findSpecs(args);
+    if (specs.length === 0) {
+      throw new Error(`No specs found under ${paths.outputDir}/ matching the given filters`);
+    }
+    console.log(`Found ${specs.length} spec(s)\n`);
+
+    const provider = createProvider({ provider: args.provider, model: args.model });
+    console.log(`Using ${provider.label} (${provider.model})\n`);
+
+    const manifest = loadManifest(paths.manifest);
+    let results;
+    try {
+      results = await mapWithConcurrency(specs, args.concurrency, specPath =>
+        describeSpecFile(specPath, provider, {
+          manifest,
+          force: args.force,
+          verify: args.verify,
+          dryRun: args.dryRun,
+          maxRetries: args.maxRetries
+        })
+      );
+    } finally {
+      if (!args.dryRun) saveManifest(manifest, paths.manifest);
+    }
+
+    console.log('\n--- Results ---');
+    let failures = 0;
+    let described = 0;
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        failures++;
+        console.log(`✗ ${specs[index]}: ${result.reason.message}`);
+      } else if (result.value.skipped) {
+        console.log(`- ${specs[index]}: skipped, ${result.value.reason}`);
+      } else {
+        described++;
+        console.log(`✓ ${specs[index]} → ${result.value.descriptionFile}`);
+      }
+    });
+    console.log(`\n${described} described, ${specs.length - described - failures} skipped, ${failures} failed`);
+
+    if (failures > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n✗ Error describing tests:');
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+// -------------------------------
+// Discovery
+// -------------------------------
+
+/**
+ * Lists the specs to describe
+ * @param {Object} [filters]
+ * @param {string[]} [filters.specs] - Spec paths given on the command line (used as they are)
+ * @param {string[]} [filters.modules] - Module directory names to include
+ * @param {string[]} [filters.globs] - Globs matched against the path relative to the output directory
+ * @returns {string[]} Spec paths
+ */
+function findSpecs({ specs = [], modules = [], globs = [] } = {}) {
+  if (specs.length > 0) {
+    return specs;
+  }
+
+  const { outputDir } = getConfig().paths;
+  const patterns = globs.map(glob => globToRegExp(toPosixPath(glob).replace(`${toPosixPath(outputDir)}/`, '')));
+  return walkFiles(outputDir, file => SPEC_PATTERN.test(file))
+    .filter(file => {
+      const relative = toPosixPath(path.relative(outputDir, file));
+      return (modules.length === 0 || modules.includes(relative.split('/')[0]))
+        && (patterns.length === 0 || patterns.some(pattern => pattern.test(relative)));
+    });
+}
+
+/**
+ * Description path a spec mirrors, the reverse of the mapping generate_test.js uses
+ * @param {string} specPath - Spec path
+ * @returns {string} Description path, e.g. test-inputs/module-A/login.txt for playwright-tests/module-A/login.spec.js
+ * @throws {Error} When the spec is not under the output directory
+ */
+function descriptionPathFor(specPath) {
+  const { inputDir, outputDir } = getConfig().paths;
+  const relative = toPosixPath(path.relative(outputDir, specPath));
+  if (relative.startsWith('../') || path.isAbsolute(relative) || !SPEC_PATTERN.test(relative)) {
+    throw new Error(`${specPath} is not a .spec.js or .spec.ts file under ${outputDir}/, so it has no matching ${inputDir}/ path`);
+  }
+  return path.join(inputDir, relative.replace(SPEC_PATTERN, DESCRIPTION_EXTENSION));
+}
+
+/**
+ * A description from the project to show the model as the style to follow
+ * The module's own descriptions are preferred, then any in the input directory
+ * @param {string} module - Module the spec belongs to
+ * @param {string} exclude - Description being written (never its own example)
+ * @returns {Promise<string>} Example description
+ */
+async function loadStyleExample(module, exclude) {
+  const { inputDir } = getConfig().paths;
+  const isDescription = file => path.extname(file) === DESCRIPTION_EXTENSION && path.resolve(file) !== path.resolve(exclude);
+  const candidates = [
+    ...(module ? walkFiles(path.join(inputDir, module), isDescription) : []),
+    ...walkFiles(inputDir, isDescription)
+  ];
+  return candidates.length > 0 ? (await readTestInput(candidates[0])).trim() : DEFAULT_STYLE_EXAMPLE;
+}
+
+// -------------------------------
+// Description
+// -------------------------------
+
+/**
+ * Describes one spec and writes the description to the path it mirrors
+ * @param {string} specPath - Spec to describe
+ * @param {Object} provider - Provider from lib/llm_provider.js
+ * @param {Object} [options]
+ * @param {Object} [options.manifest] - Generation manifest from lib/manifest.js
+ * @param {boolean} [options.force=false] - Overwrite an existing description, describe generated specs
+ * @param {boolean} [options.verify=true] - Regenerate a spec from the description and compare it
+ * @param {boolean} [options.dryRun=false] - Print the description without writing it
+ * @param {number} [options.maxRetries] - Attempts per description (default: generate.maxRetries from the config)
+ * @returns {Promise<{descriptionFile: string, skipped: boolean, reason: string}>} Outcome
+ * @throws {Error} When no attempt produced a description that verifies
+ */
+async function describeSpecFile(specPath, provider, { manifest, force = false, verify = true, dryRun = false, maxRetries = getConfig().generate.maxRetries } = {}) {
+  const descriptionFile = toPosixPath(descriptionPathFor(specPath));
+  const skip = reason => {
+    console.log(`- ${specPath}: skipped, ${reason}`);
+    return { descriptionFile, skipped: true, reason };
+  };
+
+  const entry = manifest && getEntry(manifest, specPath);
+  if (entry && !force) {
+    return skip(`spec was ${entry.outputHash === null ? 'described' : 'generated'} from ${entry.input} (use --force to describe it again)`);
+  }
+  if (fs.existsSync(descriptionFile) && !force) {
+    return skip(`${descriptionFile} already exists (use --force to overwrite)`);
+  }
+
+  const specSource = await safeReadFile(specPath);
+  const tracked = trackPrompts(provider);
+  const model = `${provider.name}/${provider.model}`;
+  const record = (outcome, details) => recordEvent({
+    type: 'describe',
+    spec: toPosixPath(specPath),
+    input: descriptionFile,
+    promptHash: tracked.promptHashes[tracked.promptHashes.length - 1],
+    model,
+    ...details,
+    outcome
+  });
+
+  let result;
+  try {
+    result = await describeSpec(specSource, tracked, { specPath, descriptionFile, verify, maxRetries });
+  } catch (error) {
+    record(error.mismatches ? 'mismatch' : 'failed', { error: error.message });
+    throw error;
+  }
+
+  if (dryRun) {
+    console.log(`\n--- Proposed description: ${descriptionFile} ---\n${result.description}\n`);
+    return { descriptionFile, skipped: true, reason: 'description proposed (dry run)' };
+  }
+
+  await saveTestOutput(descriptionFile, `${result.description}\n`);
+  if (manifest) {
+    const description = await readTestInput(descriptionFile);
+    recordDescribedSpec(manifest, specPath, {
+      input: descriptionFile,
+      inputHash: hashDescription(description),
+      promptVersion: promptVersion('generate', PROMPT_VERSION, { module: moduleOf(descriptionFile) }),
+      model,
+      description
+    });
+  }
+  record(verify ? 'described' : 'unverified', { attempts: result.attempts });
+  return { descriptionFile, skipped: false, reason: verify ? 'verified' : 'not verified' };
+}
+
+/**
+ * Writes a description for a spec, checking it by regenerating the spec from it
+ * A description is accepted when the regenerated spec has the same test titles and assertions;
+ * otherwise the differences are sent back with the next attempt
+ * @param {string} specSource - Spec source
+ * @param {Object} provider - Provider from lib/llm_provider.js
+ * @param {Object} options
+ * @param {string} options.specPath - Spec path (sets the language and the module's template)
+ * @param {string} options.descriptionFile - Path the description will be saved to
+ * @param {boolean} [options.verify=true] - Regenerate and compare (otherwise the first description is accepted)
+ * @param {number} [options.maxRetries] - Attempts
+ * @returns {Promise<{description: string, attempts: number}>} Accepted description
+ * @throws {Error} When no attempt verifies; `error.mismatches` lists the last differences
+ */
+async function describeSpec(specSource, provider, { specPath, descriptionFile, verify = true, maxRetries = getConfig().generate.maxRetries }) {
+  const typescript = specLanguage(specPath) === 'ts';
+  const styleExample = await loadStyleExample(moduleOf(specPath), descriptionFile);
+  let feedback = null;
+  let mismatches = [];
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    console.log(`[${specPath}] Describe attempt ${attempt}/${maxRetries}...`);
+    const description = await generateDescription(specSource, provider, { specPath, styleExample, feedback });
+    if (!verify) {
+      return { description, attempts: attempt };
+    }
+
+    console.log(`[${specPath}] Regenerating the spec from the description to verify it...`);
+    const { envVars } = parseDescription(descriptionFile, description).scenarios[0];
+    const regenerated = await generatePlaywrightCodeWithRetry(description, getConfig().generate.maxRetries, provider, { envVars, specPath });
+
+    ({ mismatches } = compareSpecs(specSource, regenerated, { typescript }));
+    if (mismatches.length === 0) {
+      return { description, attempts: attempt };
+    }
+    console.error(`[${specPath}] Attempt ${attempt} does not match the original:\n- ${mismatches.join('\n- ')}`);
+    feedback = { description, mismatches };
+  }
+
+  const error = new Error(`No description reproduced the spec after ${maxRetries} attempts: ${mismatches.join('; ')}`);
+  error.mismatches = mismatches;
+  throw error;
+}
+
+/**
+ * Asks the LLM provider for a plain-text description of a spec
+ * @param {string} specSource - Spec source
+ * @param {Object} provider - Provider from lib/llm_provider.js
+ * @param {Object} options
+ * @param {string} options.specPath - Spec path
+ * @param {string} options.styleExample - Description whose style to follow
+ * @param {Object} [options.feedback] - Previous description that did not verify ({ description, mismatches })
+ * @returns {Promise<string>} Description
+ */
+async function generateDescription(specSource, provider, { specPath, styleExample, feedback = null }) {
+  const feedbackSection = feedback
+    ? `
+
+A test generated from your previous description did not match the original. Fix the description so these come out the same:
+${feedback.mismatches.map(mismatch => `- ${mismatch}`).join('\n')}
+
+Previous description:
+${feedback.description}`
+    : '';
+
+  const variables = {
+    test: specSource,
+    testPath: toPosixPath(specPath),
+    language: LANGUAGES[specLanguage(specPath)].name,
+    styleExample,
+    feedback: feedbackSection
+  };
+
+  const prompt = buildPrompt('describe', variables, { module: moduleOf(specPath), contextWindow: provider.contextWindow });
+  const response = await provider.complete(prompt, completionParams('describe'));
+  return extractDescription(response);
+}
+
+/**
+ * Extracts the description from a model response, which may wrap it in a fenced block
+ * @param {string} response - Raw model response
+ * @returns {string} Description without surrounding blank lines
+ * @throws {Error} When the response is empty
+ */
+function extractDescription(response) {
+  const fenced = response.match(/```(?:text|txt|plaintext)?\n([\s\S]*?)```/);
+  const description = (fenced ? fenced[1] : response).trim();
+  if (!description) {
+    throw new Error('The model returned an empty description');
+  }
+  return description;
+}
+
+// -------------------------------
+// Execute Main
+// -------------------------------
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  main,
+  findSpecs,
+  descriptionPathFor,
+  describeSpecFile,
+  describeSpec,
+  generateDescription
+};
@@ -2,58 +2,225 @@
  * Test Generation Script for AI Self-Healing QA Framework
  * 
  * This script automates the generation of Playwright test files from plain text test descriptions.
- * It reads test input files, sends them to Perplexity API for conversion to Playwright code,
+ * It reads test input files, sends them to the configured LLM provider for conversion to Playwright code,
  * and saves the generated test files in the appropriate directory structure.
  * 
  * Directory Structure:
  * - test-inputs/module-X/: Contains plain text test descriptions (e.g., login.txt)
  * - playwright-tests/module-X/: Output directory for generated Playwright test files (e.g., login.spec.js)
  * 
+ * Every description under test-inputs/ is mirrored to playwright-tests/ with a .spec.js extension,
+ * e.g. test-inputs/module-A/login.txt → playwright-tests/module-A/login.spec.js. With --lang ts the
+ * specs are typed .spec.ts files, type-checked against the nearest tsconfig.json before they are saved.
+ * 
+ * Descriptions can be plain text (.txt), YAML steps (.yaml/.yml) or Gherkin (.feature); structured
+ * formats produce one spec per scenario, e.g. login.feature → login.<scenario-slug>.spec.js.
+ * ${ENV_VAR} placeholders become process.env references in the generated code (see lib/description_parser.js).
+ * 
+ * A description that names a CSV or JSON dataset next to it ("for each row in the dataset 'users.csv'")
+ * becomes a spec that loads the rows at runtime and runs one test per row (see lib/datasets.js). When
+ * environments are configured, specs navigate relative to baseURL so they run against each of them
+ * (see lib/environments.js).
+ * 
+ * Descriptions can also ask for whole-page checks: "the page should match the baseline" becomes a
+ * toHaveScreenshot() comparison with a managed baseline image, and "the page should have no
+ * accessibility violations" an axe-core scan (see lib/page_checks.js).
+ * 
+ * Specs whose description, prompt template and model are unchanged since the last run are skipped,
+ * and specs edited after generation are never overwritten without --force (see lib/manifest.js).
+ * 
+ * With --pom, the pages and elements described in each module are first extracted into shared
+ * page-object classes under playwright-tests/pages/ (created or extended), and specs are then
+ * generated against those page objects instead of repeating selectors (see lib/page_objects.js).
+ * 
+ * Every spec generated (or failed) is recorded in the history store (see lib/history.js).
+ * 
+ * With --update (ai-qa update), a spec whose description changed is edited rather than regenerated:
+ * the model gets the description it was generated from (kept in the manifest), the new one and the
+ * current spec, and changes only the affected steps, so fixes made since generation survive. The
+ * edit is shown as a diff and written with a backup; --dry-run only shows it.
+ * 
+ * With --explore, the pages each description visits are opened in a headless browser first and
+ * their accessibility tree and candidate locators are sent with the prompt, so the model picks
+ * selectors that exist (see lib/page_explorer.js). --serve <dir> serves a static fixture app
+ * (e.g. fixtures/app) and explores it instead of a deployed application.
+ * 
+ * Directories, the provider, sampling parameters, the retry budget and prompt templates come from
+ * ai-qa.config.js (see lib/config.js); flags override them. The prompts themselves are templates in
+ * prompts/, which a module can override and extend with example specs (see lib/prompts.js).
+ * 
  * Usage:
- *   node generate_test.js
+ *   ai-qa generate [options]  (or: node generate_test.js [options])
+ *   node generate_test.js [--module <name>] [--glob <pattern>] [--concurrency <n>] [--force] [--pom]
+ *                         [--update [--dry-run] [--no-backup]]
+ *                         [--explore [--base-url <url>] [--serve <dir>]]
  * 
  * Prerequisites:
  *   - Node.js installed
  *   - Required packages: fs, path, axios
- *   - Perplexity API key set in environment variable PERPLEXITY_API_KEY
+ *   - An LLM provider configured through AI_QA_PROVIDER (see lib/llm_provider.js),
+ *     e.g. PERPLEXITY_API_KEY for the default Perplexity provider
  * 
- * Future Enhancements:
- *   - Add command-line arguments for custom input/output paths
- *   - Support batch processing of multiple test files
- *   - Add error handling for API rate limits
- *   - Implement caching to avoid regenerating unchanged tests
+ * Rate limits, timeouts and server errors are retried by the provider with backoff, and prompts
+ * are trimmed to the model's context window (see lib/llm_provider.js and lib/token_budget.js).
  */
 
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
+const Diff = require('diff');
+const { createProvider } = require('./lib/llm_provider');
+const { getConfig, completionParams } = require('./lib/config');
+const { buildPrompt, promptVersion, moduleOf } = require('./lib/prompts');
+const { parseArgs: parseOptions, loadCommandConfig } = require('./lib/cli');
+const { walkFiles, globToRegExp, toPosixPath } = require('./lib/files');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const {
+  loadManifest, saveManifest, getEntry, recordSpec, recordSpecUpdate, checkSpec, hashDescription,
+  checkPageModule, recordPageModule, checkPageObject, recordPageObject
+} = require('./lib/manifest');
+const { DESCRIPTION_EXTENSIONS, parseDescription, formatScenarioForPrompt, applyEnvPlaceholders, findEnvVars } = require('./lib/description_parser');
+const { LANGUAGES, specLanguage, collectValidationErrors } = require('./lib/code_validator');
+const { PAGES_DIR, loadPageObjects, pageObjectImport, validatePageObject, extractFileBlocks } = require('./lib/page_objects');
+const { createExplorer } = require('./lib/page_explorer');
+const { startStaticServer } = require('./lib/static_server');
+const { recordEvent, trackPrompts, diffStats } = require('./lib/history');
+const { checkHealedSpec, formatGuardReport } = require('./lib/assertion_guard');
+const { findDatasets, checkDatasetUsage } = require('./lib/datasets');
+const { findPageChecks, checkPageCheckUsage } = require('./lib/page_checks');
+const { listEnvironments, relativizeUrls } = require('./lib/environments');
+const { redactText, restorePlaceholders } = require('./lib/redaction');
+const { applyChanges, createHealPatch } = require('./debug_test');
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
 /**
- * Perplexity API Configuration
- * API Endpoint: https://api.perplexity.ai/chat/completions
- * Recommended Model: mistral-7b-instruct
- * Set the PERPLEXITY_API_KEY environment variable with your API key
+ * Version of the built-in generation template (prompts/generate.md) and the variables generatePlaywrightCode
+ * fills into it. Bump whenever either changes so cached specs are regenerated (project templates are hashed)
  */
-const PERPLEXITY_API_KEY = process.env.PERPLEXITY_API_KEY || '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';
+const PROMPT_VERSION = 8;
 
-if (!PERPLEXITY_API_KEY) {
-  console.error('Error: PERPLEXITY_API_KEY environment variable is not set');
-  process.exit(1);
-}
+/**
+ * Version of prompts/page_objects.md and the variables generatePageObjectCode fills into it
+ * Bump whenever either changes so page objects are regenerated
+ */
+const PAGE_OBJECT_PROMPT_VERSION = 1;
+
+// Prompt requirement added when live pages were explored
+const EXPLORATION_REQUIREMENT = `
+- Use the locators listed under Live Pages for the elements the description mentions; they were checked against
+  the running application. Only write your own selector for an element that is not listed`;
+
+// Prompt requirements added for TypeScript specs (--lang ts)
+const TYPESCRIPT_REQUIREMENT = `
+- Write TypeScript with ES import syntax; annotate helper parameters and return types and use Playwright's types
+  (import type { Page, Locator } from '@playwright/test')
+- Never use any, @ts-ignore, @ts-expect-error or @ts-nocheck: the spec is type-checked with tsc`;
+
+// Prompt requirements added for the page checks a description asks for (see lib/page_checks.js)
+const PAGE_CHECK_REQUIREMENTS = {
+  visual: `
+- Where the description says the page should match its baseline, assert await expect(page).toHaveScreenshot('<name>.png')
+  once the page has settled, with a kebab-case name unique in the spec; pass { mask: [locator, ...] } for content that
+  changes between runs (dates, counters, ads). Baseline images are created and stored by the runner, never in the spec`,
+  accessibility: `
+- Where the description says the page should have no accessibility violations, assert
+  await expect(page).toHaveNoAccessibilityViolations() (an axe-core scan provided by the imported expect); pass
+  { include: '<css selector>' } only when the description limits the check to part of the page`
+};
+
+// Runtime self-healing wrapper generated specs import test and expect from
+const SELF_HEALING_MODULE = 'lib/self_healing';
+
+// Dataset loader generated specs import loadDataset from
+const DATASETS_MODULE = 'lib/datasets';
+
+// ============================================================================
+// CLI ARGUMENTS
+// ============================================================================
+
+// Command-line flags (see lib/cli.js)
+const OPTIONS = {
+  '--module': { key: 'modules', type: 'list' },
+  '--glob': { key: 'globs', type: 'list' },
+  '--concurrency': { key: 'concurrency', type: 'integer' },
+  '--max-retries': { key: 'maxRetries', type: 'integer' },
+  '--lang': { key: 'lang', type: 'string' },
+  '--force': { key: 'force', type: 'boolean' },
+  '--update': { key: 'update', type: 'boolean' },
+  '--dry-run': { key: 'dryRun', type: 'boolean' },
+  '--no-backup': { key: 'backup', type: 'boolean', value: false },
+  '--pom': { key: 'pom', type: 'boolean' },
+  '--explore': { key: 'explore', type: 'boolean' },
+  '--base-url': { key: 'baseURL', type: 'string' },
+  '--serve': { key: 'serve', type: 'string' },
+  '--provider': { key: 'provider', type: 'string' },
+  '--model': { key: 'model', type: 'string' },
+  '-h': { key: 'help', type: 'boolean' },
+  '--help': { key: 'help', type: 'boolean' }
+};
 
 /**
- * Input and output file paths
- * Modify these paths to process different test modules
+ * Parses command-line arguments, with defaults from the config file
+ * @param {string[]} argv - Raw process arguments
+ * @returns {Object} Parsed options
  */
-const INPUT_FILE = 'test-inputs/module-A/login.txt';
-const OUTPUT_FILE = 'playwright-tests/module-A/login.spec.js';
+function parseArgs(argv) {
+  const { generate, heal } = getConfig();
+  return parseOptions(argv, OPTIONS, {
+    backup: heal.backup,
+    concurrency: generate.concurrency,
+    maxRetries: generate.maxRetries,
+    lang: generate.lang,
+    pom: generate.pom,
+    explore: generate.explore,
+    baseURL: generate.baseURL || undefined
+  });
+}
+
+function printHelp() {
+  const { paths, generate } = getConfig();
+  console.log(`
+Usage: ai-qa generate [OPTIONS]
+       node generate_test.js [OPTIONS]
 
-// Perplexity API endpoint
-const PERPLEXITY_API_URL = 'https://api.perplexity.ai/chat/completions';
+Generates Playwright specs for every description (${DESCRIPTION_EXTENSIONS.join(', ')}) under ${paths.inputDir}/.
+Defaults come from the config file (ai-qa.config.js); the flags below override it.
+
+Options:
+  --config <path>     Config file (default: ai-qa.config.js or ai-qa.config.json when present)
+  --module <name>     Only generate tests for this module (repeatable)
+  --glob <pattern>    Only generate inputs matching this glob, relative to ${paths.inputDir}/ (repeatable)
+  --concurrency <n>   Number of inputs generated in parallel (default: ${generate.concurrency})
+  --max-retries <n>   Generation attempts per spec before giving up (default: ${generate.maxRetries})
+  --lang <js|ts>      Spec language: js (.spec.js) or ts (typed .spec.ts, type-checked against the nearest
+                      tsconfig.json) (default: ${generate.lang})
+  --force             Regenerate even when inputs are unchanged or the spec was edited after generation
+  --update            Edit existing specs whose description changed instead of regenerating them: the model
+                      gets the old and new description and changes only the affected steps (ai-qa update)
+  --dry-run           With --update, print the proposed changes without writing them
+  --no-backup         With --update, do not keep a timestamped backup of each spec changed
+  --pom               Generate shared page objects under ${PAGES_DIR}/ and specs that use them
+  --explore           Open the described pages in a headless browser and send their accessibility tree
+                      and locators with the prompt
+  --base-url <url>    Application URL for --explore (default: $QA_URL or use.baseURL in playwright.config.js)
+  --serve <dir>       Serve a static fixture app (e.g. fixtures/app) and explore it (implies --explore)
+  --provider <name>   LLM provider: perplexity, openai, gemini or mock (default: $AI_QA_PROVIDER, the config
+                      file or perplexity)
+  --model <name>      Model name for the provider (default: $AI_QA_MODEL, the config file or the provider default)
+  -h, --help          Display this help message
+
+Examples:
+  ai-qa generate --module module-A
+  node generate_test.js --module module-A
+  node generate_test.js --glob "**/login*.txt" --concurrency 5
+  node generate_test.js --module module-A --pom
+  node generate_test.js --module module-A --lang ts
+  ai-qa update --module module-A --dry-run
+  node generate_test.js --explore --serve fixtures/app
+`);
+}
 
 // ============================================================================
 // MAIN FUNCTION
@@ -61,31 +228,96 @@ const PERPLEXITY_API_URL = 'https://api.perplexity.ai/chat/completions';
 
 /**
  * Main function to orchestrate the test generation process
- * 1. Read test input file
- * 2. Generate Playwright code using Perplexity API
- * 3. Save the generated code to output file
+ * 1. Discover test input files (optionally filtered by module/glob)
+ * 2. Generate Playwright code for each one using the configured LLM provider
+ * 3. Save the generated code to the mirrored output file and report per-file results
+ * @param {string[]} [argv] - Raw process arguments
  */
-async function generateTest() {
+async function generateTest(argv = process.argv) {
+  let args;
   try {
+    loadCommandConfig(argv);
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`\n❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    printHelp();
+    return;
+  }
+
+  try {
+    if (!Number.isInteger(args.concurrency) || args.concurrency < 1) {
+      throw new Error('--concurrency must be a positive integer');
+    }
+    if (!Number.isInteger(args.maxRetries) || args.maxRetries < 1) {
+      throw new Error('--max-retries must be a positive integer');
+    }
+    if (!LANGUAGES[args.lang]) {
+      throw new Error(`--lang must be one of ${Object.keys(LANGUAGES).join(', ')}, got "${args.lang}"`);
+    }
+    const { paths } = getConfig();
+
     console.log('\n========================================');
     console.log('Test Generation Started');
     console.log('========================================\n');
 
-    // Read test input file
-    const testInput = await readTestInput(INPUT_FILE);
-    console.log(`✓ Read test input from: ${INPUT_FILE}`);
+    const jobs = findTestInputs(args);
+    if (jobs.length === 0) {
+      throw new Error(`No test inputs found under ${paths.inputDir}/ matching the given filters`);
+    }
+    console.log(`Found ${jobs.length} test input(s)\n`);
+
+    const provider = createProvider({ provider: args.provider, model: args.model });
+    console.log(`Using ${provider.label} (${provider.model}), concurrency ${args.concurrency}\n`);
+
+    const manifest = loadManifest(paths.manifest);
+    let results;
+    let server = null;
+    let explorer = null;
+    try {
+      if (args.serve) {
+        server = await startStaticServer(args.serve);
+        console.log(`Serving ${args.serve} at ${server.url}\n`);
+      }
+      if (args.explore || args.serve) {
+        explorer = createExplorer(server || args.baseURL ? { baseURL: server ? server.url : args.baseURL } : {});
+        console.log(`Exploring pages before generation (base URL: ${explorer.baseURL || 'none, using URLs in descriptions'})\n`);
+      }
 
-    // Generate Playwright code
-    const playwrightCode = await generatePlaywrightCode(testInput);
-    console.log('✓ Generated Playwright code using Perplexity API');
+      if (args.pom) {
+        await generatePageObjects(jobs, provider, { manifest, force: args.force, explorer, maxRetries: args.maxRetries });
+      }
+      results = await mapWithConcurrency(jobs, args.concurrency, job =>
+        generateTestFile(job.inputFile, job.outputBase, provider, {
+          manifest,
+          force: args.force,
+          pom: args.pom,
+          explorer,
+          maxRetries: args.maxRetries,
+          lang: args.lang,
+          update: args.update && { dryRun: args.dryRun, backup: args.backup }
+        })
+      );
+    } finally {
+      saveManifest(manifest, paths.manifest);
+      if (explorer) await explorer.close();
+      if (server) await server.close();
+    }
 
-    // Save to output file
-    await saveTestOutput(OUTPUT_FILE, playwrightCode);
-    console.log(`✓ Saved test to: ${OUTPUT_FILE}`);
+    const failures = reportResults(jobs, results);
 
     console.log('\n========================================');
-    console.log('Test Generation Completed Successfully');
+    console.log(failures === 0
+      ? 'Test Generation Completed Successfully'
+      : `Test Generation Completed With ${failures} Failure(s)`);
     console.log('========================================\n');
+
+    if (failures > 0) {
+      process.exitCode = 1;
+    }
   } catch (error) {
     console.error('\n❌ Error generating test:');
     console.error(error.message);
@@ -93,6 +325,315 @@ async function generateTest() {
   }
 }
 
+/**
+ * Generates the spec(s) for a single test input
+ * Plain text inputs produce one spec; structured inputs produce one spec per scenario.
+ * When a manifest is given, unchanged specs are skipped and edited specs are protected
+ * @param {string} inputFile - Path to the test description
+ * @param {string} outputBase - Output path without the .spec.js/.spec.ts extension
+ * @param {Object} provider - Provider from lib/llm_provider.js
+ * @param {Object} [options]
+ * @param {Object} [options.manifest] - Generation manifest from lib/manifest.js
+ * @param {boolean} [options.force=false] - Regenerate regardless of the manifest
+ * @param {boolean} [options.pom=false] - Generate specs against the page objects in playwright-tests/pages/
+ * @param {Object} [options.explorer] - Page explorer from lib/page_explorer.js (grounds selectors in the live DOM)
+ * @param {number} [options.maxRetries] - Generation attempts per spec (default: generate.maxRetries from the config)
+ * @param {string} [options.lang] - Spec language, 'js' or 'ts' (default: generate.lang from the config)
+ * @param {Object|false} [options.update] - Update existing specs instead of regenerating them
+ *   ({ dryRun, backup }, see updateTestFile); specs that do not exist yet are generated
+ * @returns {Promise<{outputFile: string, skipped: boolean, reason: string}[]>} Outcome per spec
+ */
+async function generateTestFile(inputFile, outputBase, provider, { manifest, force = false, pom = false, explorer = null, maxRetries = getConfig().generate.maxRetries, lang = getConfig().generate.lang, update = false } = {}) {
+  const content = await readTestInput(inputFile);
+  const description = parseDescription(inputFile, content);
+  const outcomes = [];
+
+  for (const scenario of description.scenarios) {
+    const { extension } = LANGUAGES[lang];
+    const outputFile = scenario.slug ? `${outputBase}.${scenario.slug}${extension}` : `${outputBase}${extension}`;
+    const testInput = description.format === 'text' ? content : formatScenarioForPrompt(scenario, description.feature);
+    const inputText = description.format === 'text' ? content : JSON.stringify({ feature: description.feature, scenario });
+    const datasets = findDatasets(inputFile, testInput);
+    const source = {
+      input: toPosixPath(inputFile),
+      ...(scenario.slug && { scenario: scenario.name }),
+      // Rows are read at runtime; only a change of columns needs a new spec
+      inputHash: hashDescription(datasets.length > 0
+        ? JSON.stringify({ input: inputText, datasets: datasets.map(({ file, columns }) => ({ file, columns })) })
+        : inputText),
+      promptVersion: promptVersion('generate', PROMPT_VERSION, { module: moduleOf(inputFile) }),
+      model: `${provider.name}/${provider.model}`,
+      ...(pom && { mode: 'pom' }),
+      description: testInput
+    };
+
+    if (update && fs.existsSync(outputFile)) {
+      outcomes.push(await updateTestFile(outputFile, source, provider, { ...update, manifest, maxRetries, envVars: scenario.envVars, datasets }));
+      continue;
+    }
+    if (update && update.dryRun) {
+      outcomes.push({ outputFile, skipped: true, reason: 'spec does not exist (dry run)' });
+      continue;
+    }
+
+    let reason = force ? 'forced' : 'generated';
+    if (manifest && !force) {
+      const check = checkSpec(manifest, outputFile, source);
+      if (check.action !== 'generate') {
+        const hint = check.action === 'protect' ? ' (use --force to overwrite)' : '';
+        outcomes.push({ outputFile, skipped: true, reason: `${check.reason}${hint}` });
+        continue;
+      }
+      reason = check.reason;
+    }
+
+    const tracked = trackPrompts(provider);
+    const record = (outcome, details) => recordEvent({
+      type: 'generate',
+      spec: outputFile,
+      input: source.input,
+      promptHash: tracked.promptHashes[tracked.promptHashes.length - 1],
+      model: source.model,
+      attempts: tracked.promptHashes.length,
+      ...details,
+      outcome
+    });
+
+    let playwrightCode;
+    try {
+      playwrightCode = await generatePlaywrightCodeWithRetry(testInput, maxRetries, tracked, {
+        scenario: scenario.slug ? scenario : null,
+        envVars: scenario.envVars,
+        datasets,
+        environments: listEnvironments(),
+        specPath: outputFile,
+        pageObjects: pom ? loadPageObjects() : [],
+        exploration: explorer ? await explorer.explore(testInput) : ''
+      });
+    } catch (error) {
+      record('failed', { error: error.message });
+      throw error;
+    }
+
+    const previous = fs.existsSync(outputFile) ? fs.readFileSync(outputFile, 'utf-8') : '';
+    await saveTestOutput(outputFile, playwrightCode);
+    record('generated', { diff: diffStats([{ original: previous, corrected: playwrightCode }]) });
+    if (manifest) {
+      recordSpec(manifest, outputFile, source, playwrightCode);
+    }
+
+    console.log(`✓ ${inputFile} → ${outputFile}`);
+    outcomes.push({ outputFile, skipped: false, reason });
+  }
+
+  return outcomes;
+}
+
+/**
+ * Updates an existing spec after its description changed, keeping everything else in it
+ * The model gets the description the spec was generated from (snapshotted in the manifest), the new
+ * one and the current spec, including any fixes made since, and returns a minimal edit. The edit is
+ * validated like generated code, shown as a diff with the assertion guard's review, then written
+ * with a backup (see applyChanges in debug_test.js)
+ * @param {string} outputFile - Existing spec
+ * @param {Object} source - Manifest fields for the new description (see generateTestFile)
+ * @param {Object} provider - Provider from lib/llm_provider.js
+ * @param {Object} options
+ * @param {Object} [options.manifest] - Generation manifest from lib/manifest.js
+ * @param {number} [options.maxRetries] - Attempts when the edit fails validation
+ * @param {string[]} [options.envVars] - ${ENV_VAR} placeholders to rewrite before validating
+ * @param {Object[]} [options.datasets] - Datasets the new description uses (see lib/datasets.js)
+ * @param {boolean} [options.dryRun=false] - Print the diff without writing
+ * @param {boolean} [options.backup=true] - Keep a timestamped backup of the spec
+ * @returns {Promise<{outputFile: string, skipped: boolean, reason: string}>} Outcome
+ */
+async function updateTestFile(outputFile, source, provider, { manifest, maxRetries = getConfig().generate.maxRetries, envVars = [], datasets = [], dryRun = false, backup = true }) {
+  const skip = reason => ({ outputFile, skipped: true, reason });
+
+  const entry = manifest && getEntry(manifest, outputFile);
+  if (!entry) {
+    return skip('spec was not generated by this tool, so there is no earlier description to compare with');
+  }
+  if (entry.inputHash === source.inputHash) {
+    return skip('description unchanged');
+  }
+  if (!entry.description) {
+    return skip('the manifest has no snapshot of the description the spec was generated from (use --force to regenerate it)');
+  }
+
+  const current = fs.readFileSync(outputFile, 'utf-8');
+  const tracked = trackPrompts(provider);
+  const record = (outcome, details) => recordEvent({
+    type: 'generate',
+    spec: outputFile,
+    input: source.input,
+    promptHash: tracked.promptHashes[tracked.promptHashes.length - 1],
+    model: source.model,
+    attempts: tracked.promptHashes.length,
+    ...details,
+    outcome
+  });
+
+  // The manifest keeps the old description redacted; redact the new one, read from the input file, the
+  // same way so the diff the model sees shows only real changes
+  const previous = redactText(entry.description);
+  const next = redactText(source.description);
+  // The prompt is already scrubbed, so the provider finds nothing to restore: map the placeholders
+  // here, including those the snapshot was stored with
+  const secrets = [...previous.secrets, ...next.secrets, ...findEnvVars(previous.text).map(name => ({ name }))];
+
+  let updated;
+  try {
+    updated = await updatePlaywrightCodeWithRetry(current, previous.text, next.text, maxRetries, tracked, { specPath: outputFile, envVars, datasets, secrets });
+  } catch (error) {
+    record('failed', { error: error.message });
+    throw error;
+  }
+
+  if (updated.trim() === current.trim()) {
+    if (!dryRun) recordSpecUpdate(manifest, outputFile, source, current, current);
+    return skip('the new description needs no change to the spec');
+  }
+  // Keep the spec's end-of-file newline (or its absence) so the diff shows only real changes
+  updated = `${updated.trimEnd()}${current.endsWith('\n') ? '\n' : ''}`;
+
+  console.log(`\n--- Proposed update: ${outputFile} ---\n${createHealPatch(outputFile, `${current.trimEnd()}\n`, updated)}`);
+  // Checks may be meant to go when steps were removed, so the guard's findings are for review, not a veto
+  const guardReport = formatGuardReport(checkHealedSpec(current, updated, { typescript: specLanguage(outputFile) === 'ts' }));
+  if (guardReport) {
+    console.log(`Review (assertion guard):\n${guardReport}\n`);
+  }
+  if (dryRun) {
+    return { outputFile, skipped: true, reason: 'update proposed (dry run)' };
+  }
+
+  await applyChanges([{ file: outputFile, original: current, corrected: updated }], { backup });
+  recordSpecUpdate(manifest, outputFile, source, current, updated);
+  record('updated', { diff: diffStats([{ original: current, corrected: updated }]) });
+  return { outputFile, skipped: false, updated: true, reason: 'updated to the new description' };
+}
+
+/**
+ * Creates or extends the shared page objects for every module in a batch
+ * Modules whose descriptions are unchanged since their page objects were generated are skipped,
+ * and page objects edited after generation are never overwritten without --force
+ * @param {Object[]} jobs - Inputs selected for this run
+ * @param {Object} provider - Provider from lib/llm_provider.js
+ * @param {Object} [options]
+ * @param {Object} [options.manifest] - Generation manifest from lib/manifest.js
+ * @param {boolean} [options.force=false] - Regenerate regardless of the manifest
+ * @param {Object} [options.explorer] - Page explorer from lib/page_explorer.js
+ * @param {number} [options.maxRetries] - Attempts per module (default: generate.maxRetries from the config)
+ * @returns {Promise<string[]>} Page objects written
+ */
+async function generatePageObjects(jobs, provider, { manifest, force = false, explorer = null, maxRetries = getConfig().generate.maxRetries } = {}) {
+  const { inputDir } = getConfig().paths;
+  const modules = [...new Set(jobs.map(job => toPosixPath(path.relative(inputDir, job.inputFile)).split('/')[0]))];
+  const written = [];
+
+  for (const module of modules) {
+    // Page objects describe the whole module, not only the inputs selected by --glob
+    const inputs = findTestInputs({ modules: [module] });
+    const descriptions = await Promise.all(inputs.map(async ({ inputFile }) => ({
+      inputFile: toPosixPath(inputFile),
+      content: await readTestInput(inputFile)
+    })));
+    const source = {
+      inputHash: hashDescription(descriptions.map(d => `${d.inputFile}\n${d.content}`).join('\n')),
+      promptVersion: promptVersion('pageObjects', PAGE_OBJECT_PROMPT_VERSION, { module }),
+      model: `${provider.name}/${provider.model}`
+    };
+
+    if (manifest && !force) {
+      const check = checkPageModule(manifest, module, source);
+      if (check.action === 'skip') {
+        console.log(`- ${module}: page objects ${check.reason}`);
+        continue;
+      }
+    }
+
+    console.log(`Extracting page objects for ${module}...`);
+    const exploration = explorer ? await explorer.explore(descriptions.map(d => d.content).join('\n')) : '';
+    const files = await generatePageObjectCodeWithRetry(descriptions, loadPageObjects(), provider, maxRetries, { exploration, module });
+    for (const { file, code } of files) {
+      const check = manifest && !force ? checkPageObject(manifest, file) : { action: 'generate' };
+      if (check.action === 'protect') {
+        console.log(`- ${file}: skipped, ${check.reason} (use --force to overwrite)`);
+        continue;
+      }
+      await saveTestOutput(file, code);
+      if (manifest) {
+        recordPageObject(manifest, file, code);
+      }
+      console.log(`✓ ${module} → ${file}`);
+      written.push(file);
+    }
+
+    if (manifest) {
+      recordPageModule(manifest, module, source);
+    }
+  }
+
+  return written;
+}
+
+/**
+ * Prints per-spec outcomes of a batch run
+ * @param {Object[]} jobs - Inputs that were processed
+ * @param {Object[]} results - Settled results from mapWithConcurrency
+ * @returns {number} Number of failed inputs
+ */
+function reportResults(jobs, results) {
+  console.log('\n--- Results ---');
+  let failures = 0;
+  let skipped = 0;
+  let generated = 0;
+  let updated = 0;
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      failures++;
+      console.log(`✗ ${jobs[index].inputFile}: ${result.reason.message}`);
+      return;
+    }
+    for (const outcome of result.value) {
+      if (outcome.skipped) {
+        skipped++;
+        console.log(`- ${outcome.outputFile}: skipped, ${outcome.reason}`);
+      } else {
+        if (outcome.updated) {
+          updated++;
+        } else {
+          generated++;
+        }
+        console.log(`✓ ${outcome.outputFile}: ${outcome.reason}`);
+      }
+    }
+  });
+  console.log(`\n${generated} generated, ${updated > 0 ? `${updated} updated, ` : ''}${skipped} skipped, ${failures} failed`);
+  return failures;
+}
+
+/**
+ * Discovers test inputs and the spec path each one mirrors to
+ * @param {Object} [filters] - Module and glob filters
+ * @param {string[]} [filters.modules] - Module directory names to include
+ * @param {string[]} [filters.globs] - Globs matched against the path relative to test-inputs/
+ * @returns {{inputFile: string, outputBase: string}[]} Jobs to run
+ */
+function findTestInputs({ modules = [], globs = [] } = {}) {
+  const { inputDir, outputDir } = getConfig().paths;
+  const patterns = globs.map(glob => globToRegExp(toPosixPath(glob).replace(`${toPosixPath(inputDir)}/`, '')));
+
+  return walkFiles(inputDir, file => DESCRIPTION_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .map(inputFile => ({ inputFile, relative: toPosixPath(path.relative(inputDir, inputFile)) }))
+    .filter(({ relative }) => modules.length === 0 || modules.includes(relative.split('/')[0]))
+    .filter(({ relative }) => patterns.length === 0 || patterns.some(pattern => pattern.test(relative)))
+    .map(({ inputFile, relative }) => ({
+      inputFile,
+      outputBase: path.join(outputDir, relative.slice(0, -path.extname(relative).length))
+    }));
+}
+
 // ============================================================================
 // CORE FUNCTIONS
 // ============================================================================
@@ -130,69 +671,217 @@ async function saveTestOutput(filePath, code) {
 }
 
 /**
- * Generates Playwright test code using Perplexity API
- * Uses mistral-7b-instruct model for code generation
- * @param {string} testInput - Test description in plain text
+ * Generates Playwright test code using the configured LLM provider
+ * @param {string} testInput - Test description (plain text, or a structured scenario rendered as text)
+ * @param {Object} [provider] - Provider from lib/llm_provider.js (created from env when omitted)
+ * @param {Object} [options]
+ * @param {Object} [options.scenario] - Parsed scenario whose name and tags the test must use
+ * @param {Object} [options.feedback] - Previous attempt that failed validation ({ code, errors })
+ * @param {string} [options.specPath] - Path the spec will be saved to (sets the self-healing import path and, by extension, the language)
+ * @param {Object[]} [options.pageObjects] - Page objects the spec must use ({ file, source })
+ * @param {string} [options.exploration] - Live page summary from lib/page_explorer.js
+ * @param {Object[]} [options.datasets] - Datasets the description uses (see lib/datasets.js)
+ * @param {Object[]} [options.environments] - Configured environments (see lib/environments.js)
  * @returns {Promise<string>} Generated Playwright test code
  */
-async function generatePlaywrightCode(testInput) {
-  const prompt = `You are a Playwright test automation expert. Convert the following test description into a complete Playwright test file.
+async function generatePlaywrightCode(testInput, provider = createProvider(), { scenario = null, feedback = null, specPath, pageObjects = [], exploration = '', datasets = [], environments = [] } = {}) {
+  const lang = specPath ? specLanguage(specPath) : 'js';
+  const languageRequirements = lang === 'ts' ? TYPESCRIPT_REQUIREMENT : '';
 
-Requirements:
-- Use modern Playwright syntax with async/await
-- Include proper test structure with describe/test blocks
-- Add meaningful assertions
-- Use best practices for selectors
-- Include comments for clarity
+  const scenarioRequirements = scenario
+    ? `
+- Generate exactly one test named ${JSON.stringify(scenario.name)}${scenario.tags.length > 0
+      ? `, tagged with { tag: ${JSON.stringify(scenario.tags)} }`
+      : ''}
+- When a step has a data table, use its rows as test data`
+    : '';
 
-Test Description:
-${testInput}
+  const pageObjectRequirements = pageObjects.length > 0
+    ? `
+- Interact with the application only through the page objects below: construct them with the page and call
+  their members and methods; never write selectors in the spec itself
+- ${lang === 'ts' ? 'Import' : 'Require'} each page object you use with the path shown above its source`
+    : '';
 
-Provide ONLY the complete JavaScript test code, no explanations.`;
+  const pageObjectSection = pageObjects.length > 0
+    ? `
+Page Objects:
+${pageObjects.map(({ file, source }) => {
+    const specifier = pageObjectImport(specPath || path.join(getConfig().paths.outputDir, 'spec.js'), file);
+    return `${lang === 'ts' ? `// import from '${specifier}'` : `// require('${specifier}')`}\n${source.trim()}`;
+  }).join('\n\n')}
+`
+    : '';
 
-  try {
-    const response = await axios.post(
-      PERPLEXITY_API_URL,
-      {
-        model: 'mistral-7b-instruct',
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.2,
-        max_tokens: 2000
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${PERPLEXITY_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+  const explorationRequirements = exploration ? EXPLORATION_REQUIREMENT : '';
+  const explorationSection = exploration ? explorationPromptSection(exploration) : '';
 
-    const generatedCode = response.data.choices[0].message.content;
-    
-    // Extract code from markdown code blocks if present
-    return extractCodeFromMarkdown(generatedCode);
-  } catch (error) {
-    // Provide detailed error messages for common API issues
-    if (error.response) {
-      const status = error.response.status;
-      if (status === 401 || status === 403) {
-        throw new Error('Perplexity API authentication failed. Check your API key.');
-      } else if (status === 429) {
-        throw new Error('Perplexity API rate limit exceeded. Please try again later.');
-      } else if (status === 500) {
-        throw new Error('Perplexity API server error. Please try again later.');
-      } else {
-        throw new Error(`Perplexity API error: ${error.response.data?.error?.message || error.message}`);
+  const datasetRequirements = datasets.length > 0
+    ? `
+- Load each dataset below with loadDataset('<file>'), ${lang === 'ts' ? 'imported' : 'required'} from '${libraryImport(DATASETS_MODULE, specPath)}', and
+  generate one test per row in a for...of loop, with a value from the row in the test title; read the row's fields
+  in the steps instead of copying values into the spec. Never put a column whose cells hold \${ENV_VAR} placeholders
+  in a test title: titles are built when the file loads, so an unset variable would fail every test in it`
+    : '';
+
+  const datasetSection = datasets.length > 0
+    ? `
+Datasets:
+${datasets.map(({ file, columns, rows, preview }) =>
+    `- ${file}: ${rows} row(s), columns ${columns.join(', ')}; first row(s): ${JSON.stringify(preview)}`).join('\n')}
+`
+    : '';
+
+  const pageCheckRequirements = findPageChecks(testInput).map(name => PAGE_CHECK_REQUIREMENTS[name]).join('');
+
+  const environmentRequirements = environments.length > 0
+    ? `
+- The suite runs against several environments (${environments.map(({ name }) => name).join(', ')}) with baseURL set per run:
+  navigate with paths relative to it (page.goto('/login')) and never write the application's host`
+    : '';
+
+  const feedbackSection = feedback
+    ? `
+
+Your previous attempt was rejected. Fix these problems:
+${feedback.errors.map(error => `- ${error}`).join('\n')}
+
+Previous attempt:
+${feedback.code}
+`
+    : '';
+
+  const variables = {
+    description: testInput,
+    language: LANGUAGES[lang].name,
+    importPath: selfHealingImport(specPath),
+    requirements: `${languageRequirements}${scenarioRequirements}${datasetRequirements}${environmentRequirements}${pageCheckRequirements}${pageObjectRequirements}${explorationRequirements}`,
+    datasets: datasetSection,
+    pageObjects: pageObjectSection,
+    exploration: explorationSection,
+    feedback: feedbackSection
+  };
+
+  const prompt = buildPrompt('generate', variables, {
+    module: specPath ? moduleOf(specPath) : '',
+    domSnapshot: exploration,
+    contextWindow: provider.contextWindow
+  });
+
+  const generatedCode = await provider.complete(prompt, completionParams('generate'));
+
+  // Extract code from markdown code blocks if present
+  return extractCodeFromMarkdown(generatedCode);
+}
+
+/**
+ * Generates page objects for the pages and elements used by a module's descriptions
+ * @param {{inputFile: string, content: string}[]} descriptions - The module's test descriptions
+ * @param {{file: string, source: string}[]} existing - Current page objects, to extend rather than duplicate
+ * @param {Object} [provider] - Provider from lib/llm_provider.js (created from env when omitted)
+ * @param {Object} [options]
+ * @param {Object} [options.feedback] - Previous attempt that failed validation ({ response, errors })
+ * @param {string} [options.exploration] - Live page summary from lib/page_explorer.js
+ * @param {string} [options.module] - Module the descriptions belong to (selects its prompt template and examples)
+ * @returns {Promise<{file: string, code: string}[]>} New or updated page objects
+ */
+async function generatePageObjectCode(descriptions, existing, provider = createProvider(), { feedback = null, exploration = '', module = '' } = {}) {
+  const existingSection = existing.length > 0
+    ? existing.map(({ file, source }) => `\`\`\`javascript\n// ${file}\n${source.trim()}\n\`\`\``).join('\n\n')
+    : '(none yet)';
+
+  const feedbackSection = feedback
+    ? `
+
+Your previous answer was rejected. Fix these problems:
+${feedback.errors.map(error => `- ${error}`).join('\n')}
+`
+    : '';
+
+  const descriptionSection = descriptions.map(({ inputFile, content }) => `--- ${inputFile} ---\n${content.trim()}`).join('\n\n');
+  const explorationSection = exploration ? explorationPromptSection(exploration) : '';
+
+  const variables = {
+    descriptions: descriptionSection,
+    existingPageObjects: existingSection,
+    pagesDir: PAGES_DIR,
+    requirements: exploration ? EXPLORATION_REQUIREMENT : '',
+    exploration: explorationSection,
+    feedback: feedbackSection
+  };
+
+  const prompt = buildPrompt('pageObjects', variables, { module, domSnapshot: exploration, contextWindow: provider.contextWindow });
+
+  const response = await provider.complete(prompt, completionParams('pageObjects'));
+  return extractFileBlocks(response);
+}
+
+/**
+ * Generates page objects, retrying with validation feedback
+ * @param {Object[]} descriptions - The module's test descriptions
+ * @param {Object[]} existing - Current page objects
+ * @param {Object} provider - Provider from lib/llm_provider.js
+ * @param {number} [maxRetries] - Maximum attempts
+ * @param {Object} [options]
+ * @param {string} [options.exploration] - Live page summary from lib/page_explorer.js
+ * @param {string} [options.module] - Module the descriptions belong to
+ * @returns {Promise<{file: string, code: string}[]>} Valid page objects
+ */
+async function generatePageObjectCodeWithRetry(descriptions, existing, provider, maxRetries = getConfig().generate.maxRetries, { exploration = '', module = '' } = {}) {
+  let feedback = null;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    const files = await generatePageObjectCode(descriptions, existing, provider, { feedback, exploration, module });
+
+    errors = files.length === 0 ? ['No page object code blocks with a "// <path>" first line were found'] : [];
+    for (const { file, code } of files) {
+      if (path.dirname(file) !== PAGES_DIR || !file.endsWith('.js')) {
+        errors.push(`${file}: page objects must be saved directly under ${PAGES_DIR}/ as .js files`);
       }
-    } else {
-      throw new Error(`Perplexity API error: ${error.message}`);
+      errors.push(...validatePageObject(code).map(error => `${file}: ${error}`));
     }
+
+    if (errors.length === 0) {
+      return files;
+    }
+    console.error(`[${PAGES_DIR}] Attempt ${attempt}/${maxRetries} failed:\n- ${errors.join('\n- ')}`);
+    feedback = { errors };
   }
+
+  throw new Error(`Failed to generate valid page objects after ${maxRetries} attempts: ${errors.join('; ')}`);
+}
+
+/**
+ * Renders the live page summary for a generation prompt
+ * @param {string} exploration - Summary from lib/page_explorer.js
+ * @returns {string} Prompt section
+ */
+function explorationPromptSection(exploration) {
+  return `
+Live Pages (captured from the running application just now):
+${exploration}
+`;
+}
+
+/**
+ * Relative module path a spec uses to import the self-healing test wrapper
+ * @param {string} [specPath] - Path the spec will be saved to (defaults to the output directory)
+ * @returns {string} Import specifier, e.g. "../lib/self_healing"
+ */
+function selfHealingImport(specPath) {
+  return libraryImport(SELF_HEALING_MODULE, specPath);
+}
+
+/**
+ * Relative module path a spec uses to import one of the framework's runtime modules
+ * @param {string} modulePath - Module path from the project root, e.g. "lib/datasets"
+ * @param {string} [specPath] - Path the spec will be saved to (defaults to the output directory)
+ * @returns {string} Import specifier, e.g. "../../lib/datasets"
+ */
+function libraryImport(modulePath, specPath = path.join(getConfig().paths.outputDir, 'spec.js')) {
+  const relative = path.relative(path.dirname(path.resolve(specPath)), path.resolve(modulePath)).split(path.sep).join('/');
+  return relative.startsWith('.') ? relative : `./${relative}`;
 }
 
 /**
@@ -202,7 +891,7 @@ Provide ONLY the complete JavaScript test code, no explanations.`;
  */
 function extractCodeFromMarkdown(text) {
   // Match code blocks with optional language specifier
-  const codeBlockRegex = /```(?:javascript|js)?\n([\s\S]*?)```/g;
+  const codeBlockRegex = /```(?:javascript|js|typescript|ts)?\n([\s\S]*?)```/g;
   const matches = [];
   let match;
 
@@ -277,52 +966,77 @@ function extractJavaScriptCode(response) {
 
 /**
  * Validates that the generated code is valid Playwright test code
+ * Parses it, checks the test runner import and, when the target path is known,
+ * confirms `playwright test --list` discovers its tests and type-checks .spec.ts files (see lib/code_validator.js)
  * @param {string} code - Generated code to validate
- * @returns {boolean} True if valid
- * @throws {Error} If code is invalid
+ * @param {Object} [options]
+ * @param {string} [options.specPath] - Path the spec will be saved to
+ * @param {Object[]} [options.datasets] - Datasets the spec must load (see lib/datasets.js)
+ * @param {string[]} [options.checks] - Page checks the spec must perform (see lib/page_checks.js)
+ * @returns {Promise<boolean>} True if valid
+ * @throws {Error} If code is invalid; `error.validationErrors` lists every problem found
  */
-function validateGeneratedCode(code) {
-  // Check for required Playwright imports or requires
-  const hasPlaywrightImport = /(?:import|require).*playwright/.test(code);
-  
-  // Check for test structure
-  const hasTestStructure = /(?:test|describe)\(/.test(code);
-  
-  if (!hasPlaywrightImport) {
-    throw new Error('Generated code does not include Playwright import/require');
-  }
-  
-  if (!hasTestStructure) {
-    throw new Error('Generated code does not include test structure (test/describe)');
+async function validateGeneratedCode(code, { specPath, datasets = [], checks = [] } = {}) {
+  const errors = [
+    ...await collectValidationErrors(code, { specPath }),
+    ...checkDatasetUsage(code, datasets),
+    ...checkPageCheckUsage(code, checks)
+  ];
+
+  if (errors.length > 0) {
+    const error = new Error(`Generated code failed validation:\n- ${errors.join('\n- ')}`);
+    error.validationErrors = errors;
+    throw error;
   }
-  
+
   return true;
 }
 
 /**
  * Generates Playwright code with validation and retry logic
+ * Validation errors from a failed attempt are sent back to the LLM with the rejected code;
+ * API errors are retried by the provider (see lib/llm_provider.js) and end the attempts here
  * @param {string} testInput - Test description
  * @param {number} maxRetries - Maximum number of retry attempts
+ * @param {Object} [provider] - Provider from lib/llm_provider.js
+ * @param {Object} [options]
+ * @param {Object} [options.scenario] - Parsed scenario (see generatePlaywrightCode)
+ * @param {string[]} [options.envVars] - ${ENV_VAR} placeholders to rewrite before validating
+ * @param {Object[]} [options.datasets] - Datasets the spec must load
+ * @param {Object[]} [options.environments] - Configured environments; their URLs are made relative to baseURL
+ * @param {string} [options.specPath] - Path the spec will be saved to
+ * @param {Object[]} [options.pageObjects] - Page objects the spec must use
+ * @param {string} [options.exploration] - Live page summary from lib/page_explorer.js
  * @returns {Promise<string>} Validated Playwright code
  */
-async function generatePlaywrightCodeWithRetry(testInput, maxRetries = 3) {
+async function generatePlaywrightCodeWithRetry(testInput, maxRetries = getConfig().generate.maxRetries, provider = createProvider(), { scenario = null, envVars = [], datasets = [], environments = [], specPath, pageObjects = [], exploration = '' } = {}) {
   let lastError;
+  let feedback = null;
   
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      console.log(`Attempt ${attempt}/${maxRetries}...`);
+      console.log(`[${specPath || 'spec'}] Attempt ${attempt}/${maxRetries}...`);
       
-      const generatedCode = await generatePlaywrightCode(testInput);
-      validateGeneratedCode(generatedCode);
+      const generatedCode = await generatePlaywrightCode(testInput, provider, { scenario, feedback, specPath, pageObjects, exploration, datasets, environments });
+      const playwrightCode = relativizeUrls(applyEnvPlaceholders(generatedCode, envVars), environments);
+
+      try {
+        await validateGeneratedCode(playwrightCode, { specPath, datasets, checks: findPageChecks(testInput) });
+      } catch (error) {
+        if (error.validationErrors) {
+          feedback = { code: playwrightCode, errors: error.validationErrors };
+        }
+        throw error;
+      }
       
-      return generatedCode;
+      return playwrightCode;
     } catch (error) {
       lastError = error;
-      console.error(`Attempt ${attempt} failed: ${error.message}`);
-      
-      if (attempt < maxRetries) {
-        console.log('Retrying...');
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retry
+      console.error(`[${specPath || 'spec'}] Attempt ${attempt} failed: ${error.message}`);
+
+      // The provider already retried timeouts, rate limits and server errors; only bad code is worth another attempt
+      if (!error.validationErrors) {
+        throw error;
       }
     }
   }
@@ -330,6 +1044,84 @@ async function generatePlaywrightCodeWithRetry(testInput, maxRetries = 3) {
   throw new Error(`Failed to generate valid code after ${maxRetries} attempts: ${lastError.message}`);
 }
 
+/**
+ * Asks the LLM provider for a minimal edit of a spec whose description changed
+ * @param {string} testContent - Current spec
+ * @param {string} oldDescription - Description the spec was generated from
+ * @param {string} newDescription - Changed description
+ * @param {Object} provider - Provider from lib/llm_provider.js
+ * @param {Object} options
+ * @param {string} options.specPath - Spec path (sets the language and the module's template)
+ * @param {Object} [options.feedback] - Previous attempt that failed validation ({ code, errors })
+ * @returns {Promise<string>} Updated spec
+ */
+async function updatePlaywrightCode(testContent, oldDescription, newDescription, provider, { specPath, feedback = null }) {
+  const descriptionDiff = Diff.createTwoFilesPatch('previous description', 'new description', oldDescription, newDescription, undefined, undefined, { context: 2 })
+    .split('\n')
+    .slice(1) // the "=====" separator line
+    .join('\n');
+
+  const feedbackSection = feedback
+    ? `
+
+Your previous attempt was rejected. Fix these problems:
+${feedback.errors.map(error => `- ${error}`).join('\n')}
+
+Previous attempt:
+${feedback.code}`
+    : '';
+
+  const variables = {
+    test: testContent,
+    testPath: toPosixPath(specPath),
+    language: LANGUAGES[specLanguage(specPath)].name,
+    oldDescription,
+    newDescription,
+    descriptionDiff,
+    feedback: feedbackSection
+  };
+
+  const prompt = buildPrompt('update', variables, { module: moduleOf(specPath), contextWindow: provider.contextWindow });
+  const response = await provider.complete(prompt, completionParams('update'));
+  return extractCodeFromMarkdown(response);
+}
+
+/**
+ * Updates a spec to a changed description, retrying with validation feedback
+ * @param {string} testContent - Current spec
+ * @param {string} oldDescription - Description the spec was generated from
+ * @param {string} newDescription - Changed description
+ * @param {number} maxRetries - Maximum attempts
+ * @param {Object} provider - Provider from lib/llm_provider.js
+ * @param {Object} options
+ * @param {string} options.specPath - Spec path
+ * @param {string[]} [options.envVars] - ${ENV_VAR} placeholders to rewrite before validating
+ * @param {Object[]} [options.datasets] - Datasets the spec must load
+ * @param {{name: string}[]} [options.secrets] - Redaction placeholders in the descriptions (see lib/redaction.js)
+ * @returns {Promise<string>} Validated updated spec
+ */
+async function updatePlaywrightCodeWithRetry(testContent, oldDescription, newDescription, maxRetries, provider, { specPath, envVars = [], datasets = [], secrets = [] }) {
+  let lastError;
+  let feedback = null;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    console.log(`[${specPath}] Update attempt ${attempt}/${maxRetries}...`);
+    const generated = await updatePlaywrightCode(testContent, oldDescription, newDescription, provider, { specPath, feedback });
+    const updated = relativizeUrls(applyEnvPlaceholders(restorePlaceholders(generated, secrets), envVars), listEnvironments());
+    try {
+      await validateGeneratedCode(updated, { specPath, datasets, checks: findPageChecks(newDescription) });
+      return updated;
+    } catch (error) {
+      if (!error.validationErrors) throw error;
+      lastError = error;
+      feedback = { code: updated, errors: error.validationErrors };
+      console.error(`[${specPath}] Attempt ${attempt} failed: ${error.message}`);
+    }
+  }
+
+  throw new Error(`Failed to produce a valid update after ${maxRetries} attempts: ${lastError.message}`);
+}
+
 // ============================================================================
 // SCRIPT EXECUTION
 // ============================================================================
@@ -342,8 +1134,18 @@ if (require.main === module) {
 
 // Export functions for potential reuse in other scripts
 module.exports = {
+  PROMPT_VERSION,
   generateTest,
+  generateTestFile,
+  findTestInputs,
   readTestInput,
   saveTestOutput,
-  generatePlaywrightCode
+  generatePlaywrightCode,
+  generatePlaywrightCodeWithRetry,
+  generatePageObjects,
+  generatePageObjectCode,
+  updateTestFile,
+  updatePlaywrightCode,
+  validateGeneratedCode,
+  selfHealingImport
 };
@@ -0,0 +1,92 @@
+/**
+ * AI Self-Healing QA Framework — library entry point
+ *
+ * What the ai-qa commands do, as functions, for scripts and CI jobs that drive the framework
+ * from code instead of the command line:
+ *
+ *   const { loadConfig, createProvider, generateTestFile, requestRepair } = require('ai-self-healing-qa');
+ *
+ *   loadConfig('./ai-qa.config.js');
+ *   const provider = createProvider();
+ *   await generateTestFile('test-inputs/module-A/login.txt', 'playwright-tests/module-A/login', provider);
+ *
+ * Generated specs keep importing test and expect from lib/self_healing.js (which adds the
+ * accessibility matcher from lib/accessibility.js), and datasets from lib/datasets.js, directly.
+ */
+
+const { loadConfig, getConfig, validateConfig, completionParams, DEFAULT_CONFIG } = require('./lib/config');
+const { createProvider } = require('./lib/llm_provider');
+const { listEnvironments, resolveEnvironment } = require('./lib/environments');
+const { renderTemplate, buildPrompt } = require('./lib/prompts');
+const {
+  generateTest,
+  generateTestFile,
+  generatePlaywrightCode,
+  generatePlaywrightCodeWithRetry,
+  generatePageObjects,
+  updateTestFile,
+  validateGeneratedCode
+} = require('./generate_test');
+const {
+  main: heal,
+  requestRepair,
+  applyChanges,
+  applyPatchFile,
+  createHealPatch,
+  rollbackTestFile,
+  writeLedgerPatches
+} = require('./debug_test');
+const { main: describe, describeSpecFile } = require('./describe_test');
+const { main: record, saveRecording } = require('./record_test');
+const { main: run, runPlaywright, healSpec } = require('./run_tests');
+const { main: report } = require('./report');
+const { recordEvent, readHistory, summarizeHistory, renderMarkdownReport, renderHtmlReport } = require('./lib/history');
+
+module.exports = {
+  // Configuration
+  DEFAULT_CONFIG,
+  loadConfig,
+  getConfig,
+  validateConfig,
+  completionParams,
+  renderTemplate,
+  buildPrompt,
+  listEnvironments,
+  resolveEnvironment,
+
+  // Providers
+  createProvider,
+
+  // Generation
+  generateTest,
+  generateTestFile,
+  generatePlaywrightCode,
+  generatePlaywrightCodeWithRetry,
+  generatePageObjects,
+  updateTestFile,
+  validateGeneratedCode,
+  describe,
+  describeSpecFile,
+  record,
+  saveRecording,
+
+  // Healing
+  heal,
+  requestRepair,
+  applyChanges,
+  applyPatchFile,
+  createHealPatch,
+  rollbackTestFile,
+  writeLedgerPatches,
+  run,
+  runPlaywright,
+  healSpec,
+
+  // History
+  report,
+  recordEvent,
+  readHistory,
+  summarizeHistory,
+  renderMarkdownReport,
+  renderHtmlReport
+};
@@ -0,0 +1,120 @@
+/**
+ * Accessibility Checks for AI Self-Healing QA Framework
+ *
+ * Generated specs check a page for accessibility violations with a matcher the self-healing
+ * wrapper adds to `expect` (see lib/self_healing.js):
+ *
+ *   await expect(page).toHaveNoAccessibilityViolations();
+ *   await expect(page).toHaveNoAccessibilityViolations({ include: '#checkout', impacts: ['critical', 'serious'] });
+ *
+ * The scan is axe-core, bundled as a dependency and injected into the page under test, so it
+ * needs no network access and works on pages with a strict Content-Security-Policy. By default
+ * it runs the WCAG 2.0/2.1 A and AA rules and fails on violations of any impact; a failure lists
+ * each rule broken, its impact and the elements affected.
+ */
+
+// axe-core rule tags checked when the call does not name any
+const DEFAULT_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+
+// Impact levels reported by axe-core, most severe first
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+// Elements listed per violation in a failure message
+const MAX_NODES = 5;
+
+let axeSource = null;
+
+// ============================================================================
+// SCAN
+// ============================================================================
+
+/**
+ * Scans a page with axe-core
+ * @param {Object} page - Playwright page
+ * @param {Object} [options]
+ * @param {string|string[]} [options.include] - CSS selector(s) of the part to scan (default: the whole page)
+ * @param {string|string[]} [options.exclude] - CSS selector(s) to leave out, e.g. third-party widgets
+ * @param {string[]} [options.tags] - axe-core rule tags to run (default: DEFAULT_TAGS)
+ * @param {string[]} [options.impacts] - Impacts that count as violations (default: all)
+ * @returns {Promise<{id: string, impact: string, help: string, helpUrl: string, nodes: {target: string[], html: string}[]}[]>}
+ *   Violations, most severe first
+ */
+async function scanAccessibility(page, { include, exclude, tags = DEFAULT_TAGS, impacts = IMPACTS } = {}) {
+  const unknown = impacts.filter(impact => !IMPACTS.includes(impact));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown accessibility impact(s) ${unknown.join(', ')}; expected ${IMPACTS.join(', ')}`);
+  }
+
+  if (!axeSource) {
+    axeSource = require('axe-core').source;
+  }
+  const frame = page.mainFrame();
+  if (!(await frame.evaluate(() => Boolean(window.axe)))) {
+    await frame.evaluate(axeSource);
+  }
+
+  const context = {
+    include: [].concat(include || 'html'),
+    exclude: [].concat(exclude || [])
+  };
+  const results = await frame.evaluate(({ context, runOptions }) => window.axe.run(context, runOptions), {
+    context,
+    runOptions: { runOnly: { type: 'tag', values: tags }, resultTypes: ['violations'] }
+  });
+
+  return results.violations
+    .filter(violation => impacts.includes(violation.impact))
+    .sort((a, b) => IMPACTS.indexOf(a.impact) - IMPACTS.indexOf(b.impact))
+    .map(({ id, impact, help, helpUrl, nodes }) => ({
+      id,
+      impact,
+      help,
+      helpUrl,
+      nodes: nodes.map(({ target, html }) => ({ target, html }))
+    }));
+}
+
+/**
+ * Renders violations for a failure message
+ * @param {Object[]} violations - Violations from scanAccessibility
+ * @returns {string} One block per violation
+ */
+function formatViolations(violations) {
+  return violations.map(({ id, impact, help, helpUrl, nodes }) => {
+    const shown = nodes.slice(0, MAX_NODES).map(node => `    ${node.target.join(' ')}  ${node.html.replace(/\s+/g, ' ').slice(0, 120)}`);
+    const more = nodes.length > MAX_NODES ? [`    ... and ${nodes.length - MAX_NODES} more`] : [];
+    return [`  [${impact}] ${id}: ${help} (${helpUrl})`, ...shown, ...more].join('\n');
+  }).join('\n');
+}
+
+// ============================================================================
+// MATCHER
+// ============================================================================
+
+/**
+ * expect(page).toHaveNoAccessibilityViolations(options), registered with expect.extend
+ * @param {Object} page - Playwright page
+ * @param {Object} [options] - Scan options (see scanAccessibility)
+ * @returns {Promise<{pass: boolean, message: Function, name: string}>} Matcher result
+ */
+async function toHaveNoAccessibilityViolations(page, options = {}) {
+  const name = 'toHaveNoAccessibilityViolations';
+  const violations = await scanAccessibility(page, options);
+  const pass = violations.length === 0;
+  const hint = this.utils.matcherHint(name, 'page', '', { isNot: this.isNot });
+  return {
+    name,
+    pass,
+    message: () => (pass
+      ? `${hint}\n\nExpected accessibility violations, found none`
+      : `${hint}\n\nExpected no accessibility violations, found ${violations.length}:\n${formatViolations(violations)}`)
+  };
+}
+
+module.exports = {
+  DEFAULT_TAGS,
+  IMPACTS,
+  scanAccessibility,
+  formatViolations,
+  toHaveNoAccessibilityViolations
+};
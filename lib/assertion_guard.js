@@ -0,0 +1,602 @@
+/**
+ * Assertion Guard for AI Self-Healing QA Framework
+ *
+ * Compares an original spec with its healed version by AST before the fix is written, so a
+ * repair cannot make a test pass by deleting or loosening what it checks. Both specs are
+ * summarised (tests, skipped tests, assertions, matchers, visited URLs) and the differences
+ * are reported as:
+ *   - errors:   tests or assertions removed, tests or suites skipped or focused with .only,
+ *               matchers weakened or inverted (toBeVisible → not.toBeVisible / toBeHidden /
+ *               toHaveCount(0)) or replaced by comparisons that always pass (count >= 0),
+ *               assertions switched off (moved into a try whose catch swallows the failure,
+ *               under a condition, or after a return), and in TypeScript specs type annotations
+ *               removed or type checks bypassed (the fix is rejected)
+ *   - warnings: matchers swapped or URLs changed (the fix is written but flagged for review)
+ *
+ * The same summaries check a description written for a hand-made spec (ai-qa describe): the spec
+ * regenerated from it must have the same test titles and the same assertions as the original.
+ */
+
+const { parseSpec, walkAst } = require('./code_validator');
+
+// Callees that declare a test
+const TEST_FUNCTIONS = ['test', 'it'];
+
+// Callee that declares a suite, as test.describe or describe
+const SUITE_FUNCTION = 'describe';
+
+// Test and suite modifiers that stop a test from running
+const SKIP_MODIFIERS = ['skip', 'fixme'];
+
+// Test and suite modifier that stops every other test from running
+const FOCUS_MODIFIER = 'only';
+
+// Suite modes that can sit between describe and its modifier (test.describe.serial.only)
+const SUITE_MODES = ['serial', 'parallel'];
+
+// Matchers that pass for almost any value
+const WEAK_MATCHERS = ['toBeDefined', 'toBeTruthy', 'not.toBeNull', 'not.toBeUndefined', 'not.toBeFalsy'];
+
+// Numeric matchers (with negation) → the largest literal bound for which they pass for any count,
+// e.g. toBeGreaterThanOrEqual(0) or not.toBeLessThan(0)
+const ALWAYS_TRUE_BOUNDS = {
+  toBeGreaterThanOrEqual: 0,
+  toBeGreaterThan: -1,
+  'not.toBeLessThan': 0,
+  'not.toBeLessThanOrEqual': -1
+};
+
+// How an assertion can be switched off without being removed → error message
+const SWITCHED_OFF = {
+  swallowed: 'moved into a try or .catch() that swallows the failure',
+  conditional: 'moved under a condition, so they may not run',
+  unreachable: 'moved where they never run (if (false), after return or throw)'
+};
+
+// Comments that switch type checking off
+const TS_SUPPRESSION = /@ts-(?:ignore|nocheck|expect-error)\b/;
+
+// Matcher → looser matchers it can be weakened to
+const WEAKER_VARIANTS = {
+  toBe: ['toEqual', 'toContain', 'toMatch', 'toBeGreaterThanOrEqual', 'toBeLessThanOrEqual'],
+  toEqual: ['toMatchObject', 'toContain', 'toContainEqual'],
+  toStrictEqual: ['toEqual', 'toMatchObject'],
+  toHaveText: ['toContainText'],
+  toHaveValue: ['toBeEditable'],
+  toBeVisible: ['toBeAttached'],
+  toHaveCount: ['toBeVisible', 'toBeAttached']
+};
+
+// Matcher → [what it asserts, whether it asserts the opposite]; a heal that keeps what an assertion
+// is about but flips its direction inverts the test (see describeMatcher for "toHaveCount(0)")
+const MATCHER_POLARITY = {
+  toBeVisible: ['present', false],
+  toBeAttached: ['present', false],
+  toHaveCount: ['present', false],
+  toBeHidden: ['present', true],
+  'toHaveCount(0)': ['present', true],
+  toBeEnabled: ['enabled', false],
+  toBeDisabled: ['enabled', true],
+  toBeTruthy: ['truthy', false],
+  toBeFalsy: ['truthy', true]
+};
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+
+/**
+ * Summarises what a spec tests
+ * @param {string} code - Spec source
+ * @param {Object} [options]
+ * @param {boolean} [options.typescript=false] - The spec is TypeScript
+ * @returns {{tests: string[], skipped: number, focused: number, assertions: Object[], urls: string[], types: Object}} Summary;
+ *   skipped and focused count tests and suites marked skip/fixme and only; each assertion is
+ *   { matcher, negated, soft, count, alwaysTrue, reach, line } (reach is a SWITCHED_OFF key, or null
+ *   when it always runs); types counts { annotations, declarations, any, suppressions }
+ * @throws {Error} When the spec does not parse
+ */
+function summarizeSpec(code, { typescript = false } = {}) {
+  const ast = parseSpec(code, { typescript });
+  const summary = {
+    tests: [],
+    skipped: 0,
+    focused: 0,
+    assertions: [],
+    urls: [],
+    types: {
+      annotations: 0,
+      declarations: [],
+      any: 0,
+      suppressions: (ast.comments || []).filter(comment => TS_SUPPRESSION.test(comment.value)).length
+    }
+  };
+
+  const parents = new Map();
+  walkAst(ast, (node, parent) => {
+    parents.set(node, parent);
+    if (node.type === 'TSTypeAnnotation') summary.types.annotations++;
+    else if (node.type === 'TSAnyKeyword') summary.types.any++;
+    else if (node.type === 'TSInterfaceDeclaration' || node.type === 'TSTypeAliasDeclaration') {
+      summary.types.declarations.push(node.id.name);
+    }
+    if (node.type !== 'CallExpression') return;
+
+    const test = asTestCall(node);
+    if (test) {
+      if (test.title !== null) summary.tests.push(test.title);
+      if (SKIP_MODIFIERS.includes(test.modifier)) summary.skipped++;
+      if (test.modifier === FOCUS_MODIFIER) summary.focused++;
+      return;
+    }
+
+    const suite = asSuiteCall(node);
+    if (suite) {
+      if (SKIP_MODIFIERS.includes(suite.modifier)) summary.skipped++;
+      if (suite.modifier === FOCUS_MODIFIER) summary.focused++;
+      return;
+    }
+
+    const assertion = asAssertion(node);
+    if (assertion) {
+      summary.assertions.push({ ...assertion, reach: reachOf(node, parents) });
+      return;
+    }
+
+    if (memberName(node.callee) === 'goto' && node.arguments[0]) {
+      summary.urls.push(literalText(node.arguments[0]));
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * Recognises test('title', fn), test.only/skip/fixme(...) and bare test.skip() calls
+ * @param {Object} node - CallExpression
+ * @returns {{title: string|null, modifier: string|null}|null} Test call, or null
+ */
+function asTestCall(node) {
+  const chain = calleeChain(node.callee);
+  if (!chain || !TEST_FUNCTIONS.includes(chain[0]) || chain.length > 2) return null;
+
+  const modifier = chain[1] || null;
+  if (modifier !== null && ![FOCUS_MODIFIER, ...SKIP_MODIFIERS].includes(modifier)) return null;
+
+  const declaresTest = node.arguments.length >= 2 && isFunction(node.arguments[node.arguments.length - 1]);
+  return { title: declaresTest ? literalText(node.arguments[0]) : null, modifier };
+}
+
+/**
+ * Recognises suites with a modifier: test.describe.only/skip/fixme(...), also after a mode
+ * (test.describe.serial.only) and as Jest-style describe.skip(...)
+ * @param {Object} node - CallExpression
+ * @returns {{modifier: string}|null} Suite call, or null when it is not a modified suite
+ */
+function asSuiteCall(node) {
+  const chain = calleeChain(node.callee);
+  if (!chain) return null;
+
+  const start = TEST_FUNCTIONS.includes(chain[0]) ? 1 : 0;
+  if (chain[start] !== SUITE_FUNCTION) return null;
+
+  const rest = chain.slice(start + 1).filter(name => !SUITE_MODES.includes(name));
+  const modifier = rest[0];
+  if (rest.length !== 1 || ![FOCUS_MODIFIER, ...SKIP_MODIFIERS].includes(modifier)) return null;
+  return { modifier };
+}
+
+/**
+ * Recognises expect(...).[not.]matcher(...) chains, including expect.soft and expect.poll
+ * @param {Object} node - CallExpression
+ * @returns {{matcher: string, negated: boolean, soft: boolean, line: number}|null} Assertion, or null
+ */
+function asAssertion(node) {
+  if (node.callee.type !== 'MemberExpression') return null;
+
+  const matcher = memberName(node.callee);
+  let negated = false;
+  let object = node.callee.object;
+  while (object.type === 'MemberExpression') {
+    const modifier = memberName(object);
+    if (modifier === 'not') negated = !negated;
+    else if (modifier !== 'resolves' && modifier !== 'rejects') return null;
+    object = object.object;
+  }
+
+  if (object.type !== 'CallExpression') return null;
+  const expectCallee = object.callee;
+  const isExpect = expectCallee.type === 'Identifier' && expectCallee.name === 'expect';
+  const isVariant = expectCallee.type === 'MemberExpression' &&
+    expectCallee.object.type === 'Identifier' &&
+    expectCallee.object.name === 'expect' &&
+    ['soft', 'poll'].includes(memberName(expectCallee));
+  if (!isExpect && !isVariant) return null;
+
+  const expected = node.arguments[0];
+  const bound = ALWAYS_TRUE_BOUNDS[negated ? `not.${matcher}` : matcher];
+  const value = numberValue(expected);
+  return {
+    matcher,
+    negated,
+    soft: isVariant && memberName(expectCallee) === 'soft',
+    count: matcher === 'toHaveCount' ? value : null,
+    alwaysTrue: bound !== undefined && value !== null && value <= bound,
+    line: node.loc ? node.loc.start.line : null
+  };
+}
+
+/**
+ * Works out whether an assertion always runs and fails its test, by looking at what encloses it
+ * up to the test's callback
+ * @param {Object} node - Assertion CallExpression
+ * @param {Map<Object, Object>} parents - Node → parent, from the walk
+ * @returns {string|null} SWITCHED_OFF key, or null when nothing switches it off
+ */
+function reachOf(node, parents) {
+  let reach = null;
+  for (let child = node, parent = parents.get(node); parent; child = parent, parent = parents.get(parent)) {
+    if (isFunction(parent) && parents.get(parent) && parents.get(parent).type === 'CallExpression' && asTestCall(parents.get(parent))) {
+      break;
+    }
+
+    if (parent.type === 'TryStatement' && child === parent.block && parent.handler && !containsThrow(parent.handler.body)) {
+      return 'swallowed';
+    }
+    if (parent.type === 'MemberExpression' && child === parent.object && memberName(parent) === 'catch') {
+      return 'swallowed';
+    }
+
+    const branch = (parent.type === 'IfStatement' || parent.type === 'ConditionalExpression') && child !== parent.test;
+    if (branch && isFalsyLiteral(parent.test) && child === parent.consequent) {
+      return 'unreachable';
+    }
+    if (branch || (parent.type === 'LogicalExpression' && child === parent.right)) {
+      reach = 'conditional';
+    }
+
+    const statements = parent.type === 'BlockStatement' ? parent.body : parent.type === 'SwitchCase' ? parent.consequent : null;
+    if (statements && statements.slice(0, statements.indexOf(child)).some(statement => ['ReturnStatement', 'ThrowStatement'].includes(statement.type))) {
+      return 'unreachable';
+    }
+  }
+  return reach;
+}
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+/**
+ * Compares an original spec with its healed version
+ * @param {string} original - Original spec source
+ * @param {string} healed - Healed spec source
+ * @param {Object} [options]
+ * @param {boolean} [options.typescript=false] - The spec is TypeScript (types are compared too)
+ * @returns {{errors: string[], warnings: string[], before: Object|null, after: Object|null}} Findings
+ */
+function checkHealedSpec(original, healed, { typescript = false } = {}) {
+  let before;
+  try {
+    before = summarizeSpec(original, { typescript });
+  } catch (error) {
+    // A spec that does not parse has nothing to protect yet (e.g. a script-error repair)
+    return { errors: [], warnings: [`The original spec could not be compared: ${error.message}`], before: null, after: null };
+  }
+
+  let after;
+  try {
+    after = summarizeSpec(healed, { typescript });
+  } catch (error) {
+    return { errors: [`The healed spec does not parse: ${error.message}`], warnings: [], before, after: null };
+  }
+
+  const errors = [];
+  const warnings = [];
+
+  // Tests
+  const removedTests = missingFrom(before.tests, after.tests);
+  if (after.tests.length < before.tests.length) {
+    errors.push(`Tests removed: ${before.tests.length} → ${after.tests.length}${removedTests.length ? ` (${quoteList(removedTests)})` : ''}`);
+  } else if (removedTests.length > 0) {
+    warnings.push(`Tests renamed: ${quoteList(removedTests)} no longer exist`);
+  }
+  if (after.skipped > before.skipped) {
+    errors.push(`Tests skipped: ${after.skipped - before.skipped} test(s) or suite(s) newly marked skip/fixme`);
+  }
+  if (after.focused > before.focused) {
+    errors.push(`Tests focused: ${after.focused - before.focused} test(s) or suite(s) newly marked only, which skips every other test`);
+  }
+
+  // Assertions
+  if (after.assertions.length < before.assertions.length) {
+    errors.push(`Assertions removed: ${before.assertions.length} → ${after.assertions.length}`);
+  }
+  const softened = countWhere(after.assertions, a => a.soft) - countWhere(before.assertions, a => a.soft);
+  if (softened > 0) {
+    errors.push(`Assertions weakened: ${softened} expect() call(s) turned into expect.soft()`);
+  }
+  const trivial = countWhere(after.assertions, a => a.alwaysTrue) - countWhere(before.assertions, a => a.alwaysTrue);
+  if (trivial > 0) {
+    errors.push(`Assertions weakened: ${trivial} new comparison(s) that pass for any count, such as toBeGreaterThanOrEqual(0)`);
+  }
+  for (const [reach, description] of Object.entries(SWITCHED_OFF)) {
+    const switchedOff = countWhere(after.assertions, a => a.reach === reach) - countWhere(before.assertions, a => a.reach === reach);
+    if (switchedOff > 0) {
+      errors.push(`Assertions switched off: ${switchedOff} expect() call(s) ${description}`);
+    }
+  }
+
+  // Matchers
+  const beforeMatchers = before.assertions.map(describeMatcher);
+  const afterMatchers = after.assertions.map(describeMatcher);
+  const lost = missingFrom(beforeMatchers, afterMatchers);
+  const gained = missingFrom(afterMatchers, beforeMatchers);
+
+  for (const matcher of gained.filter(m => WEAK_MATCHERS.includes(m))) {
+    errors.push(`Assertions weakened: ${matcher} passes for almost any value`);
+  }
+  const unpaired = [...gained];
+  for (const matcher of lost) {
+    const opposite = unpaired.find(candidate => invertsMatcher(matcher, candidate));
+    if (opposite) {
+      unpaired.splice(unpaired.indexOf(opposite), 1);
+      errors.push(`Assertions inverted: ${matcher} replaced by ${opposite}, which expects the opposite`);
+      continue;
+    }
+    const weaker = gained.find(candidate => (WEAKER_VARIANTS[matcher] || []).includes(candidate));
+    if (weaker) {
+      errors.push(`Assertions weakened: ${matcher} replaced by the looser ${weaker}`);
+    } else if (!errors.some(error => error.startsWith('Assertions removed')) && trivial <= 0) {
+      warnings.push(`Matcher changed: ${matcher} is no longer used${gained.length ? ` (new: ${quoteList(gained)})` : ''}`);
+    }
+  }
+
+  // Types
+  if (after.types.annotations < before.types.annotations) {
+    errors.push(`Type annotations removed: ${before.types.annotations} → ${after.types.annotations}`);
+  }
+  const removedDeclarations = missingFrom(before.types.declarations, after.types.declarations);
+  if (removedDeclarations.length > 0) {
+    errors.push(`Type declarations removed: ${quoteList(removedDeclarations)}`);
+  }
+  if (after.types.any > before.types.any) {
+    errors.push(`Types weakened: ${after.types.any - before.types.any} new \`any\` type(s)`);
+  }
+  if (after.types.suppressions > before.types.suppressions) {
+    errors.push(`Type checks bypassed: ${after.types.suppressions - before.types.suppressions} new @ts-ignore/@ts-expect-error/@ts-nocheck comment(s)`);
+  }
+
+  // URLs
+  const removedUrls = missingFrom(before.urls, after.urls);
+  const addedUrls = missingFrom(after.urls, before.urls);
+  if (removedUrls.length > 0 || addedUrls.length > 0) {
+    warnings.push(`Visited URLs changed: ${quoteList(removedUrls) || 'none'} → ${quoteList(addedUrls) || 'none'}`);
+  }
+
+  return { errors, warnings, before, after };
+}
+
+/**
+ * Compares a spec with one regenerated from a description of it
+ * Test titles and matchers are compared one-for-one; selectors, waits and structure may differ
+ * @param {string} original - Original spec source
+ * @param {string} regenerated - Spec generated from the description
+ * @param {Object} [options]
+ * @param {boolean} [options.typescript=false] - The specs are TypeScript
+ * @returns {{mismatches: string[], before: Object, after: Object|null}} Differences (empty when they match)
+ * @throws {Error} When the original spec does not parse
+ */
+function compareSpecs(original, regenerated, { typescript = false } = {}) {
+  const before = summarizeSpec(original, { typescript });
+  let after;
+  try {
+    after = summarizeSpec(regenerated, { typescript });
+  } catch (error) {
+    return { mismatches: [`The regenerated spec does not parse: ${error.message}`], before, after: null };
+  }
+
+  const mismatches = [];
+  const missingTests = missingFrom(before.tests, after.tests);
+  const extraTests = missingFrom(after.tests, before.tests);
+  if (missingTests.length > 0) mismatches.push(`Tests missing: ${quoteList(missingTests)}`);
+  if (extraTests.length > 0) mismatches.push(`Tests not in the original: ${quoteList(extraTests)}`);
+
+  const beforeMatchers = before.assertions.map(describeMatcher);
+  const afterMatchers = after.assertions.map(describeMatcher);
+  const missingMatchers = missingFrom(beforeMatchers, afterMatchers);
+  const extraMatchers = missingFrom(afterMatchers, beforeMatchers);
+  if (missingMatchers.length > 0) mismatches.push(`Assertions missing: ${countList(missingMatchers)}`);
+  if (extraMatchers.length > 0) mismatches.push(`Assertions not in the original: ${countList(extraMatchers)}`);
+
+  return { mismatches, before, after };
+}
+
+/**
+ * Renders guard findings for the console
+ * @param {Object} result - Result of checkHealedSpec
+ * @returns {string} Report ('' when there is nothing to report)
+ */
+function formatGuardReport(result) {
+  const lines = [];
+  if (result.before && result.after) {
+    lines.push(
+      `Tests: ${result.before.tests.length} → ${result.after.tests.length}, ` +
+      `assertions: ${result.before.assertions.length} → ${result.after.assertions.length}`
+    );
+  }
+  result.errors.forEach(error => lines.push(`✗ ${error}`));
+  result.warnings.forEach(warning => lines.push(`⚠ ${warning}`));
+  return result.errors.length || result.warnings.length ? lines.join('\n') : '';
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Items of `a` not matched one-for-one by items of `b` (multiset difference)
+ * @param {string[]} a - First list
+ * @param {string[]} b - Second list
+ * @returns {string[]} Unmatched items of `a`
+ */
+function missingFrom(a, b) {
+  const remaining = [...b];
+  return a.filter(item => {
+    const index = remaining.indexOf(item);
+    if (index === -1) return true;
+    remaining.splice(index, 1);
+    return false;
+  });
+}
+
+/**
+ * Matcher name including negation, e.g. "not.toBeVisible"; toHaveCount(0) keeps its count, since
+ * it asserts absence rather than a number of elements
+ * @param {Object} assertion - Assertion from summarizeSpec
+ * @returns {string} Matcher
+ */
+function describeMatcher(assertion) {
+  const matcher = assertion.count === 0 ? `${assertion.matcher}(0)` : assertion.matcher;
+  return assertion.negated ? `not.${matcher}` : matcher;
+}
+
+/**
+ * Whether one matcher asserts the opposite of another, e.g. toBeVisible and not.toBeVisible,
+ * toBeHidden or toHaveCount(0)
+ * @param {string} before - Matcher from describeMatcher
+ * @param {string} after - Matcher from describeMatcher
+ * @returns {boolean} True when the direction flipped
+ */
+function invertsMatcher(before, after) {
+  const polarity = described => {
+    const negated = described.startsWith('not.');
+    const matcher = negated ? described.slice('not.'.length) : described;
+    const [subject, opposite] = MATCHER_POLARITY[matcher] || [matcher, false];
+    return { subject, positive: negated === opposite };
+  };
+  const a = polarity(before);
+  const b = polarity(after);
+  return a.subject === b.subject && a.positive !== b.positive;
+}
+
+/**
+ * Counts items matching a predicate
+ * @param {Array} items - Items
+ * @param {Function} predicate - Test
+ * @returns {number} Count
+ */
+function countWhere(items, predicate) {
+  return items.filter(predicate).length;
+}
+
+/**
+ * Renders distinct items as a quoted, comma-separated list
+ * @param {string[]} items - Items
+ * @returns {string} List
+ */
+function quoteList(items) {
+  return [...new Set(items)].map(item => `"${item}"`).join(', ');
+}
+
+/**
+ * Renders items with their counts, e.g. "toBeVisible ×2, toHaveURL"
+ * @param {string[]} items - Items
+ * @returns {string} List
+ */
+function countList(items) {
+  return [...new Set(items)]
+    .map(item => {
+      const count = countWhere(items, other => other === item);
+      return count > 1 ? `${item} ×${count}` : item;
+    })
+    .join(', ');
+}
+
+/**
+ * Names along a callee made of identifiers and properties, e.g. test.describe.skip → ['test', 'describe', 'skip']
+ * @param {Object} node - Callee
+ * @returns {string[]|null} Names, or null when the callee is anything else
+ */
+function calleeChain(node) {
+  if (node.type === 'Identifier') return [node.name];
+  const name = memberName(node);
+  if (name === null) return null;
+  const object = calleeChain(node.object);
+  return object ? [...object, name] : null;
+}
+
+/**
+ * Value of a numeric literal, including negative ones (-1)
+ * @param {Object} [node] - Expression
+ * @returns {number|null} Value, or null when it is not a numeric literal
+ */
+function numberValue(node) {
+  if (node && node.type === 'NumericLiteral') return node.value;
+  if (node && node.type === 'UnaryExpression' && node.operator === '-' && node.argument.type === 'NumericLiteral') {
+    return -node.argument.value;
+  }
+  return null;
+}
+
+/**
+ * Whether a condition is a literal that is always false (false, 0, null, '')
+ * @param {Object} node - Expression
+ * @returns {boolean} True when the branch it guards never runs
+ */
+function isFalsyLiteral(node) {
+  return ['BooleanLiteral', 'NumericLiteral', 'StringLiteral'].includes(node.type) ? !node.value : node.type === 'NullLiteral';
+}
+
+/**
+ * Whether a catch block rethrows (or throws anything)
+ * @param {Object} node - Catch block body
+ * @returns {boolean} True when a failure caught there still fails the test
+ */
+function containsThrow(node) {
+  let found = false;
+  walkAst(node, child => {
+    if (child.type === 'ThrowStatement') found = true;
+  });
+  return found;
+}
+
+/**
+ * Property name of a member expression (a.b or a['b'])
+ * @param {Object} node - AST node
+ * @returns {string|null} Property name, or null when not a member expression
+ */
+function memberName(node) {
+  if (node.type !== 'MemberExpression') return null;
+  if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+  return node.property.type === 'StringLiteral' ? node.property.value : null;
+}
+
+/**
+ * Whether a node is a function or arrow function expression
+ * @param {Object} node - AST node
+ * @returns {boolean} True for function expressions
+ */
+function isFunction(node) {
+  return node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression';
+}
+
+/**
+ * Text of a string or template literal (template expressions are kept as ${...})
+ * @param {Object} node - AST node
+ * @returns {string} Literal text, or "<expression>" for anything else
+ */
+function literalText(node) {
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral') {
+    return node.quasis.map((quasi, i) => quasi.value.cooked + (i < node.expressions.length ? '${...}' : '')).join('');
+  }
+  return '<expression>';
+}
+
+module.exports = {
+  summarizeSpec,
+  checkHealedSpec,
+  compareSpecs,
+  formatGuardReport
+};
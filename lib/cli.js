@@ -0,0 +1,101 @@
+/**
+ * Command-Line Parsing for AI Self-Healing QA Framework
+ *
+ * Every command (generate_test.js, debug_test.js, run_tests.js, report.js and the ai-qa CLI)
+ * declares its flags in a table and parses them here, so flags behave the same everywhere:
+ *
+ *   const OPTIONS = {
+ *     '--module':     { key: 'modules', type: 'list' },
+ *     '--force':      { key: 'force', type: 'boolean' },
+ *     '--no-backup':  { key: 'backup', type: 'boolean', value: false },
+ *     '--report':     { key: 'reportPath', type: 'optional', fallback: 'test-results/results.json' },
+ *     '--top':        { key: 'top', type: 'integer' }
+ *   };
+ *
+ * Types:
+ *   - string:   takes the next argument
+ *   - integer:  takes the next argument as an integer (NaN when it is not one; callers validate)
+ *   - list:     takes the next argument and appends it (repeatable)
+ *   - optional: takes the next argument unless it is another flag, otherwise uses `fallback`
+ *   - boolean:  sets `value` (default true)
+ *
+ * `--config <path>` is accepted by every command: loadCommandConfig() reads it before the
+ * flags are parsed, so the config file can supply their defaults.
+ */
+
+const { loadConfig, getConfig } = require('./config');
+
+/**
+ * Loads the config file named by --config, or the default one
+ * @param {string[]} argv - Raw process arguments
+ * @returns {Object} Complete configuration
+ * @throws {Error} When the config file is missing or invalid
+ */
+function loadCommandConfig(argv) {
+  const index = argv.indexOf('--config');
+  if (index !== -1) {
+    if (!argv[index + 1] || argv[index + 1].startsWith('-')) {
+      throw new Error('--config needs a file path');
+    }
+    return loadConfig(argv[index + 1]);
+  }
+  return getConfig();
+}
+
+/**
+ * Parses command-line arguments against an option table
+ * @param {string[]} argv - Raw process arguments (the first two, node and the script, are skipped)
+ * @param {Object} options - Flag → { key, type, value, fallback }
+ * @param {Object} [defaults] - Initial values (e.g. from lib/config.js)
+ * @param {Object} [settings]
+ * @param {string} [settings.positional] - Key collecting non-flag arguments (otherwise they are reported as unknown)
+ * @returns {Object} Parsed values
+ */
+function parseArgs(argv, options, defaults = {}, { positional } = {}) {
+  const args = { ...defaults };
+  if (positional) args[positional] = [...(defaults[positional] || [])];
+  for (const option of Object.values(options)) {
+    if (option.type === 'list' && !args[option.key]) args[option.key] = [];
+  }
+
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--config') {
+      i++; // Read by loadCommandConfig()
+      continue;
+    }
+    const option = options[a];
+
+    if (!option) {
+      if (positional && !a.startsWith('-')) {
+        args[positional].push(a);
+      } else {
+        console.warn(`Unknown argument: ${a}`);
+      }
+      continue;
+    }
+
+    switch (option.type) {
+      case 'boolean':
+        args[option.key] = option.value ?? true;
+        break;
+      case 'integer':
+        args[option.key] = parseInt(argv[++i], 10);
+        break;
+      case 'list':
+        args[option.key] = [...args[option.key], argv[++i]];
+        break;
+      case 'optional':
+        args[option.key] = argv[i + 1] && !argv[i + 1].startsWith('-') ? argv[++i] : option.fallback;
+        break;
+      default:
+        args[option.key] = argv[++i];
+    }
+  }
+  return args;
+}
+
+module.exports = {
+  loadCommandConfig,
+  parseArgs
+};
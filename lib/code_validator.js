@@ -0,0 +1,283 @@
+/**
+ * Generated Code Validation for AI Self-Healing QA Framework
+ *
+ * Checks a generated spec before it is saved:
+ * 1. Parse it with @babel/parser (syntax errors are reported with line/column)
+ * 2. Confirm it imports or requires @playwright/test or the self-healing wrapper (lib/self_healing.js)
+ * 3. Write a temporary copy next to the target spec and run `playwright test --list` on it
+ *    to confirm Playwright can load the file and discovers at least one test
+ * 4. For TypeScript specs (.spec.ts), type-check the copy with tsc against the nearest tsconfig.json
+ *
+ * Every problem found is collected so it can be fed back to the LLM in a retry prompt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const babelParser = require('@babel/parser');
+const { toPosixPath } = require('./files');
+
+// Modules a generated spec may import its test runner from
+const PLAYWRIGHT_MODULES = ['@playwright/test'];
+
+// Relative imports of the self-healing wrapper, e.g. '../lib/self_healing'
+const SELF_HEALING_IMPORT = /^\.{1,2}\/(?:.*\/)?lib\/self_healing(?:\.js)?$/;
+
+// Maximum time to wait for `playwright test --list` or `tsc`
+const LIST_TIMEOUT_MS = 60000;
+
+// Languages a spec can be generated in
+const LANGUAGES = {
+  js: { name: 'JavaScript', extension: '.spec.js', fence: 'javascript' },
+  ts: { name: 'TypeScript', extension: '.spec.ts', fence: 'typescript' }
+};
+
+// tsc diagnostic line, e.g. "playwright-tests/a.spec.ts(3,7): error TS2322: Type ..."
+const TSC_ERROR_LINE = /^(.+?)\((\d+),(\d+)\): error (TS\d+): (.*)$/;
+
+/**
+ * Language of a spec or module, from its extension
+ * @param {string} file - File path
+ * @returns {string} 'ts' for TypeScript files, otherwise 'js'
+ */
+function specLanguage(file) {
+  return /\.[cm]?tsx?$/.test(file) ? 'ts' : 'js';
+}
+
+/**
+ * Parses spec source into a Babel AST
+ * @param {string} code - Spec source
+ * @param {Object} [options]
+ * @param {boolean} [options.typescript=false] - Parse TypeScript syntax (type annotations, interfaces, ...)
+ * @returns {Object} Babel File node
+ * @throws {Error} Syntax error including line and column
+ */
+function parseSpec(code, { typescript = false } = {}) {
+  try {
+    return babelParser.parse(code, {
+      sourceType: 'unambiguous',
+      errorRecovery: false,
+      plugins: typescript ? ['topLevelAwait', 'typescript'] : ['topLevelAwait']
+    });
+  } catch (error) {
+    const where = error.loc ? ` (line ${error.loc.line}, column ${error.loc.column + 1})` : '';
+    throw new Error(`Syntax error${where}: ${error.message.replace(/\s*\(\d+:\d+\)$/, '')}`);
+  }
+}
+
+/**
+ * Visits every node of a Babel AST
+ * @param {Object} node - Root node
+ * @param {Function} visitor - Called with (node, parent)
+ * @param {Object} [parent] - Parent node
+ */
+function walkAst(node, visitor, parent = null) {
+  if (!node || typeof node.type !== 'string') return;
+  visitor(node, parent);
+  for (const key of Object.keys(node)) {
+    if (key === 'loc' || key === 'start' || key === 'end' || key === 'extra') continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(item => walkAst(item, visitor, node));
+    } else if (child && typeof child.type === 'string') {
+      walkAst(child, visitor, node);
+    }
+  }
+}
+
+/**
+ * Lists the module specifiers a spec imports or requires
+ * @param {Object} ast - Babel AST
+ * @returns {string[]} Module specifiers
+ */
+function findImports(ast) {
+  const sources = [];
+  walkAst(ast, node => {
+    if (node.type === 'ImportDeclaration') {
+      sources.push(node.source.value);
+    } else if (
+      node.type === 'CallExpression' &&
+      node.callee.type === 'Identifier' &&
+      node.callee.name === 'require' &&
+      node.arguments[0]?.type === 'StringLiteral'
+    ) {
+      sources.push(node.arguments[0].value);
+    }
+  });
+  return sources;
+}
+
+/**
+ * Runs `playwright test --list` on a temporary copy of the spec
+ * The copy sits next to the target so relative imports resolve exactly as they will once saved
+ * @param {string} code - Spec source
+ * @param {string} specPath - Where the spec is going to be saved
+ * @returns {Promise<{count: number, output: string}>} Number of tests discovered and CLI output
+ */
+async function listTests(code, specPath) {
+  const tempFile = writeTempCopy(code, specPath);
+  try {
+    const filter = path.relative(process.cwd(), tempFile).split(path.sep).join('/').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const output = await runCommand('npx', ['playwright', 'test', '--list', filter]);
+    const total = output.match(/Total: (\d+) tests? in/);
+    return { count: total ? parseInt(total[1], 10) : 0, output };
+  } finally {
+    fs.rmSync(tempFile, { force: true });
+  }
+}
+
+/**
+ * Type-checks a TypeScript spec with tsc against the nearest tsconfig.json
+ * The check is skipped, with a warning, when there is no tsconfig.json or typescript is not installed
+ * @param {string} code - Spec source
+ * @param {string} specPath - Where the spec is going to be saved
+ * @returns {Promise<string[]>} Type errors in the spec itself (errors in other files are ignored)
+ */
+async function typeCheckSpec(code, specPath) {
+  const tsconfig = findTsconfig(specPath);
+  if (!tsconfig) {
+    console.warn(`Warning: skipping the type check of ${specPath}: no tsconfig.json found`);
+    return [];
+  }
+  let tsc;
+  try {
+    tsc = require.resolve('typescript/bin/tsc');
+  } catch (error) {
+    console.warn(`Warning: skipping the type check of ${specPath}: typescript is not installed (npm install -D typescript)`);
+    return [];
+  }
+
+  const tempFile = writeTempCopy(code, specPath);
+  // A throwaway project that checks only the temporary copy, with the local compiler options
+  const tempConfig = path.join(path.dirname(tsconfig), `.tsconfig.validate-${process.pid}-${Date.now()}.json`);
+  fs.writeFileSync(tempConfig, JSON.stringify({
+    extends: `./${path.basename(tsconfig)}`,
+    compilerOptions: { noEmit: true },
+    files: [toPosixPath(path.relative(path.dirname(tempConfig), tempFile))],
+    include: []
+  }), 'utf-8');
+
+  try {
+    const output = await runCommand(process.execPath, [tsc, '-p', tempConfig, '--pretty', 'false']);
+    return output.split('\n')
+      .map(line => line.trim().match(TSC_ERROR_LINE))
+      .filter(match => match && path.resolve(path.dirname(tsconfig), match[1]) === path.resolve(tempFile))
+      .map(([, , line, column, code, message]) => `Type error (line ${line}, column ${column}): ${code} ${message}`);
+  } finally {
+    fs.rmSync(tempFile, { force: true });
+    fs.rmSync(tempConfig, { force: true });
+  }
+}
+
+/**
+ * Finds the tsconfig.json that applies to a spec: the nearest one in its directory or above
+ * @param {string} specPath - Spec path
+ * @returns {string|null} tsconfig.json path, or null
+ */
+function findTsconfig(specPath) {
+  let dir = path.dirname(path.resolve(specPath));
+  for (;;) {
+    const candidate = path.join(dir, 'tsconfig.json');
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Writes a hidden temporary copy of a spec next to its target
+ * The copy sits in the same directory so relative imports resolve exactly as they will once saved
+ * @param {string} code - Spec source
+ * @param {string} specPath - Where the spec is going to be saved
+ * @returns {string} Temporary file path (the caller removes it)
+ */
+function writeTempCopy(code, specPath) {
+  const dir = path.dirname(specPath);
+  const tempFile = path.join(dir, `.${path.basename(specPath).replace(/\.spec\./, `.validate-${process.pid}-${Date.now()}.spec.`)}`);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(tempFile, code, 'utf-8');
+  return tempFile;
+}
+
+/**
+ * Runs a command, capturing combined stdout/stderr
+ * Resolves regardless of exit code; the caller inspects the output
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @returns {Promise<string>} Combined output
+ */
+function runCommand(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { env: { ...process.env, FORCE_COLOR: '0' } });
+    let output = '';
+    const timer = setTimeout(() => child.kill(), LIST_TIMEOUT_MS);
+
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(new Error(`Failed to run ${command}: ${error.message}`));
+    });
+    child.on('close', () => {
+      clearTimeout(timer);
+      resolve(output);
+    });
+  });
+}
+
+/**
+ * Validates a generated spec and collects every problem found
+ * @param {string} code - Generated spec source
+ * @param {Object} [options]
+ * @param {string} [options.specPath] - Target path; enables the `playwright test --list` check and,
+ *   for .spec.ts files, the type check
+ * @param {boolean} [options.typescript] - Parse as TypeScript (default: from the specPath extension)
+ * @returns {Promise<string[]>} Validation errors (empty when the spec is valid)
+ */
+async function collectValidationErrors(code, { specPath, typescript = Boolean(specPath) && specLanguage(specPath) === 'ts' } = {}) {
+  let ast;
+  try {
+    ast = parseSpec(code, { typescript });
+  } catch (error) {
+    // Nothing else can be checked reliably without an AST
+    return [error.message];
+  }
+
+  const errors = [];
+  const imports = findImports(ast);
+  if (!imports.some(source => PLAYWRIGHT_MODULES.includes(source) || SELF_HEALING_IMPORT.test(source))) {
+    errors.push(`The spec must import test and expect from lib/self_healing.js or ${PLAYWRIGHT_MODULES.map(m => `"${m}"`).join(' or ')}`);
+  }
+
+  if (specPath && errors.length === 0) {
+    const { count, output } = await listTests(code, specPath);
+    if (count === 0) {
+      const details = output
+        .split('\n')
+        .filter(line => line.trim() && !/^(Listing tests:|Total:)/.test(line.trim()))
+        .slice(0, 20)
+        .join('\n');
+      errors.push(`Playwright did not discover any tests in the spec${details ? `:\n${details}` : ''}`);
+    }
+  }
+
+  if (specPath && typescript && errors.length === 0) {
+    errors.push(...await typeCheckSpec(code, specPath));
+  }
+
+  return errors;
+}
+
+module.exports = {
+  PLAYWRIGHT_MODULES,
+  LANGUAGES,
+  specLanguage,
+  parseSpec,
+  walkAst,
+  findImports,
+  listTests,
+  typeCheckSpec,
+  findTsconfig,
+  collectValidationErrors
+};
@@ -0,0 +1,73 @@
+/**
+ * Concurrency Helpers for AI Self-Healing QA Framework
+ *
+ * Runs batch work (one LLM call per test input, for example) with a cap on how many
+ * tasks are in flight, collecting every outcome instead of stopping at the first error.
+ * createLimiter() caps calls that start from different places, such as every request a
+ * provider sends while generation and healing run side by side.
+ */
+
+/**
+ * Maps items through an async function with at most `limit` calls running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array<{status: string, value?: *, reason?: Error}>>}
+ *   Settled results in input order, shaped like Promise.allSettled()
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * Creates a limiter that runs at most `limit` tasks at once, queueing the rest in call order
+ * @param {number} limit - Maximum number of concurrent tasks
+ * @returns {function(Function): Promise<*>} Runs an async task when a slot is free and resolves with its result
+ */
+function createLimiter(limit) {
+  const queue = [];
+  let active = 0;
+
+  // A finishing task hands its slot straight to the next queued one
+  const release = () => {
+    if (queue.length > 0) {
+      queue.shift()();
+    } else {
+      active--;
+    }
+  };
+
+  return async task => {
+    if (active >= limit) {
+      await new Promise(resolve => queue.push(resolve));
+    } else {
+      active++;
+    }
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  };
+}
+
+module.exports = {
+  mapWithConcurrency,
+  createLimiter
+};
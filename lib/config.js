@@ -0,0 +1,418 @@
+/**
+ * Configuration for AI Self-Healing QA Framework
+ *
+ * One file holds the settings shared by every command (ai-qa generate/heal/run/report and the
+ * scripts behind them). It is looked up in the working directory as ai-qa.config.js or
+ * ai-qa.config.json, or given with --config (or AI_QA_CONFIG, which is how the Playwright runs
+ * started by `ai-qa run` see the same file):
+ *
+ *   module.exports = {
+ *     paths: { inputDir: 'test-inputs', outputDir: 'playwright-tests' },
+ *     provider: { name: 'gemini', temperature: 0.2, maxTokens: { generate: 2000 }, timeoutMs: 60000 },
+ *     generate: { concurrency: 5 },
+ *     heal: { maxAttempts: 3 },
+ *     environments: { staging: { baseURL: 'https://staging.example.com' } }
+ *   };
+ *
+ * Missing settings fall back to DEFAULT_CONFIG. Precedence, highest first: command-line flags,
+ * environment variables (AI_QA_PROVIDER, AI_QA_MODEL, AI_QA_HISTORY, ...), the config file, defaults.
+ * The file is validated on load, and every problem is reported at once with its key path.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Config files looked up in the working directory, in order
+const CONFIG_FILES = ['ai-qa.config.js', 'ai-qa.config.json'];
+
+// Providers the provider.name setting accepts (see lib/llm_provider.js)
+const PROVIDER_NAMES = ['perplexity', 'openai', 'gemini', 'mock'];
+
+// Languages the generate.lang setting accepts (see LANGUAGES in lib/code_validator.js)
+const SPEC_LANGUAGES = ['js', 'ts'];
+
+// Environment variable names, for environments.<name>.credentials
+const ENV_VAR_NAME = /^[A-Z_][A-Z0-9_]*$/;
+
+/**
+ * Settings used when the config file does not set them
+ * null means "not set": the command falls back to the environment or its built-in default
+ */
+const DEFAULT_CONFIG = {
+  paths: {
+    inputDir: 'test-inputs',
+    outputDir: 'playwright-tests',
+    manifest: 'playwright-tests/.ai-qa-manifest.json',
+    history: '.ai-qa/history.jsonl'
+  },
+  provider: {
+    name: null,
+    model: null,
+    baseURL: null,
+    temperature: 0.2,
+    maxTokens: {
+      generate: 2000,
+      pageObjects: 3000,
+      heal: 3000,
+      update: 3000,
+      describe: 1500
+    },
+    timeoutMs: 60000,
+    maxRetries: 4,
+    maxConcurrent: 4,
+    contextWindow: null
+  },
+  generate: {
+    concurrency: 3,
+    maxRetries: 3,
+    lang: 'js',
+    pom: false,
+    explore: false,
+    baseURL: null
+  },
+  heal: {
+    maxAttempts: 3,
+    backup: true,
+    force: false,
+    allowWeakening: false
+  },
+  prompts: {
+    generate: null,
+    pageObjects: null,
+    heal: null,
+    update: null,
+    describe: null,
+    examples: null
+  },
+  // Named deployments the suite runs against, see lib/environments.js:
+  // { <name>: { baseURL, credentials: { <variable the specs read>: <variable holding it for this environment> } } }
+  environments: {}
+};
+
+/**
+ * Extra checks for settings whose type alone is not enough
+ * Each returns an error message, or null when the value is fine
+ */
+const VALIDATORS = {
+  'provider.name': value => (PROVIDER_NAMES.includes(value) ? null : `must be one of ${PROVIDER_NAMES.join(', ')}`),
+  'provider.temperature': value => (value >= 0 && value <= 2 ? null : 'must be between 0 and 2'),
+  'provider.maxTokens.generate': positiveInteger,
+  'provider.maxTokens.pageObjects': positiveInteger,
+  'provider.maxTokens.heal': positiveInteger,
+  'provider.maxTokens.update': positiveInteger,
+  'provider.maxTokens.describe': positiveInteger,
+  'provider.timeoutMs': positiveInteger,
+  'provider.maxRetries': value => (Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer'),
+  'provider.maxConcurrent': positiveInteger,
+  'provider.contextWindow': positiveInteger,
+  'generate.concurrency': positiveInteger,
+  'generate.maxRetries': positiveInteger,
+  'generate.lang': value => (SPEC_LANGUAGES.includes(value) ? null : `must be one of ${SPEC_LANGUAGES.join(', ')}`),
+  'heal.maxAttempts': positiveInteger,
+  'prompts.generate': existingFile,
+  'prompts.pageObjects': existingFile,
+  'prompts.heal': existingFile,
+  'prompts.update': existingFile,
+  'prompts.describe': existingFile,
+  'prompts.examples': existingDirectory
+};
+
+/**
+ * Settings that hold entries named by the user rather than known keys
+ * Each entry is checked by the validator, which returns its problems
+ */
+const MAP_SETTINGS = {
+  environments: validateEnvironment
+};
+
+// Settings that take a string when set (their default is null)
+const NULLABLE_STRINGS = ['provider.name', 'provider.model', 'provider.baseURL', 'generate.baseURL', 'prompts.generate', 'prompts.pageObjects', 'prompts.heal', 'prompts.update', 'prompts.describe', 'prompts.examples'];
+
+// Settings that take a number when set (their default is null)
+const NULLABLE_NUMBERS = ['provider.contextWindow'];
+
+let cachedConfig = null;
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Loads, validates and caches the configuration
+ * @param {string} [configPath] - Config file (default: $AI_QA_CONFIG, else the first of CONFIG_FILES that exists)
+ * @returns {Object} Complete configuration (defaults merged in)
+ * @throws {Error} When the file cannot be read or has invalid settings
+ */
+function loadConfig(configPath) {
+  const file = configPath || process.env.AI_QA_CONFIG || CONFIG_FILES.find(candidate => fs.existsSync(candidate));
+  const userConfig = file ? readConfigFile(file) : {};
+
+  const errors = validateConfig(userConfig);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration in "${file}":\n- ${errors.join('\n- ')}`);
+  }
+
+  cachedConfig = { ...mergeDefaults(DEFAULT_CONFIG, userConfig), file: file || null };
+  return cachedConfig;
+}
+
+/**
+ * Returns the configuration, loading it from the working directory on first use
+ * @returns {Object} Complete configuration
+ */
+function getConfig() {
+  return cachedConfig || loadConfig();
+}
+
+/**
+ * Sampling parameters for one kind of LLM request
+ * @param {string} purpose - 'generate', 'pageObjects', 'heal', 'update' or 'describe'
+ * @returns {{temperature: number, maxTokens: number}} Parameters for provider.complete()
+ */
+function completionParams(purpose) {
+  const { provider } = getConfig();
+  return { temperature: provider.temperature, maxTokens: provider.maxTokens[purpose] };
+}
+
+/**
+ * Reads a .js or .json config file
+ * @param {string} file - Config file
+ * @returns {Object} Settings as written
+ * @throws {Error} When the file is missing, does not parse or is not an object
+ */
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Config file "${file}" does not exist`);
+  }
+
+  let config;
+  try {
+    if (file.endsWith('.json')) {
+      config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } else {
+      const resolved = path.resolve(file);
+      delete require.cache[resolved];
+      config = require(resolved);
+    }
+  } catch (error) {
+    throw new Error(`Failed to read config file "${file}": ${error.message}`);
+  }
+
+  if (!isPlainObject(config)) {
+    throw new Error(`Config file "${file}" must export an object`);
+  }
+  return config;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks settings against DEFAULT_CONFIG: known keys, matching types and value ranges
+ * @param {Object} config - Settings as written in the config file
+ * @returns {string[]} Problems, each starting with the key path (empty when valid)
+ */
+function validateConfig(config) {
+  const errors = [];
+
+  const walk = (value, defaults, prefix) => {
+    for (const [key, setting] of Object.entries(value)) {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      if (!(key in defaults)) {
+        const suggestion = suggestKey(key, defaults, prefix);
+        errors.push(`${keyPath} is not a known setting${suggestion
+          ? ` (did you mean ${suggestion}?)`
+          : `; expected one of ${Object.keys(defaults).join(', ')}`}`);
+        continue;
+      }
+
+      const expected = defaults[key];
+      if (MAP_SETTINGS[keyPath]) {
+        if (isPlainObject(setting)) {
+          for (const [name, entry] of Object.entries(setting)) {
+            errors.push(...MAP_SETTINGS[keyPath](`${keyPath}.${name}`, entry));
+          }
+        } else {
+          errors.push(`${keyPath} must be an object of named entries`);
+        }
+        continue;
+      }
+      if (isPlainObject(expected)) {
+        if (isPlainObject(setting)) {
+          walk(setting, expected, keyPath);
+        } else {
+          errors.push(`${keyPath} must be an object with ${Object.keys(expected).join(', ')}`);
+        }
+        continue;
+      }
+
+      if (setting === null && expected === null) continue;
+      const expectedType = expected !== null ? typeof expected
+        : NULLABLE_NUMBERS.includes(keyPath) ? 'number'
+          : NULLABLE_STRINGS.includes(keyPath) ? 'string' : typeof expected;
+      if (typeof setting !== expectedType || (expectedType === 'number' && Number.isNaN(setting))) {
+        errors.push(`${keyPath} must be a ${expectedType}, got ${JSON.stringify(setting)}`);
+        continue;
+      }
+      if (expectedType === 'string' && setting.trim() === '') {
+        errors.push(`${keyPath} must not be empty`);
+        continue;
+      }
+
+      const problem = VALIDATORS[keyPath] && VALIDATORS[keyPath](setting);
+      if (problem) {
+        errors.push(`${keyPath} ${problem}, got ${JSON.stringify(setting)}`);
+      }
+    }
+  };
+
+  walk(config, DEFAULT_CONFIG, '');
+  return errors;
+}
+
+/**
+ * Finds the setting an unknown key was probably meant to be
+ * Looks for a near-miss among its siblings first (e.g. temprature), then for the same name
+ * elsewhere in the config (e.g. outputDir at the top level instead of under paths)
+ * @param {string} key - Unknown key
+ * @param {Object} siblings - Defaults at the key's level
+ * @param {string} prefix - Key path of that level ('' at the top)
+ * @returns {string|null} Suggested key path, or null
+ */
+function suggestKey(key, siblings, prefix) {
+  const lower = key.toLowerCase();
+  const sibling = Object.keys(siblings).find(candidate => editDistance(candidate.toLowerCase(), lower) <= 2);
+  if (sibling) {
+    return prefix ? `${prefix}.${sibling}` : sibling;
+  }
+
+  const find = (defaults, basePath) => {
+    for (const [candidate, value] of Object.entries(defaults)) {
+      const candidatePath = basePath ? `${basePath}.${candidate}` : candidate;
+      if (candidate.toLowerCase() === lower) return candidatePath;
+      const nested = isPlainObject(value) ? find(value, candidatePath) : null;
+      if (nested) return nested;
+    }
+    return null;
+  };
+  return find(DEFAULT_CONFIG, '');
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Validator for counts and limits
+ * @param {number} value - Setting value
+ * @returns {string|null} Problem, or null
+ */
+function positiveInteger(value) {
+  return Number.isInteger(value) && value > 0 ? null : 'must be a positive integer';
+}
+
+/**
+ * Validator for one entry of the environments setting
+ * @param {string} keyPath - Key path of the entry, e.g. environments.staging
+ * @param {*} value - Entry as written
+ * @returns {string[]} Problems (empty when valid)
+ */
+function validateEnvironment(keyPath, value) {
+  const name = keyPath.split('.').pop();
+  if (!/^[\w-]+$/.test(name) || name === 'all') {
+    return [`${keyPath}: environment names may only use letters, digits, - and _, and "all" is reserved`];
+  }
+  if (!isPlainObject(value)) {
+    return [`${keyPath} must be an object with baseURL and optionally credentials`];
+  }
+
+  const errors = Object.keys(value)
+    .filter(key => !['baseURL', 'credentials'].includes(key))
+    .map(key => `${keyPath}.${key} is not a known setting; expected baseURL, credentials`);
+  if (typeof value.baseURL !== 'string' || !/^https?:\/\/[^/\s]+/.test(value.baseURL)) {
+    errors.push(`${keyPath}.baseURL must be an http(s) URL, got ${JSON.stringify(value.baseURL)}`);
+  }
+  if (value.credentials !== undefined) {
+    if (!isPlainObject(value.credentials)) {
+      errors.push(`${keyPath}.credentials must map variable names to the variables holding their values`);
+    } else {
+      for (const [variable, source] of Object.entries(value.credentials)) {
+        if (!ENV_VAR_NAME.test(variable) || typeof source !== 'string' || !ENV_VAR_NAME.test(source)) {
+          errors.push(`${keyPath}.credentials.${variable} must name an environment variable (e.g. STAGING_QA_PASSWORD), got ${JSON.stringify(source)}`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validator for template paths
+ * @param {string} value - Setting value
+ * @returns {string|null} Problem, or null
+ */
+function existingFile(value) {
+  return fs.existsSync(value) && fs.statSync(value).isFile() ? null : 'must point to an existing file';
+}
+
+/**
+ * Validator for folder paths
+ * @param {string} value - Setting value
+ * @returns {string|null} Problem, or null
+ */
+function existingDirectory(value) {
+  return fs.existsSync(value) && fs.statSync(value).isDirectory() ? null : 'must point to an existing directory';
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Deep-merges settings over defaults (arrays, scalars and MAP_SETTINGS replace, objects merge)
+ * @param {Object} defaults - Default settings
+ * @param {Object} overrides - Settings from the config file
+ * @returns {Object} Merged copy
+ */
+function mergeDefaults(defaults, overrides) {
+  const merged = {};
+  for (const [key, value] of Object.entries(defaults)) {
+    merged[key] = isPlainObject(value) && !MAP_SETTINGS[key]
+      ? mergeDefaults(value, isPlainObject(overrides[key]) ? overrides[key] : {})
+      : (key in overrides ? overrides[key] : value);
+  }
+  return merged;
+}
+
+/**
+ * Whether a value is a plain object (not null or an array)
+ * @param {*} value - Value
+ * @returns {boolean} True for objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  CONFIG_FILES,
+  DEFAULT_CONFIG,
+  loadConfig,
+  getConfig,
+  completionParams,
+  validateConfig
+};
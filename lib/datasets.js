@@ -0,0 +1,222 @@
+/**
+ * Test Datasets for AI Self-Healing QA Framework
+ *
+ * A description can run the same steps once per row of a CSV or JSON file kept next to it in the
+ * module directory, by naming the file after the word "dataset":
+ *
+ *   For each row in the dataset 'data/users.csv':
+ *   Go to /login.
+ *   Type the row's email into the email field.
+ *   ...
+ *
+ * The generated spec loads the rows when it is loaded, one test per row:
+ *
+ *   const { loadDataset } = require('../../lib/datasets');
+ *   for (const user of loadDataset('test-inputs/module-A/data/users.csv')) {
+ *     test(`logs in as ${user.email}`, async ({ page }) => { ... });
+ *   }
+ *
+ * CSV files have a header row; JSON files hold an array of objects. Cells can use ${ENV_VAR}
+ * placeholders, so credentials stay in the environment: they are read when the cell is, and a
+ * variable that is not set fails with its name. Inside a test that fails only that test, but a
+ * test title is built when the file loads, so a placeholder column in a title (the password
+ * rather than the email above) fails the whole file; the generator keeps them out of titles.
+ * Paths are relative to the project root, where Playwright is run from.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// File types a dataset can be
+const DATASET_EXTENSIONS = ['.csv', '.json'];
+
+// "dataset 'users.csv'", "dataset: data/users.json", ... in a description
+const DATASET_REFERENCE = /\bdataset:?\s+['"]?([\w./-]+\.(?:csv|json))\b/gi;
+
+// Matches ${ENV_VAR} placeholders (as in lib/description_parser.js)
+const ENV_PLACEHOLDER_REGEX = /\$\{([A-Z_][A-Z0-9_]*)\}/g;
+
+// Rows shown to the model as a sample of each dataset
+const PREVIEW_ROWS = 2;
+
+// ============================================================================
+// LOADING (used by generated specs)
+// ============================================================================
+
+/**
+ * Reads the rows of a dataset
+ * @param {string} file - CSV or JSON file, relative to the project root
+ * @returns {Object<string, string>[]} One object per row, keyed by column
+ * @throws {Error} When the file is missing, malformed or has no rows
+ */
+function loadDataset(file) {
+  const rows = readRows(file);
+  return rows.map(row => {
+    const resolved = {};
+    for (const [column, value] of Object.entries(row)) {
+      const vars = typeof value === 'string' ? [...value.matchAll(ENV_PLACEHOLDER_REGEX)].map(match => match[1]) : [];
+      if (vars.length === 0) {
+        resolved[column] = value;
+        continue;
+      }
+      Object.defineProperty(resolved, column, {
+        enumerable: true,
+        get() {
+          const missing = vars.filter(name => process.env[name] === undefined);
+          if (missing.length > 0) {
+            throw new Error(`Dataset "${file}" column "${column}" needs ${missing.join(', ')}, which is not set`);
+          }
+          return value.replace(ENV_PLACEHOLDER_REGEX, (match, name) => process.env[name]);
+        }
+      });
+    }
+    return resolved;
+  });
+}
+
+/**
+ * Reads and parses a dataset file, leaving placeholders as written
+ * @param {string} file - CSV or JSON file
+ * @returns {Object[]} Rows
+ * @throws {Error} When the file is missing, malformed or has no rows
+ */
+function readRows(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (!DATASET_EXTENSIONS.includes(ext)) {
+    throw new Error(`Dataset "${file}" must be a ${DATASET_EXTENSIONS.join(' or ')} file`);
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(path.resolve(file), 'utf-8');
+  } catch (error) {
+    throw new Error(`Failed to read dataset "${file}": ${error.message}`);
+  }
+
+  let rows;
+  if (ext === '.csv') {
+    rows = parseCsv(content, file);
+  } else {
+    try {
+      rows = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON in dataset "${file}": ${error.message}`);
+    }
+    if (!Array.isArray(rows) || rows.some(row => row === null || typeof row !== 'object' || Array.isArray(row))) {
+      throw new Error(`Dataset "${file}" must hold an array of objects`);
+    }
+  }
+
+  if (rows.length === 0) {
+    throw new Error(`Dataset "${file}" has no rows`);
+  }
+  return rows;
+}
+
+/**
+ * Parses CSV with a header row (RFC 4180: quoted fields, "" escapes, CRLF or LF line ends)
+ * @param {string} content - CSV text
+ * @param {string} [file] - File name for error messages
+ * @returns {Object<string, string>[]} Rows keyed by header
+ * @throws {Error} When a row has a different number of fields than the header
+ */
+function parseCsv(content, file = 'CSV') {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  const text = content.replace(/^\uFEFF/, '');
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...rows] = records.filter(fields => fields.some(value => value.trim() !== ''));
+  if (!header) {
+    return [];
+  }
+  const columns = header.map(column => column.trim());
+  return rows.map((fields, index) => {
+    if (fields.length !== columns.length) {
+      throw new Error(`${file} row ${index + 2} has ${fields.length} field(s), the header has ${columns.length}`);
+    }
+    return Object.fromEntries(columns.map((column, i) => [column, fields[i]]));
+  });
+}
+
+// ============================================================================
+// GENERATION
+// ============================================================================
+
+/**
+ * Lists the datasets a description refers to
+ * @param {string} inputFile - Description path; dataset names are relative to its directory
+ * @param {string} text - Description text (a scenario, for structured formats)
+ * @returns {{file: string, columns: string[], rows: number, preview: Object[]}[]} Datasets, with
+ *   `file` relative to the project root as the spec must load it
+ * @throws {Error} When a referenced dataset does not exist or cannot be read
+ */
+function findDatasets(inputFile, text) {
+  const names = [...new Set([...String(text).matchAll(DATASET_REFERENCE)].map(match => match[1]))];
+  return names.map(name => {
+    const file = path.relative(process.cwd(), path.resolve(path.dirname(inputFile), name)).split(path.sep).join('/');
+    if (!fs.existsSync(file)) {
+      throw new Error(`Dataset "${name}" referenced by "${inputFile}" does not exist (looked for ${file})`);
+    }
+    const rows = readRows(file);
+    return {
+      file,
+      columns: [...new Set(rows.flatMap(row => Object.keys(row)))],
+      rows: rows.length,
+      preview: rows.slice(0, PREVIEW_ROWS)
+    };
+  });
+}
+
+/**
+ * Checks that a spec loads its datasets at runtime instead of copying their rows
+ * @param {string} code - Spec source
+ * @param {{file: string}[]} datasets - Datasets from findDatasets
+ * @returns {string[]} Problems (empty when every dataset is loaded)
+ */
+function checkDatasetUsage(code, datasets) {
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return datasets
+    .filter(({ file }) => !new RegExp(`loadDataset\\(\\s*(['"\`])${escape(file)}\\1`).test(code))
+    .map(({ file }) => `The spec must load "${file}" with loadDataset('${file}') and run the steps for each of its rows instead of copying the rows into the spec`);
+}
+
+module.exports = {
+  DATASET_EXTENSIONS,
+  loadDataset,
+  parseCsv,
+  findDatasets,
+  checkDatasetUsage
+};
@@ -0,0 +1,395 @@
+/**
+ * Test Description Parser for AI Self-Healing QA Framework
+ *
+ * Turns a test input file into scenarios the generator can prompt for. Three formats are
+ * supported, chosen by extension:
+ *
+ * - .txt:            Free-form prose, passed to the LLM as a single scenario
+ * - .yaml / .yml:    Structured steps (see below)
+ * - .feature:        Gherkin (Feature, Background, Scenario, Scenario Outline, Examples,
+ *                    tags and data tables)
+ *
+ * YAML layout:
+ *   feature: Login
+ *   tags: [smoke]
+ *   scenarios:
+ *     - name: Valid credentials
+ *       tags: [happy-path]
+ *       steps:
+ *         - Go to http://qa.example.com/login
+ *         - Type ${QA_EMAIL} into the email field
+ *         - step: Fill the form with
+ *           table:
+ *             - { field: email, value: "${QA_EMAIL}" }
+ *       expect:
+ *         - A welcome message is visible
+ *
+ * `${ENV_VAR}` placeholders are kept as-is in the prompt and turned into `process.env.ENV_VAR`
+ * references in the generated code by applyEnvPlaceholders().
+ */
+
+const path = require('path');
+const YAML = require('yaml');
+
+// Extensions understood by parseDescription
+const DESCRIPTION_EXTENSIONS = ['.txt', '.yaml', '.yml', '.feature'];
+
+// Matches ${ENV_VAR} placeholders
+const ENV_PLACEHOLDER_REGEX = /\$\{([A-Z_][A-Z0-9_]*)\}/g;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parses a test description into scenarios
+ * @param {string} filePath - Path of the description (used to pick the format)
+ * @param {string} content - File content
+ * @returns {{format: string, feature: string|null, scenarios: Object[]}} Parsed description
+ *   Each scenario has { name, slug, tags, steps: [{ keyword, text, table }], expect, envVars };
+ *   plain text yields a single scenario with slug null and the raw text in `text`
+ */
+function parseDescription(filePath, content) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.yaml' || ext === '.yml') {
+    return parseYamlDescription(filePath, content);
+  }
+  if (ext === '.feature') {
+    return parseGherkinDescription(filePath, content);
+  }
+
+  return {
+    format: 'text',
+    feature: null,
+    scenarios: [{ name: null, slug: null, tags: [], steps: [], expect: [], text: content, envVars: findEnvVars(content) }]
+  };
+}
+
+/**
+ * Parses the YAML description format
+ * @param {string} filePath - Path of the description (for error messages)
+ * @param {string} content - YAML content
+ * @returns {Object} Parsed description
+ */
+function parseYamlDescription(filePath, content) {
+  let doc;
+  try {
+    doc = YAML.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid YAML in "${filePath}": ${error.message}`);
+  }
+
+  if (!doc || !Array.isArray(doc.scenarios) || doc.scenarios.length === 0) {
+    throw new Error(`"${filePath}" must define a non-empty "scenarios" list`);
+  }
+
+  const featureTags = normaliseTags(doc.tags);
+  const scenarios = doc.scenarios.map((scenario, index) => {
+    if (!scenario || !scenario.name) {
+      throw new Error(`Scenario #${index + 1} in "${filePath}" is missing a "name"`);
+    }
+    if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+      throw new Error(`Scenario "${scenario.name}" in "${filePath}" must define a non-empty "steps" list`);
+    }
+
+    const steps = scenario.steps.map(step => {
+      if (typeof step === 'string') {
+        return { keyword: null, text: step, table: null };
+      }
+      return { keyword: null, text: String(step.step || ''), table: normaliseTable(step.table) };
+    });
+
+    return buildScenario(scenario.name, [...featureTags, ...normaliseTags(scenario.tags)], steps, scenario.expect || [], scenario.data);
+  });
+
+  return { format: 'yaml', feature: doc.feature || null, scenarios: uniqueSlugs(scenarios) };
+}
+
+/**
+ * Parses a Gherkin feature file
+ * Scenario Outlines are expanded into one scenario per Examples row
+ * @param {string} filePath - Path of the feature (for error messages)
+ * @param {string} content - Gherkin content
+ * @returns {Object} Parsed description
+ */
+function parseGherkinDescription(filePath, content) {
+  let feature = null;
+  let featureTags = [];
+  let pendingTags = [];
+  let background = [];
+  const scenarios = [];
+  let current = null; // Scenario, Background or Examples block being filled
+  let lastStep = null;
+
+  const lines = content.split(/\r?\n/);
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    if (line.startsWith('@')) {
+      pendingTags.push(...line.split(/\s+/).filter(tag => tag.startsWith('@')));
+      return;
+    }
+
+    const header = line.match(/^(Feature|Background|Scenario Outline|Scenario Template|Scenario|Example|Examples|Scenarios):\s*(.*)$/);
+    if (header) {
+      const [, keyword, title] = header;
+      lastStep = null;
+      if (keyword === 'Feature') {
+        feature = title;
+        featureTags = pendingTags;
+      } else if (keyword === 'Background') {
+        current = { type: 'background', steps: background };
+      } else if (keyword === 'Examples' || keyword === 'Scenarios') {
+        if (!current || current.type !== 'outline') {
+          throw new Error(`"${filePath}" line ${index + 1}: Examples must follow a Scenario Outline`);
+        }
+        current.examples = { rows: [] };
+      } else {
+        current = {
+          type: keyword.startsWith('Scenario O') || keyword === 'Scenario Template' ? 'outline' : 'scenario',
+          name: title,
+          tags: [...featureTags, ...pendingTags],
+          steps: [],
+          examples: null
+        };
+        scenarios.push(current);
+      }
+      pendingTags = [];
+      return;
+    }
+
+    if (line.startsWith('|')) {
+      const cells = line.replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+      if (current?.examples) {
+        current.examples.rows.push(cells);
+      } else if (lastStep) {
+        lastStep.rows = lastStep.rows || [];
+        lastStep.rows.push(cells);
+      } else {
+        throw new Error(`"${filePath}" line ${index + 1}: data table without a preceding step`);
+      }
+      return;
+    }
+
+    const step = line.match(/^(Given|When|Then|And|But|\*)\s+(.*)$/);
+    if (step && current) {
+      lastStep = { keyword: step[1], text: step[2], table: null };
+      current.steps.push(lastStep);
+      return;
+    }
+
+    if (!current && !feature) {
+      throw new Error(`"${filePath}" line ${index + 1}: expected "Feature:" but found "${line}"`);
+    }
+    // Free-form description lines under Feature/Scenario are ignored
+  });
+
+  const expanded = [];
+  for (const scenario of scenarios) {
+    const steps = [...background, ...scenario.steps].map(finishGherkinStep);
+    if (scenario.type === 'outline') {
+      const [headers, ...rows] = scenario.examples?.rows || [];
+      if (!headers || rows.length === 0) {
+        throw new Error(`Scenario Outline "${scenario.name}" in "${filePath}" has no Examples rows`);
+      }
+      rows.forEach(row => {
+        const values = Object.fromEntries(headers.map((header, i) => [header, row[i]]));
+        const fill = text => text.replace(/<([^>]+)>/g, (match, key) => (key in values ? values[key] : match));
+        const name = `${scenario.name} (${headers.map(h => `${h}=${values[h]}`).join(', ')})`;
+        expanded.push(buildScenario(name, scenario.tags, steps.map(s => ({ ...s, text: fill(s.text) })), []));
+      });
+    } else {
+      expanded.push(buildScenario(scenario.name, scenario.tags, steps, []));
+    }
+  }
+
+  if (expanded.length === 0) {
+    throw new Error(`"${filePath}" does not contain any scenarios`);
+  }
+
+  return { format: 'gherkin', feature, scenarios: uniqueSlugs(expanded) };
+}
+
+/**
+ * Converts collected Gherkin table rows into header-keyed objects
+ * @param {Object} step - Step with optional raw rows
+ * @returns {Object} Step with `table`
+ */
+function finishGherkinStep(step) {
+  if (!step.rows || step.rows.length < 2) {
+    return { keyword: step.keyword, text: step.text, table: step.rows ? step.rows.map(r => r.join(' | ')) : null };
+  }
+  const [headers, ...rows] = step.rows;
+  return {
+    keyword: step.keyword,
+    text: step.text,
+    table: rows.map(row => Object.fromEntries(headers.map((header, i) => [header, row[i]])))
+  };
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Builds a scenario object with slug and referenced env vars
+ */
+function buildScenario(name, tags, steps, expect, data) {
+  const text = JSON.stringify({ steps, expect, data });
+  return {
+    name: String(name),
+    slug: slugify(name),
+    tags: [...new Set(tags)],
+    steps,
+    expect: Array.isArray(expect) ? expect.map(String) : [String(expect)],
+    data: data || null,
+    envVars: findEnvVars(text)
+  };
+}
+
+/**
+ * Normalises tags to the "@tag" form used by Playwright
+ * @param {string|string[]|undefined} tags - Raw tags
+ * @returns {string[]} Tags prefixed with @
+ */
+function normaliseTags(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(/[\s,]+/);
+  return list.filter(Boolean).map(tag => (String(tag).startsWith('@') ? String(tag) : `@${tag}`));
+}
+
+/**
+ * Normalises a YAML data table (list of objects or list of lists)
+ * @param {*} table - Raw table
+ * @returns {Object[]|null} Rows
+ */
+function normaliseTable(table) {
+  if (!table) return null;
+  if (!Array.isArray(table)) {
+    throw new Error('Step "table" must be a list of rows');
+  }
+  return table;
+}
+
+/**
+ * Converts a scenario name into a file-name-safe slug
+ * @param {string} name - Scenario name
+ * @returns {string} Slug
+ */
+function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'scenario';
+}
+
+/**
+ * Makes scenario slugs unique within a description by suffixing duplicates
+ * @param {Object[]} scenarios - Scenarios
+ * @returns {Object[]} Same scenarios with unique slugs
+ */
+function uniqueSlugs(scenarios) {
+  const seen = new Map();
+  for (const scenario of scenarios) {
+    const count = seen.get(scenario.slug) || 0;
+    seen.set(scenario.slug, count + 1);
+    if (count > 0) {
+      scenario.slug = `${scenario.slug}-${count + 1}`;
+    }
+  }
+  return scenarios;
+}
+
+/**
+ * Lists the ${ENV_VAR} placeholders referenced in some text
+ * @param {string} text - Text to scan
+ * @returns {string[]} Unique variable names
+ */
+function findEnvVars(text) {
+  return [...new Set([...String(text).matchAll(ENV_PLACEHOLDER_REGEX)].map(match => match[1]))];
+}
+
+// ============================================================================
+// PROMPT AND CODE HELPERS
+// ============================================================================
+
+/**
+ * Renders a structured scenario as prompt text
+ * @param {Object} scenario - Parsed scenario
+ * @param {string|null} feature - Feature name
+ * @returns {string} Prompt section describing the scenario
+ */
+function formatScenarioForPrompt(scenario, feature) {
+  const lines = [];
+  if (feature) lines.push(`Feature: ${feature}`);
+  lines.push(`Scenario: ${scenario.name}`);
+  if (scenario.tags.length > 0) lines.push(`Tags: ${scenario.tags.join(' ')}`);
+
+  lines.push('Steps:');
+  scenario.steps.forEach((step, index) => {
+    lines.push(`${index + 1}. ${step.keyword ? `${step.keyword} ` : ''}${step.text}`);
+    if (step.table) {
+      lines.push(`   Data table: ${JSON.stringify(step.table)}`);
+    }
+  });
+
+  if (scenario.expect.length > 0) {
+    lines.push('Expected results:');
+    scenario.expect.forEach(item => lines.push(`- ${item}`));
+  }
+
+  if (scenario.data) {
+    lines.push(`Test data: ${JSON.stringify(scenario.data)}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Replaces ${ENV_VAR} placeholders left in generated code with process.env references
+ * - '${VAR}' / "${VAR}"        → process.env.VAR
+ * - 'text ${VAR} text'          → `text ${process.env.VAR} text`
+ * - `text ${VAR}` (template)    → `text ${process.env.VAR}`
+ * Only the given variable names are rewritten so real template expressions are untouched
+ * @param {string} code - Generated code
+ * @param {string[]} envVars - Placeholder names referenced by the description
+ * @returns {string} Code with process.env references
+ */
+function applyEnvPlaceholders(code, envVars) {
+  if (!envVars || envVars.length === 0) {
+    return code;
+  }
+
+  const names = new Set(envVars);
+  const quoted = /(['"])((?:\\.|(?!\1)[^\\\n])*)\1/g;
+
+  let result = code.replace(quoted, (literal, quote, body) => {
+    const vars = [...body.matchAll(ENV_PLACEHOLDER_REGEX)].filter(match => names.has(match[1]));
+    if (vars.length === 0) {
+      return literal;
+    }
+    if (vars.length === 1 && body === vars[0][0]) {
+      return `process.env.${vars[0][1]}`;
+    }
+    const template = body.replace(/`/g, '\\`').replace(ENV_PLACEHOLDER_REGEX, (match, name) =>
+      names.has(name) ? `\${process.env.${name}}` : match.replace('$', '\\$')
+    );
+    return `\`${template}\``;
+  });
+
+  // Remaining placeholders sit inside template literals written by the model
+  result = result.replace(ENV_PLACEHOLDER_REGEX, (match, name) => (names.has(name) ? `\${process.env.${name}}` : match));
+  return result;
+}
+
+module.exports = {
+  DESCRIPTION_EXTENSIONS,
+  parseDescription,
+  formatScenarioForPrompt,
+  applyEnvPlaceholders,
+  findEnvVars,
+  slugify
+};
@@ -0,0 +1,135 @@
+/**
+ * Test Environments for AI Self-Healing QA Framework
+ *
+ * The environments section of ai-qa.config.js names the deployments the suite runs against:
+ *
+ *   environments: {
+ *     dev:     { baseURL: 'http://localhost:3000' },
+ *     staging: {
+ *       baseURL: 'https://staging.example.com',
+ *       credentials: { QA_EMAIL: 'STAGING_QA_EMAIL', QA_PASSWORD: 'STAGING_QA_PASSWORD' }
+ *     }
+ *   }
+ *
+ * Specs never hold these values. They navigate relative to Playwright's baseURL and read
+ * credentials from process.env (QA_EMAIL, QA_PASSWORD, ...). Selecting an environment sets
+ * QA_ENV, QA_URL (read into baseURL by playwright.config.js) and each credential from the
+ * variable named for it, so the same spec runs against every environment. Secrets stay in the
+ * environment or the CI secret store; the config file only names the variables.
+ *
+ * `ai-qa run --env staging` (or --env all) runs the suite once per environment, and
+ * `QA_ENV=staging npx playwright test` selects one for a plain Playwright run.
+ */
+
+const { getConfig } = require('./config');
+
+// Selects every configured environment in --env
+const ALL_ENVIRONMENTS = 'all';
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * Configured environments
+ * @returns {{name: string, baseURL: string}[]} Environments in config order
+ */
+function listEnvironments() {
+  return Object.entries(getConfig().environments).map(([name, { baseURL }]) => ({ name, baseURL }));
+}
+
+/**
+ * Resolves the environments named on the command line
+ * @param {string[]} names - Environment names, or ['all']
+ * @returns {string[]} Names, in config order for 'all'
+ * @throws {Error} When a name is not configured
+ */
+function selectEnvironments(names) {
+  const configured = listEnvironments().map(({ name }) => name);
+  if (configured.length === 0) {
+    throw new Error('No environments are configured: add an environments section to the config file');
+  }
+  if (names.includes(ALL_ENVIRONMENTS)) {
+    return configured;
+  }
+  const unknown = names.filter(name => !configured.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown environment(s) ${unknown.join(', ')}; configured: ${configured.join(', ')}`);
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * Variables a run against an environment needs
+ * @param {string} name - Environment name
+ * @param {Object} [env] - Variables to read credentials from (default: process.env)
+ * @returns {{name: string, baseURL: string, variables: Object<string, string>}} Environment, with
+ *   QA_ENV, QA_URL and the credentials as `variables`
+ * @throws {Error} When the environment is not configured or a credential variable is not set
+ */
+function resolveEnvironment(name, env = process.env) {
+  const environment = getConfig().environments[name];
+  if (!environment) {
+    const configured = Object.keys(getConfig().environments);
+    throw new Error(`Unknown environment "${name}"${configured.length > 0 ? `; configured: ${configured.join(', ')}` : ' (none are configured)'}`);
+  }
+
+  const credentials = Object.entries(environment.credentials || {});
+  const missing = credentials.filter(([, source]) => env[source] === undefined).map(([, source]) => source);
+  if (missing.length > 0) {
+    throw new Error(`Environment "${name}" needs ${missing.join(', ')}, which ${missing.length === 1 ? 'is' : 'are'} not set`);
+  }
+
+  return {
+    name,
+    baseURL: environment.baseURL,
+    variables: {
+      QA_ENV: name,
+      QA_URL: environment.baseURL,
+      ...Object.fromEntries(credentials.map(([variable, source]) => [variable, env[source]]))
+    }
+  };
+}
+
+// ============================================================================
+// GENERATED CODE
+// ============================================================================
+
+/**
+ * Rewrites navigation to a configured environment as paths relative to baseURL
+ * Covers string literals passed to page.goto(), page.waitForURL() and toHaveURL(), e.g.
+ * page.goto('https://staging.example.com/login') → page.goto('/login'); other URLs are untouched
+ * @param {string} code - Generated code
+ * @param {{baseURL: string}[]} environments - Environments from listEnvironments
+ * @returns {string} Code with relative URLs
+ */
+function relativizeUrls(code, environments) {
+  if (environments.length === 0) {
+    return code;
+  }
+
+  // Longest first, so https://example.com/app/ wins over https://example.com/
+  const bases = environments
+    .map(({ baseURL }) => (baseURL.endsWith('/') ? baseURL : `${baseURL}/`))
+    .sort((a, b) => b.length - a.length);
+  const call = /\b(goto|waitForURL|toHaveURL)\(\s*(['"`])([^'"`\n]*)\2/g;
+
+  return code.replace(call, (match, method, quote, url) => {
+    const base = bases.find(candidate => url === candidate.slice(0, -1) || url.startsWith(candidate));
+    if (!base) {
+      return match;
+    }
+    const rest = url.slice(base.length);
+    // Absolute paths resolve against the host, so a base URL with a path needs ./ to keep it
+    const relative = new URL(base).pathname === '/' ? `/${rest}` : `./${rest}`;
+    return `${method}(${quote}${relative}${quote}`;
+  });
+}
+
+module.exports = {
+  ALL_ENVIRONMENTS,
+  listEnvironments,
+  selectEnvironments,
+  resolveEnvironment,
+  relativizeUrls
+};
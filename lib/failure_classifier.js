@@ -0,0 +1,199 @@
+/**
+ * Failure Classification for AI Self-Healing QA Framework
+ *
+ * Sorts test failures into categories before any repair is attempted, so healing only touches
+ * failures caused by the test itself. Failures that point at the application or the
+ * environment are reported as likely application bugs instead of being "fixed" into passing
+ * tests.
+ *
+ * Categories:
+ *   - locator-not-found:   the test's locator matched nothing or too much (healable)
+ *   - timeout:             an action or the test timed out without naming a locator (healable)
+ *   - script-error:        the spec itself is broken, e.g. a syntax or reference error (healable)
+ *   - assertion-mismatch:  the page was found but did not show what the test expects
+ *   - visual-diff:         a screenshot differs from its baseline, or has none yet; resolved by
+ *                          reviewing and updating the baseline, never by editing the test
+ *   - navigation-network:  the app was unreachable, a request failed or the server returned 5xx
+ *   - environment:         the machine running the tests is misconfigured (browsers, modules, env vars)
+ *   - unknown:             nothing matched; sent for repair as before (healable)
+ */
+
+// Category names
+const CATEGORY = {
+  LOCATOR_NOT_FOUND: 'locator-not-found',
+  TIMEOUT: 'timeout',
+  SCRIPT_ERROR: 'script-error',
+  ASSERTION_MISMATCH: 'assertion-mismatch',
+  VISUAL_DIFF: 'visual-diff',
+  NAVIGATION_NETWORK: 'navigation-network',
+  ENVIRONMENT: 'environment',
+  UNKNOWN: 'unknown'
+};
+
+// Categories the LLM is allowed to repair
+const HEALABLE_CATEGORIES = [
+  CATEGORY.LOCATOR_NOT_FOUND,
+  CATEGORY.TIMEOUT,
+  CATEGORY.SCRIPT_ERROR,
+  CATEGORY.UNKNOWN
+];
+
+// Rules are checked in order; the first match wins. A rule with `unless` is skipped when that
+// pattern also matches
+const RULES = [
+  {
+    category: CATEGORY.ENVIRONMENT,
+    reason: 'Playwright browsers are not installed',
+    pattern: /Executable doesn't exist|Please run the following command to download new browsers|browserType\.launch:/
+  },
+  {
+    category: CATEGORY.ENVIRONMENT,
+    reason: 'a required module is missing',
+    pattern: /Cannot find module ['"][^.'"][^'"]*['"]/
+  },
+  {
+    category: CATEGORY.ENVIRONMENT,
+    reason: 'an environment variable used by the test is not set',
+    pattern: /expected string, got undefined|Cannot navigate to invalid URL|process\.env\.\w+ is (?:not set|undefined)/
+  },
+  {
+    category: CATEGORY.ENVIRONMENT,
+    reason: 'the test machine ran out of resources or permissions',
+    pattern: /\b(?:ENOSPC|EACCES|EMFILE|ENOMEM)\b|Target page, context or browser has been closed.*\bcrash/i
+  },
+  {
+    category: CATEGORY.NAVIGATION_NETWORK,
+    reason: 'the application could not be reached',
+    pattern: /net::ERR_\w+|NS_ERROR_\w+|\b(?:ECONNREFUSED|ENOTFOUND|ECONNRESET|EHOSTUNREACH|ETIMEDOUT)\b|page\.goto: Timeout|Navigation failed/
+  },
+  {
+    category: CATEGORY.NAVIGATION_NETWORK,
+    reason: 'the server returned an error response',
+    pattern: /\b50[0-4]\b[^\n]*(?:Internal Server Error|Bad Gateway|Service Unavailable|Gateway Time-?out)|Expected:\s*2\d\d\s+Received:\s*5\d\d/i
+  },
+  {
+    category: CATEGORY.SCRIPT_ERROR,
+    reason: 'the spec has a syntax or runtime error',
+    pattern: /\b(?:SyntaxError|ReferenceError)\b|is not a function|is not defined|Cannot read propert(?:y|ies) of (?:undefined|null)/
+  },
+  {
+    category: CATEGORY.LOCATOR_NOT_FOUND,
+    reason: 'the locator did not resolve to exactly one element',
+    pattern: /strict mode violation|element\(s\) not found|resolved to 0 elements|No node found/
+  },
+  {
+    // Every call log starts with "waiting for <locator>"; it only means the element was missing
+    // when the locator never resolved, otherwise the element was found and the check failed
+    category: CATEGORY.LOCATOR_NOT_FOUND,
+    reason: 'the locator did not resolve to exactly one element',
+    pattern: /waiting for (?:locator|getBy\w+|frameLocator)\(/,
+    unless: /locator resolved to/
+  },
+  {
+    category: CATEGORY.VISUAL_DIFF,
+    reason: 'the screenshot differs from its baseline',
+    pattern: /pixels \(ratio [\d.]+ of all image pixels\) are different|Expected an image \d+px by \d+px, received/
+  },
+  {
+    category: CATEGORY.VISUAL_DIFF,
+    reason: 'the screenshot has no baseline yet',
+    pattern: /A snapshot doesn't exist at /
+  },
+  {
+    category: CATEGORY.ASSERTION_MISMATCH,
+    reason: 'the accessibility scan found violations',
+    pattern: /Expected no accessibility violations/
+  },
+  {
+    category: CATEGORY.ASSERTION_MISMATCH,
+    reason: 'the page did not show what the test expects',
+    pattern: /Expected(?: string| pattern| substring| value)?:[\s\S]*Received|toHave\w+|toBe\w+|toEqual|toContain|toMatch/
+  },
+  {
+    category: CATEGORY.TIMEOUT,
+    reason: 'the test timed out',
+    pattern: /Timeout \d+ms exceeded|Test timeout of \d+ms exceeded|TimeoutError/
+  }
+];
+
+// Server error pages visible in the page snapshot point at the application, whatever the error says
+const SERVER_ERROR_PAGE = /\b(?:500 Internal Server Error|502 Bad Gateway|503 Service (?:Temporarily )?Unavailable|504 Gateway Time-?out)\b|This site can.t be reached/i;
+
+/**
+ * Classifies a single failure
+ * @param {Object|string} failure - Entry from lib/failure_context.js buildFailureContext, or raw error text
+ * @returns {{category: string, healable: boolean, reason: string}} Classification
+ */
+function classifyFailure(failure) {
+  const entry = typeof failure === 'string' ? { message: failure } : failure;
+  const text = [entry.message, entry.stack].filter(Boolean).join('\n');
+  const page = [entry.pageSnapshot, entry.domSnapshot].filter(Boolean).join('\n');
+
+  const matches = rule => rule.pattern.test(text) && !(rule.unless && rule.unless.test(text));
+
+  // Environment problems explain everything else, so they are checked before the page
+  const environment = RULES.find(rule => rule.category === CATEGORY.ENVIRONMENT && matches(rule));
+  if (environment) {
+    return toClassification(environment.category, environment.reason);
+  }
+  if (SERVER_ERROR_PAGE.test(page)) {
+    return toClassification(CATEGORY.NAVIGATION_NETWORK, 'the page showed a server error');
+  }
+
+  const rule = RULES.find(matches);
+  if (rule) {
+    return toClassification(rule.category, rule.reason);
+  }
+
+  // A failed locator named by the report is enough even when the message is unusual
+  if (entry.locator) {
+    return toClassification(CATEGORY.LOCATOR_NOT_FOUND, 'the failure names a locator');
+  }
+  return toClassification(CATEGORY.UNKNOWN, 'no known failure pattern matched');
+}
+
+/**
+ * Classifies every failure of a spec
+ * When there is no structured context the error log is classified as a single failure
+ * @param {Object[]} failureContext - Entries from buildFailureContext
+ * @param {string} [errorLog] - Raw error log
+ * @returns {Object[]} One entry per failure: { title, category, healable, reason, failure }
+ */
+function classifyFailures(failureContext, errorLog = '') {
+  if (failureContext.length === 0) {
+    return [{ title: 'error log', ...classifyFailure(errorLog), failure: null }];
+  }
+  return failureContext.map(failure => ({ title: failure.title, ...classifyFailure(failure), failure }));
+}
+
+/**
+ * Renders classifications for the console
+ * @param {Object[]} classifications - Entries from classifyFailures
+ * @returns {string} One line per failure
+ */
+function formatClassifications(classifications) {
+  return classifications.map(entry => {
+    const verdict = entry.healable
+      ? 'healable'
+      : entry.category === CATEGORY.VISUAL_DIFF ? 'visual change, review the baseline' : 'likely application bug';
+    return `  [${entry.category}] ${entry.title} — ${entry.reason} (${verdict})`;
+  }).join('\n');
+}
+
+/**
+ * Builds a classification result
+ * @param {string} category - Category name
+ * @param {string} reason - Why the category was chosen
+ * @returns {{category: string, healable: boolean, reason: string}} Classification
+ */
+function toClassification(category, reason) {
+  return { category, healable: HEALABLE_CATEGORIES.includes(category), reason };
+}
+
+module.exports = {
+  CATEGORY,
+  HEALABLE_CATEGORIES,
+  classifyFailure,
+  classifyFailures,
+  formatClassifications
+};
@@ -0,0 +1,361 @@
+/**
+ * Failure Context Capture for AI Self-Healing QA Framework
+ *
+ * Reads Playwright's JSON reporter output (and the files under test-results/ that it points
+ * to) for a failing spec and extracts what a repair prompt needs:
+ * - the failing test and the step that failed
+ * - the locator that failed, when the error names one
+ * - the error message and stack trace, with frames mapped to spec line numbers and source
+ * - the page at the moment of failure: ARIA snapshot from error-context.md and any DOM/ARIA
+ *   snapshot attachments
+ * - the images of a failed screenshot comparison (expected, actual and diff)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Default location of the JSON report written by playwright.config.js
+const DEFAULT_REPORT_FILE = 'test-results/results.json';
+
+// Directory Playwright writes per-test artifacts to
+const TEST_RESULTS_DIR = 'test-results';
+
+// Snapshots are truncated to this many characters in the prompt
+const MAX_SNAPSHOT_CHARS = 8000;
+
+// ============================================================================
+// REPORT READING
+// ============================================================================
+
+/**
+ * Reads a Playwright JSON report
+ * @param {string} [reportPath] - Path to the report
+ * @returns {Object} Parsed report
+ */
+function loadJsonReport(reportPath = DEFAULT_REPORT_FILE) {
+  try {
+    return JSON.parse(fs.readFileSync(reportPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read Playwright JSON report "${reportPath}": ${error.message}`);
+  }
+}
+
+/**
+ * Lists every spec in a report together with the spec file path relative to the cwd
+ * @param {Object} report - Parsed Playwright JSON report
+ * @returns {{specFile: string, spec: Object, titlePath: string[]}[]} Specs
+ */
+function listReportSpecs(report) {
+  const rootDir = report.config?.rootDir || process.cwd();
+  const specs = [];
+
+  const visit = (suite, titles) => {
+    const suiteTitles = suite.title && !suite.file?.endsWith(suite.title) ? [...titles, suite.title] : titles;
+    for (const spec of suite.specs || []) {
+      specs.push({
+        specFile: path.relative(process.cwd(), path.resolve(rootDir, spec.file)),
+        spec,
+        titlePath: [...suiteTitles, spec.title]
+      });
+    }
+    (suite.suites || []).forEach(child => visit(child, suiteTitles));
+  };
+
+  (report.suites || []).forEach(suite => visit(suite, []));
+  return specs;
+}
+
+// ============================================================================
+// CONTEXT EXTRACTION
+// ============================================================================
+
+/**
+ * Builds structured failure context for every failing test in a spec
+ * @param {Object} report - Parsed Playwright JSON report
+ * @param {string} specFile - Spec path (relative or absolute)
+ * @returns {Object[]} One entry per failing test result:
+ *   { title, project, failingStep, locator, message, stack, stackFrames, pageSnapshot, domSnapshot, images }
+ */
+function buildFailureContext(report, specFile) {
+  const target = path.resolve(specFile);
+  const specSource = fs.existsSync(target) ? fs.readFileSync(target, 'utf-8').split('\n') : [];
+  const failures = [];
+
+  for (const { specFile: file, spec, titlePath } of listReportSpecs(report)) {
+    if (path.resolve(file) !== target) continue;
+
+    for (const test of spec.tests || []) {
+      if (test.status !== 'unexpected') continue;
+      // The last result is the final retry, which is the failure that counts
+      const result = [...(test.results || [])].reverse().find(r => r.error || r.errors?.length);
+      if (!result) continue;
+
+      const error = result.error || result.errors[0];
+      const message = stripAnsi(error.message || '');
+      const stack = stripAnsi(error.stack || '');
+      const snapshots = readSnapshots(result, file, spec.title);
+
+      failures.push({
+        title: titlePath.join(' › '),
+        project: test.projectName || '',
+        failingStep: findFailingStep(result.steps || []),
+        locator: extractLocator(message),
+        message,
+        stack,
+        stackFrames: mapStackToSpec(stack, target, specSource),
+        pageSnapshot: snapshots.pageSnapshot,
+        domSnapshot: snapshots.domSnapshot,
+        images: readImages(result)
+      });
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Finds the innermost step that reported an error
+ * @param {Object[]} steps - JSON reporter steps
+ * @returns {string|null} Step title path, e.g. "Click Sign In › locator.click"
+ */
+function findFailingStep(steps) {
+  for (const step of steps) {
+    if (!step.error) continue;
+    const inner = findFailingStep(step.steps || []);
+    return inner ? `${step.title} › ${inner}` : step.title;
+  }
+  return null;
+}
+
+/**
+ * Pulls the locator out of a Playwright error message
+ * Handles "Locator: ...", "waiting for ..." and "locator.click: ..." forms
+ * @param {string} message - Error message
+ * @returns {string|null} Locator expression
+ */
+function extractLocator(message) {
+  const patterns = [
+    /^\s*Locator:\s*(.+)$/m,
+    /waiting for\s+((?:locator|getBy\w+|frameLocator)\(.+)$/m,
+    /((?:page\.)?(?:locator|getBy\w+)\((?:[^()]|\([^()]*\))*\))/
+  ];
+  for (const pattern of patterns) {
+    const match = message.match(pattern);
+    if (match) {
+      return match[1].trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Maps stack frames that point into the spec to line numbers and source lines
+ * @param {string} stack - Stack trace
+ * @param {string} specPath - Absolute spec path
+ * @param {string[]} specSource - Spec source split into lines
+ * @returns {{line: number, column: number, source: string}[]} Frames inside the spec
+ */
+function mapStackToSpec(stack, specPath, specSource) {
+  const frames = [];
+  const frameRegex = /\(?((?:[A-Za-z]:)?[^\s()]+):(\d+):(\d+)\)?\s*$/;
+
+  for (const line of stack.split('\n')) {
+    const match = line.trim().startsWith('at ') && line.match(frameRegex);
+    if (!match || path.resolve(match[1]) !== specPath) continue;
+
+    const lineNumber = parseInt(match[2], 10);
+    frames.push({
+      line: lineNumber,
+      column: parseInt(match[3], 10),
+      source: (specSource[lineNumber - 1] || '').trim()
+    });
+  }
+  return frames;
+}
+
+/**
+ * Reads page snapshots attached to a test result
+ * - error-context.md (written by Playwright) contains a YAML ARIA snapshot of the page
+ * - attachments named like "dom"/"html"/"aria"/"snapshot" are read as extra snapshots
+ * When the result has no attachments, test-results/ is searched for the test's error-context.md
+ * @param {Object} result - JSON reporter test result
+ * @param {string} specFile - Spec path relative to the cwd
+ * @param {string} testTitle - Test title
+ * @returns {{pageSnapshot: string|null, domSnapshot: string|null}} Snapshots
+ */
+function readSnapshots(result, specFile, testTitle) {
+  let pageSnapshot = null;
+  let domSnapshot = null;
+
+  for (const attachment of result.attachments || []) {
+    const content = readAttachment(attachment);
+    if (!content) continue;
+
+    if (attachment.name === 'error-context') {
+      pageSnapshot = pageSnapshot || extractPageSnapshot(content);
+    } else if (/dom|html/i.test(attachment.name) || /html/.test(attachment.contentType || '')) {
+      domSnapshot = domSnapshot || content;
+    } else if (/aria|snapshot/i.test(attachment.name)) {
+      pageSnapshot = pageSnapshot || content;
+    }
+  }
+
+  if (!pageSnapshot && !(result.attachments || []).length) {
+    const errorContext = findErrorContextFile(specFile, testTitle);
+    if (errorContext) {
+      pageSnapshot = extractPageSnapshot(fs.readFileSync(errorContext, 'utf-8'));
+    }
+  }
+
+  return { pageSnapshot, domSnapshot };
+}
+
+/**
+ * Lists the image files attached to a test result
+ * A failed toHaveScreenshot() attaches <name>-expected.png, <name>-actual.png and <name>-diff.png
+ * @param {Object} result - JSON reporter test result
+ * @returns {{name: string, path: string}[]} Images, with paths relative to the cwd
+ */
+function readImages(result) {
+  return (result.attachments || [])
+    .filter(attachment => /^image\//.test(attachment.contentType || '') && attachment.path)
+    .map(attachment => ({
+      name: attachment.name,
+      path: path.relative(process.cwd(), attachment.path).split(path.sep).join('/')
+    }));
+}
+
+/**
+ * Reads a text attachment from its body or path
+ * @param {Object} attachment - JSON reporter attachment
+ * @returns {string|null} Text content
+ */
+function readAttachment(attachment) {
+  const isText = /^(text\/|application\/(json|yaml|xml))/.test(attachment.contentType || 'text/plain');
+  if (!isText) return null;
+
+  if (attachment.body) {
+    return Buffer.from(attachment.body, 'base64').toString('utf-8');
+  }
+  if (attachment.path && fs.existsSync(attachment.path)) {
+    return fs.readFileSync(attachment.path, 'utf-8');
+  }
+  return null;
+}
+
+/**
+ * Extracts the "# Page snapshot" YAML block from an error-context.md file
+ * @param {string} markdown - error-context.md content
+ * @returns {string|null} ARIA snapshot
+ */
+function extractPageSnapshot(markdown) {
+  const match = markdown.match(/# Page snapshot\s*```(?:yaml)?\n([\s\S]*?)```/);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Looks for a test's error-context.md under test-results/
+ * Playwright names each artifact directory after the spec path and test title
+ * @param {string} specFile - Spec path relative to the cwd
+ * @param {string} testTitle - Test title
+ * @returns {string|null} Path to error-context.md
+ */
+function findErrorContextFile(specFile, testTitle) {
+  if (!fs.existsSync(TEST_RESULTS_DIR)) return null;
+
+  const sanitize = text => text.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const specPart = sanitize(path.basename(specFile).replace(/\.(spec|test)\.[cm]?[jt]sx?$/, ''));
+  const titlePart = sanitize(testTitle).slice(0, 20);
+
+  for (const dir of fs.readdirSync(TEST_RESULTS_DIR)) {
+    if (!dir.includes(specPart) || !dir.includes(titlePart)) continue;
+    const candidate = path.join(TEST_RESULTS_DIR, dir, 'error-context.md');
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * Renders failure context as prompt text
+ * @param {Object[]} failures - Entries from buildFailureContext
+ * @returns {string} Prompt section ('' when there is nothing to add)
+ */
+function formatFailureContext(failures) {
+  return failures.map(failure => {
+    const lines = [`Test: ${failure.title}${failure.project ? ` [${failure.project}]` : ''}`];
+    if (failure.failingStep) lines.push(`Failing step: ${failure.failingStep}`);
+    if (failure.locator) lines.push(`Failed locator: ${failure.locator}`);
+    lines.push(`Error: ${failure.message}`);
+
+    if (failure.stackFrames.length > 0) {
+      lines.push('Spec lines in the stack trace:');
+      failure.stackFrames.forEach(frame => lines.push(`  line ${frame.line}: ${frame.source}`));
+    }
+    if (failure.pageSnapshot) {
+      lines.push('Page ARIA snapshot at the moment of failure:', truncate(failure.pageSnapshot));
+    }
+    if (failure.domSnapshot) {
+      lines.push('Page DOM at the moment of failure:', truncate(failure.domSnapshot));
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Renders failure context as a plain error log (used when no --log file is given)
+ * @param {Object[]} failures - Entries from buildFailureContext
+ * @returns {string} Error log
+ */
+function formatErrorLog(failures) {
+  return failures.map(failure => `✘ ${failure.title}\n${failure.stack || failure.message}`).join('\n\n');
+}
+
+/**
+ * Renders the page snapshots captured at the moment of failure, DOM preferred over ARIA
+ * @param {Object[]} failures - Entries from buildFailureContext
+ * @returns {string} Snapshots, one per failure that has one ('' when none do)
+ */
+function formatSnapshots(failures) {
+  return failures
+    .filter(failure => failure.domSnapshot || failure.pageSnapshot)
+    .map(failure => `Test: ${failure.title}\n${truncate(failure.domSnapshot || failure.pageSnapshot)}`)
+    .join('\n\n');
+}
+
+/**
+ * Truncates long snapshots so they do not crowd out the spec in the prompt
+ * @param {string} text - Snapshot text
+ * @returns {string} Possibly truncated text
+ */
+function truncate(text) {
+  return text.length > MAX_SNAPSHOT_CHARS
+    ? `${text.slice(0, MAX_SNAPSHOT_CHARS)}\n... (truncated ${text.length - MAX_SNAPSHOT_CHARS} characters)`
+    : text;
+}
+
+/**
+ * Removes terminal colour codes from Playwright error output
+ * @param {string} text - Text that may contain ANSI escape sequences
+ * @returns {string} Plain text
+ */
+function stripAnsi(text) {
+  return text.replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+module.exports = {
+  DEFAULT_REPORT_FILE,
+  loadJsonReport,
+  listReportSpecs,
+  buildFailureContext,
+  extractLocator,
+  formatFailureContext,
+  formatSnapshots,
+  formatErrorLog,
+  stripAnsi
+};
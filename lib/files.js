@@ -0,0 +1,88 @@
+/**
+ * File Discovery Helpers for AI Self-Healing QA Framework
+ *
+ * Recursive directory walking and minimal glob matching used by the batch commands,
+ * so they do not need an extra dependency for finding test inputs and specs.
+ *
+ * Supported glob syntax:
+ *   - `**` matches any number of path segments (including none)
+ *   - `*`  matches anything except a path separator
+ *   - `?`  matches a single character except a path separator
+ *   - `{a,b}` matches either alternative
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Recursively lists files below a directory
+ * @param {string} dir - Directory to walk
+ * @param {Function} [predicate] - Called with each file path; only matching files are returned
+ * @returns {string[]} Sorted file paths (joined onto dir)
+ */
+function walkFiles(dir, predicate = () => true) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...walkFiles(fullPath, predicate));
+    } else if (entry.isFile() && predicate(fullPath)) {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Converts a glob pattern into a regular expression matching forward-slash paths
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" may match zero directories, a trailing "**" matches everything
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      source += '(?:';
+    } else if (char === '}') {
+      source += ')';
+    } else if (char === ',') {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Normalises a path to forward slashes so globs behave the same on every platform
+ * @param {string} filePath - Path to normalise
+ * @returns {string} Forward-slash path
+ */
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+module.exports = {
+  walkFiles,
+  globToRegExp,
+  toPosixPath
+};
@@ -0,0 +1,415 @@
+/**
+ * Healing History for AI Self-Healing QA Framework
+ *
+ * Every generation, heal attempt and suite run is appended to a local JSON-lines store, so it is
+ * possible to see which specs keep needing repairs, whether repairs held and which specs pass
+ * and fail on their own. One event per line:
+ *
+ *   { "timestamp": "...", "type": "heal", "source": "heal-loop", "spec": "playwright-tests/a.spec.js",
+ *     "categories": ["locator-not-found"], "promptHash": "3f2a...", "model": "gemini/gemini-1.5-flash",
+ *     "diff": { "files": 1, "added": 2, "removed": 2 }, "attempt": 1, "outcome": "healed" }
+ *
+ * Event types and outcomes:
+ *   - generate: generated | updated | failed             (generate_test.js)
+ *               recorded                                 (record_test.js)
+ *   - describe: described | unverified | mismatch | failed (describe_test.js)
+ *   - heal:     healed | failing | rejected | error | app-bug (run_tests.js, after the re-run)
+ *               baseline-proposed | baseline-updated     (run_tests.js, screenshots that differ from their baseline)
+ *               applied | patched | dry-run | rejected | app-bug | baseline-proposed (debug_test.js, no re-run)
+ *   - run:      passed | failed                          (run_tests.js, first run of each spec)
+ *
+ * Runs and heals made against a named environment (ai-qa run --env) carry its name as `environment`.
+ *
+ * `node report.js` summarises the store as markdown or HTML.
+ *
+ * Environment:
+ *   - AI_QA_HISTORY:      Store path (default: paths.history in ai-qa.config.js, else .ai-qa/history.jsonl)
+ *   - AI_QA_NO_HISTORY=1: Do not record events
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Diff = require('diff');
+const { promptKey } = require('./llm_provider');
+const { toPosixPath } = require('./files');
+const { getConfig } = require('./config');
+
+// Default store location (JSON lines, one event per line)
+const DEFAULT_HISTORY_FILE = '.ai-qa/history.jsonl';
+
+// Heal outcomes that mean a fix was written
+const APPLIED_OUTCOMES = ['healed', 'failing', 'applied'];
+
+// A spec healed this many times or more is reported as chronically healed
+const CHRONIC_HEALS = 3;
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Store path from the environment or the config file
+ * @returns {string} History file
+ */
+function historyFile() {
+  return process.env.AI_QA_HISTORY || getConfig().paths.history || DEFAULT_HISTORY_FILE;
+}
+
+/**
+ * Appends an event to the history store
+ * Recording never fails the calling command; problems are logged as warnings
+ * @param {Object} event - Event fields (type, spec, outcome, ...)
+ * @param {string} [filePath] - History file (default: $AI_QA_HISTORY or .ai-qa/history.jsonl)
+ */
+function recordEvent(event, filePath = historyFile()) {
+  if (process.env.AI_QA_NO_HISTORY === '1') return;
+
+  const entry = { timestamp: new Date().toISOString(), ...event };
+  // One key per spec, however the path was written on the command line
+  if (entry.spec) entry.spec = toPosixPath(path.relative(process.cwd(), path.resolve(entry.spec)));
+
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(entry) + '\n', 'utf-8');
+  } catch (error) {
+    console.warn(`Warning: could not record history event: ${error.message}`);
+  }
+}
+
+/**
+ * Reads every event from the history store
+ * Unreadable lines (e.g. a write cut short) are skipped
+ * @param {string} [filePath] - History file
+ * @returns {Object[]} Events in the order they were recorded
+ */
+function readHistory(filePath = historyFile()) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  return fs.readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Wraps a provider so the prompts sent through it can be identified in the history
+ * Create one per spec or attempt so concurrent work does not mix prompt hashes
+ * @param {Object} provider - Provider from lib/llm_provider.js
+ * @returns {Object} Provider with a `promptHashes` array filled on every call
+ */
+function trackPrompts(provider) {
+  const promptHashes = [];
+  return {
+    ...provider,
+    promptHashes,
+    complete: (prompt, options) => {
+      promptHashes.push(promptKey(prompt));
+      return provider.complete(prompt, options);
+    }
+  };
+}
+
+/**
+ * Line counts of the changes made by a fix
+ * @param {{original: string, corrected: string}[]} changes - Changed files
+ * @returns {{files: number, added: number, removed: number}} Diff size
+ */
+function diffStats(changes) {
+  const stats = { files: changes.length, added: 0, removed: 0 };
+  for (const change of changes) {
+    for (const part of Diff.diffLines(change.original, change.corrected)) {
+      if (part.added) stats.added += part.count;
+      if (part.removed) stats.removed += part.count;
+    }
+  }
+  return stats;
+}
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+
+/**
+ * Summarises history events per spec and overall
+ * A heal "held" when the re-run passed (heal loop) or the spec's next recorded run passed.
+ * A spec is flaky when it started passing again with no heal in between, or failed again
+ * right after passing with no change in between. Runs are compared within one environment.
+ * @param {Object[]} events - Events from readHistory
+ * @param {Object} [options]
+ * @param {string} [options.since] - Only count events at or after this ISO date
+ * @returns {Object} { from, to, totals, specs } with specs sorted by heal count
+ */
+function summarizeHistory(events, { since } = {}) {
+  const selected = since ? events.filter(event => event.timestamp >= since) : events;
+  const specs = new Map();
+  const specFor = name => {
+    if (!specs.has(name)) {
+      specs.set(name, {
+        spec: name, generations: 0, runs: 0, runFailures: 0, heals: 0, held: 0, rejected: 0,
+        appBugs: 0, flips: 0, categories: {}, models: new Set(), linesChanged: 0, lastEvent: null,
+        pendingHeal: false, lastRuns: {}
+      });
+    }
+    return specs.get(name);
+  };
+
+  for (const event of selected) {
+    if (!event.spec) continue;
+    const spec = specFor(event.spec);
+    const environment = event.environment || '';
+    spec.lastEvent = event.timestamp;
+    if (event.model) spec.models.add(event.model);
+
+    if (event.type === 'generate') {
+      if (event.outcome === 'generated') spec.generations++;
+    } else if (event.type === 'run') {
+      spec.runs++;
+      const passed = event.outcome === 'passed';
+      if (!passed) spec.runFailures++;
+      if (spec.pendingHeal) {
+        if (passed) spec.held++;
+        spec.pendingHeal = false;
+      } else if (spec.lastRuns[environment] && spec.lastRuns[environment] !== event.outcome) {
+        spec.flips++;
+      }
+      spec.lastRuns[environment] = event.outcome;
+    } else if (event.type === 'heal') {
+      (event.categories || []).forEach(category => {
+        spec.categories[category] = (spec.categories[category] || 0) + 1;
+      });
+      if (event.outcome === 'rejected') spec.rejected++;
+      if (event.outcome === 'app-bug') spec.appBugs++;
+      // New baselines make the spec pass without a fix, so the next run is not a flip
+      if (event.outcome === 'baseline-updated') spec.lastRuns[environment] = 'passed';
+      if (APPLIED_OUTCOMES.includes(event.outcome)) {
+        spec.heals++;
+        spec.linesChanged += (event.diff?.added || 0) + (event.diff?.removed || 0);
+        if (event.outcome === 'healed') {
+          spec.held++;
+          spec.lastRuns[environment] = 'passed';
+        } else {
+          // Wait for the next run to see whether the fix held
+          spec.pendingHeal = event.outcome === 'applied';
+          if (event.outcome === 'failing') spec.lastRuns[environment] = 'failed';
+        }
+      }
+    }
+  }
+
+  const list = [...specs.values()].map(({ pendingHeal, lastRuns, models, ...spec }) => ({
+    ...spec,
+    models: [...models],
+    flaky: spec.flips > 0,
+    chronic: spec.heals >= CHRONIC_HEALS
+  }));
+  list.sort((a, b) => b.heals - a.heals || b.flips - a.flips || a.spec.localeCompare(b.spec));
+
+  const sum = key => list.reduce((total, spec) => total + spec[key], 0);
+  const heals = sum('heals');
+  return {
+    from: selected.length > 0 ? selected[0].timestamp : null,
+    to: selected.length > 0 ? selected[selected.length - 1].timestamp : null,
+    totals: {
+      events: selected.length,
+      specs: list.length,
+      generations: sum('generations'),
+      runs: sum('runs'),
+      heals,
+      held: sum('held'),
+      successRate: heals > 0 ? sum('held') / heals : null,
+      rejected: sum('rejected'),
+      appBugs: sum('appBugs'),
+      flaky: list.filter(spec => spec.flaky).length
+    },
+    specs: list
+  };
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Renders a history summary as markdown
+ * @param {Object} summary - Result of summarizeHistory
+ * @param {Object} [options]
+ * @param {number} [options.top=10] - Rows per table
+ * @returns {string} Markdown report
+ */
+function renderMarkdownReport(summary, { top = 10 } = {}) {
+  const { totals } = summary;
+  const lines = ['# AI QA Healing Report', ''];
+
+  if (totals.events === 0) {
+    lines.push('No history recorded yet. Run `ai-qa generate`, `ai-qa run` or `ai-qa heal` first.');
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push(
+    `Period: ${summary.from} → ${summary.to}`,
+    '',
+    '| Metric | Value |',
+    '| --- | --- |',
+    `| Specs | ${totals.specs} |`,
+    `| Generations | ${totals.generations} |`,
+    `| Suite runs (per spec) | ${totals.runs} |`,
+    `| Heals applied | ${totals.heals} |`,
+    `| Heal success rate | ${formatRate(totals.held, totals.heals)} |`,
+    `| Fixes rejected by the assertion guard | ${totals.rejected} |`,
+    `| Left alone as likely app bugs | ${totals.appBugs} |`,
+    `| Flaky specs | ${totals.flaky} |`,
+    ''
+  );
+
+  const healed = summary.specs.filter(spec => spec.heals > 0).slice(0, top);
+  lines.push('## Most-Healed Specs', '');
+  if (healed.length === 0) {
+    lines.push('No heals applied.', '');
+  } else {
+    lines.push('| Spec | Heals | Held | Lines changed | Failure categories |', '| --- | --- | --- | --- | --- |');
+    healed.forEach(spec => lines.push(
+      `| ${escapeMarkdown(spec.spec)}${spec.chronic ? ' ⚠' : ''} | ${spec.heals} | ${formatRate(spec.held, spec.heals)} | ` +
+      `${spec.linesChanged} | ${formatCategories(spec.categories)} |`
+    ));
+    lines.push('');
+    if (healed.some(spec => spec.chronic)) {
+      lines.push(`⚠ healed ${CHRONIC_HEALS} or more times: the spec or the page it tests needs attention.`, '');
+    }
+  }
+
+  const flaky = summary.specs.filter(spec => spec.flaky).sort((a, b) => b.flips - a.flips).slice(0, top);
+  lines.push('## Flaky Specs', '');
+  if (flaky.length === 0) {
+    lines.push('No spec changed outcome without a fix in between.', '');
+  } else {
+    lines.push('| Spec | Runs | Failed runs | Outcome flips |', '| --- | --- | --- | --- |');
+    flaky.forEach(spec => lines.push(`| ${escapeMarkdown(spec.spec)} | ${spec.runs} | ${spec.runFailures} | ${spec.flips} |`));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Renders a history summary as a standalone HTML page
+ * @param {Object} summary - Result of summarizeHistory
+ * @param {Object} [options]
+ * @param {number} [options.top=10] - Rows per table
+ * @returns {string} HTML report
+ */
+function renderHtmlReport(summary, { top = 10 } = {}) {
+  const { totals } = summary;
+  const table = (headers, rows) => rows.length === 0 ? '' : `<table>
+<thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(String(cell))}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+
+  const healed = summary.specs.filter(spec => spec.heals > 0).slice(0, top);
+  const flaky = summary.specs.filter(spec => spec.flaky).sort((a, b) => b.flips - a.flips).slice(0, top);
+
+  const body = totals.events === 0
+    ? '<p>No history recorded yet.</p>'
+    : `<p>Period: ${escapeHtml(summary.from)} → ${escapeHtml(summary.to)}</p>
+${table(['Metric', 'Value'], [
+    ['Specs', totals.specs],
+    ['Generations', totals.generations],
+    ['Suite runs (per spec)', totals.runs],
+    ['Heals applied', totals.heals],
+    ['Heal success rate', formatRate(totals.held, totals.heals)],
+    ['Fixes rejected by the assertion guard', totals.rejected],
+    ['Left alone as likely app bugs', totals.appBugs],
+    ['Flaky specs', totals.flaky]
+  ])}
+<h2>Most-Healed Specs</h2>
+${healed.length === 0 ? '<p>No heals applied.</p>' : table(
+    ['Spec', 'Heals', 'Held', 'Lines changed', 'Failure categories'],
+    healed.map(spec => [`${spec.spec}${spec.chronic ? ' ⚠' : ''}`, spec.heals, formatRate(spec.held, spec.heals), spec.linesChanged, formatCategories(spec.categories)])
+  )}
+<h2>Flaky Specs</h2>
+${flaky.length === 0 ? '<p>No spec changed outcome without a fix in between.</p>' : table(
+    ['Spec', 'Runs', 'Failed runs', 'Outcome flips'],
+    flaky.map(spec => [spec.spec, spec.runs, spec.runFailures, spec.flips])
+  )}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>AI QA Healing Report</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 1.5rem; }
+  th, td { border: 1px solid #ccc; padding: 0.35rem 0.7rem; text-align: left; }
+  th { background: #f3f3f3; }
+</style>
+</head>
+<body>
+<h1>AI QA Healing Report</h1>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Formats a ratio as "held/total (percent)"
+ * @param {number} held - Successes
+ * @param {number} total - Attempts
+ * @returns {string} Rate ('n/a' when there were no attempts)
+ */
+function formatRate(held, total) {
+  return total > 0 ? `${held}/${total} (${Math.round((held / total) * 100)}%)` : 'n/a';
+}
+
+/**
+ * Formats category counts, most frequent first
+ * @param {Object} categories - Category → count
+ * @returns {string} e.g. "locator-not-found ×3, timeout"
+ */
+function formatCategories(categories) {
+  return Object.entries(categories)
+    .sort((a, b) => b[1] - a[1])
+    .map(([category, count]) => (count > 1 ? `${category} ×${count}` : category))
+    .join(', ') || '-';
+}
+
+/**
+ * Escapes pipes so a value fits in a markdown table cell
+ * @param {string} text - Cell text
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+  return text.replace(/\|/g, '\\|');
+}
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+module.exports = {
+  DEFAULT_HISTORY_FILE,
+  historyFile,
+  recordEvent,
+  readHistory,
+  trackPrompts,
+  diffStats,
+  summarizeHistory,
+  renderMarkdownReport,
+  renderHtmlReport
+};
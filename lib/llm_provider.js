@@ -0,0 +1,475 @@
+/**
+ * LLM Provider Layer for AI Self-Healing QA Framework
+ *
+ * Single place where prompts leave the framework. Both generate_test.js and debug_test.js
+ * obtain a provider from here and call `provider.complete(prompt)` instead of talking to an
+ * API directly.
+ *
+ * Supported providers:
+ * - perplexity: Perplexity chat completions API (PERPLEXITY_API_KEY)
+ * - openai:     Any OpenAI-compatible endpoint (OPENAI_API_KEY, OPENAI_BASE_URL), including
+ *               local servers such as Ollama (http://localhost:11434/v1) or llama.cpp
+ * - gemini:     Google Gemini generateContent API (GEMINI_API_KEY)
+ * - mock:       Deterministic, file-backed replay of recorded responses (no network)
+ *
+ * Selection:
+ *   Options passed to createProvider() win, then environment variables, then the provider section
+ *   of ai-qa.config.js (see lib/config.js):
+ *   - AI_QA_PROVIDER:   perplexity | openai | gemini | mock (default: perplexity)
+ *   - AI_QA_MODEL:      Model name (default depends on the provider)
+ *   - AI_QA_MOCK_DIR:   Recorded responses for the mock provider (default: fixtures/llm)
+ *   - AI_QA_RECORD_DIR: When set, every real response is also saved there for later replay
+ *   - AI_QA_NO_REDACT=1: Send prompts without secret redaction (see lib/redaction.js)
+ *
+ * Hosted providers fail at startup when their API key is not set; there is no built-in key.
+ *
+ * Every request has a timeout (provider.timeoutMs). Timeouts, rate limits (429) and server errors
+ * (5xx) are retried up to provider.maxRetries times with exponential backoff and jitter, waiting as
+ * long as a Retry-After header asks. At most provider.maxConcurrent requests per provider are in
+ * flight at once, however many specs are generated or healed in parallel. A response cut off at
+ * max_tokens is requested once more with a larger limit, within the model's context window (see
+ * lib/token_budget.js), and otherwise fails instead of returning half a spec.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { redactText, restorePlaceholders } = require('./redaction');
+const { getConfig } = require('./config');
+const { createLimiter } = require('./concurrency');
+const { estimateTokens, contextWindowFor, promptBudget } = require('./token_budget');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Per-provider defaults
+ * Perplexity keeps the model both scripts used before the provider layer existed
+ */
+const PROVIDER_DEFAULTS = {
+  perplexity: {
+    label: 'Perplexity API',
+    baseURL: 'https://api.perplexity.ai',
+    model: 'mistral-7b-instruct',
+    apiKeyEnv: 'PERPLEXITY_API_KEY'
+  },
+  openai: {
+    label: 'OpenAI-compatible API',
+    baseURL: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    apiKeyEnv: 'OPENAI_API_KEY'
+  },
+  gemini: {
+    label: 'Gemini API',
+    baseURL: 'https://generativelanguage.googleapis.com/v1beta',
+    model: 'gemini-1.5-flash',
+    apiKeyEnv: 'GEMINI_API_KEY'
+  },
+  mock: {
+    label: 'Mock provider',
+    model: 'mock'
+  }
+};
+
+// Default directory holding recorded responses for the mock provider
+const DEFAULT_MOCK_DIR = 'fixtures/llm';
+
+// Backoff between retries: doubles from the base delay up to the maximum, with jitter
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// A Retry-After longer than this fails the request instead of stalling the run
+const MAX_RETRY_AFTER_MS = 120000;
+
+// HTTP statuses and network error codes worth retrying
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'EPIPE'];
+
+// Concurrency limiters shared by every provider created for the same endpoint
+const limiters = new Map();
+
+// ============================================================================
+// PROVIDER FACTORY
+// ============================================================================
+
+/**
+ * Creates the configured LLM provider
+ * @param {Object} [options] - Overrides for the environment configuration
+ * @param {string} [options.provider] - Provider name
+ * @param {string} [options.model] - Model name
+ * @param {string} [options.apiKey] - API key
+ * @param {string} [options.baseURL] - API base URL (openai/perplexity/gemini)
+ * @param {string} [options.mockDir] - Recorded responses directory (mock)
+ * @param {string} [options.recordDir] - Directory to record real responses into
+ * @param {boolean} [options.redact] - Scrub secrets from prompts (default: true unless AI_QA_NO_REDACT=1)
+ * @returns {{name: string, label: string, model: string, contextWindow: number, complete: Function}} Provider
+ */
+function createProvider(options = {}) {
+  const settings = getConfig().provider;
+  const name = (options.provider || process.env.AI_QA_PROVIDER || settings.name || 'perplexity').toLowerCase();
+  const defaults = PROVIDER_DEFAULTS[name];
+
+  if (!defaults) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDER_DEFAULTS).join(', ')}`);
+  }
+
+  const config = {
+    name,
+    label: defaults.label,
+    model: options.model || process.env.AI_QA_MODEL || settings.model || defaults.model,
+    baseURL: options.baseURL || baseURLFromEnv(name) || settings.baseURL || defaults.baseURL,
+    apiKey: options.apiKey || (defaults.apiKeyEnv && process.env[defaults.apiKeyEnv]),
+    timeoutMs: settings.timeoutMs
+  };
+  const contextWindow = contextWindowFor(config.model, settings.contextWindow);
+
+  let complete;
+  if (name === 'mock') {
+    const mockDir = options.mockDir || process.env.AI_QA_MOCK_DIR || DEFAULT_MOCK_DIR;
+    complete = async prompt => ({ text: await replayRecordedResponse(mockDir, prompt), truncated: false });
+  } else {
+    requireApiKey(config, defaults);
+    const adapter = name === 'gemini' ? completeWithGemini : completeWithChatCompletions;
+    complete = (prompt, params = {}) => adapter(config, prompt, params);
+    complete = withRetries(complete, settings.maxRetries);
+    complete = withConcurrencyLimit(complete, `${name} ${config.baseURL}`, settings.maxConcurrent);
+  }
+  complete = withTokenBudget(complete, config, contextWindow);
+
+  const recordDir = options.recordDir || process.env.AI_QA_RECORD_DIR;
+  if (recordDir && name !== 'mock') {
+    complete = withRecording(complete, recordDir);
+  }
+
+  // Outermost, so recordings and replays only ever see redacted prompts
+  const redact = options.redact ?? process.env.AI_QA_NO_REDACT !== '1';
+  if (redact) {
+    complete = withRedaction(complete);
+  }
+
+  return { name, label: config.label, model: config.model, contextWindow, complete };
+}
+
+/**
+ * Reads a provider-specific base URL override from the environment
+ * @param {string} name - Provider name
+ * @returns {string|undefined} Base URL override
+ */
+function baseURLFromEnv(name) {
+  if (name === 'openai') return process.env.OPENAI_BASE_URL;
+  return process.env.AI_QA_BASE_URL;
+}
+
+/**
+ * Ensures a hosted provider has an API key
+ * Local OpenAI-compatible servers (non-default base URL) are allowed to run without one
+ * @param {Object} config - Resolved provider configuration
+ * @param {Object} defaults - Provider defaults
+ */
+function requireApiKey(config, defaults) {
+  const isLocalServer = config.name === 'openai' && config.baseURL !== defaults.baseURL;
+  if (!config.apiKey && !isLocalServer) {
+    throw new Error(`${defaults.apiKeyEnv} environment variable is not set (required by the ${config.name} provider)`);
+  }
+}
+
+// ============================================================================
+// ADAPTERS
+// ============================================================================
+
+/**
+ * Sends a prompt to an OpenAI-style /chat/completions endpoint (Perplexity, OpenAI, Ollama, llama.cpp)
+ * @param {Object} config - Resolved provider configuration
+ * @param {string} prompt - Prompt text
+ * @param {Object} params - Sampling parameters
+ * @returns {Promise<{text: string, truncated: boolean}>} Response text, and whether it hit max_tokens
+ */
+async function completeWithChatCompletions(config, prompt, { temperature = 0.2, maxTokens = 2000 } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers['Authorization'] = `Bearer ${config.apiKey}`;
+  }
+
+  try {
+    const response = await axios.post(
+      `${config.baseURL.replace(/\/$/, '')}/chat/completions`,
+      {
+        model: config.model,
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        temperature,
+        max_tokens: maxTokens
+      },
+      { headers, timeout: config.timeoutMs }
+    );
+
+    const choice = response.data.choices[0];
+    return { text: choice.message.content, truncated: choice.finish_reason === 'length' };
+  } catch (error) {
+    throw describeApiError(config, error);
+  }
+}
+
+/**
+ * Sends a prompt to the Gemini generateContent endpoint
+ * @param {Object} config - Resolved provider configuration
+ * @param {string} prompt - Prompt text
+ * @param {Object} params - Sampling parameters
+ * @returns {Promise<{text: string, truncated: boolean}>} Response text, and whether it hit max_tokens
+ */
+async function completeWithGemini(config, prompt, { temperature = 0.2, maxTokens = 2000 } = {}) {
+  try {
+    const response = await axios.post(
+      `${config.baseURL.replace(/\/$/, '')}/models/${config.model}:generateContent`,
+      {
+        contents: [
+          {
+            role: 'user',
+            parts: [{ text: prompt }]
+          }
+        ],
+        generationConfig: {
+          temperature,
+          maxOutputTokens: maxTokens
+        }
+      },
+      {
+        headers: {
+          'x-goog-api-key': config.apiKey,
+          'Content-Type': 'application/json'
+        },
+        timeout: config.timeoutMs
+      }
+    );
+
+    const candidate = response.data.candidates?.[0];
+    const parts = candidate?.content?.parts || [];
+    return { text: parts.map(part => part.text || '').join(''), truncated: candidate?.finishReason === 'MAX_TOKENS' };
+  } catch (error) {
+    throw describeApiError(config, error);
+  }
+}
+
+/**
+ * Converts an axios error into a descriptive error for common API issues
+ * The result carries `retryable` and, when the server asked for one, `retryAfterMs` for withRetries()
+ * @param {Object} config - Resolved provider configuration
+ * @param {Error} error - Error thrown by axios
+ * @returns {Error} Descriptive error
+ */
+function describeApiError(config, error) {
+  const { label } = config;
+  const status = error.response?.status;
+  let described;
+  if (status === 401 || status === 403) {
+    described = new Error(`${label} authentication failed. Check your API key.`);
+  } else if (status === 429) {
+    described = new Error(`${label} rate limit exceeded.`);
+  } else if (status >= 500) {
+    described = new Error(`${label} server error (HTTP ${status}).`);
+  } else if (error.response) {
+    described = new Error(`${label} error: ${error.response.data?.error?.message || error.message}`);
+  } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    described = new Error(`${label} did not respond within ${config.timeoutMs} ms.`);
+  } else {
+    described = new Error(`${label} error: ${error.message}`);
+  }
+
+  described.status = status;
+  described.retryable = status ? RETRYABLE_STATUSES.includes(status) : RETRYABLE_CODES.includes(error.code);
+  described.retryAfterMs = parseRetryAfter(error.response?.headers || {});
+  return described;
+}
+
+/**
+ * Reads how long the server asked the client to wait
+ * @param {Object} headers - Response headers (lower-case names)
+ * @returns {number|null} Milliseconds, or null when the response does not say
+ */
+function parseRetryAfter(headers) {
+  const milliseconds = Number(headers['retry-after-ms']);
+  if (headers['retry-after-ms'] && Number.isFinite(milliseconds)) {
+    return Math.max(0, milliseconds);
+  }
+
+  const value = headers['retry-after'];
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// ============================================================================
+// RETRIES, CONCURRENCY AND TOKEN BUDGET
+// ============================================================================
+
+/**
+ * Wraps an adapter so transient failures are retried
+ * @param {Function} complete - Adapter call
+ * @param {number} maxRetries - Retries after the first attempt
+ * @returns {Function} Retrying completion function
+ */
+function withRetries(complete, maxRetries) {
+  return async (prompt, params) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await complete(prompt, params);
+      } catch (error) {
+        if (!error.retryable || maxRetries === 0) throw error;
+        const delay = retryDelay(attempt, error.retryAfterMs);
+        if (attempt > maxRetries || delay === null) {
+          error.message += ` Gave up after ${attempt} attempt(s)${delay === null ? ` (Retry-After asked for ${Math.round(error.retryAfterMs / 1000)}s)` : ''}.`;
+          throw error;
+        }
+        console.warn(`${error.message} Retrying in ${(delay / 1000).toFixed(1)}s (retry ${attempt}/${maxRetries})...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  };
+}
+
+/**
+ * Wait before a retry
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {number|null} retryAfterMs - Wait the server asked for
+ * @returns {number|null} Milliseconds, or null when the server asked for longer than MAX_RETRY_AFTER_MS
+ */
+function retryDelay(attempt, retryAfterMs) {
+  if (retryAfterMs !== null && retryAfterMs !== undefined) {
+    return retryAfterMs <= MAX_RETRY_AFTER_MS ? retryAfterMs : null;
+  }
+  // Equal jitter: half the exponential delay, plus a random share of the other half
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Wraps a completion function so only `limit` requests to one endpoint run at once
+ * @param {Function} complete - Completion function to wrap
+ * @param {string} key - Endpoint the limit applies to; providers with the same key share it
+ * @param {number} limit - Maximum concurrent requests
+ * @returns {Function} Limited completion function
+ */
+function withConcurrencyLimit(complete, key, limit) {
+  if (!limiters.has(key)) {
+    limiters.set(key, createLimiter(limit));
+  }
+  const limiter = limiters.get(key);
+  return (prompt, params) => limiter(() => complete(prompt, params));
+}
+
+/**
+ * Wraps a completion function so requests fit the context window and responses arrive whole
+ * max_tokens is lowered when the prompt leaves less room; a response cut off at max_tokens is
+ * requested again with twice the limit (as far as the window allows), then rejected
+ * @param {Function} complete - Completion function returning { text, truncated }
+ * @param {Object} config - Resolved provider configuration
+ * @param {number} contextWindow - Model context window in tokens
+ * @returns {Function} Completion function returning the response text
+ */
+function withTokenBudget(complete, config, contextWindow) {
+  return async (prompt, params = {}) => {
+    const room = promptBudget(contextWindow, estimateTokens(prompt));
+    if (room === 0) {
+      throw new Error(`The prompt (about ${estimateTokens(prompt)} tokens) does not fit the ${contextWindow}-token context window of ${config.model}. `
+        + 'Set provider.contextWindow in ai-qa.config.js if the model accepts more.');
+    }
+
+    let maxTokens = Math.min(params.maxTokens || 2000, room);
+    let response = await complete(prompt, { ...params, maxTokens });
+    if (response.truncated && maxTokens < room) {
+      maxTokens = Math.min(maxTokens * 2, room);
+      console.warn(`${config.label} response was cut off at max_tokens; requesting it again with ${maxTokens}...`);
+      response = await complete(prompt, { ...params, maxTokens });
+    }
+    if (response.truncated) {
+      throw new Error(`${config.label} response was cut off at max_tokens (${maxTokens}). `
+        + 'Raise provider.maxTokens in ai-qa.config.js for this kind of request.');
+    }
+    return response.text;
+  };
+}
+
+// ============================================================================
+// RECORD / REPLAY
+// ============================================================================
+
+/**
+ * Computes the stable key a prompt is recorded under
+ * @param {string} prompt - Prompt text
+ * @returns {string} Short SHA-256 hex digest
+ */
+function promptKey(prompt) {
+  return crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 16);
+}
+
+/**
+ * Replays a recorded response for a prompt
+ * Looks for <dir>/<prompt-key>.txt first, then <dir>/default.txt
+ * @param {string} dir - Recorded responses directory
+ * @param {string} prompt - Prompt text
+ * @returns {Promise<string>} Recorded response text
+ */
+async function replayRecordedResponse(dir, prompt) {
+  const key = promptKey(prompt);
+  const candidates = [path.join(dir, `${key}.txt`), path.join(dir, 'default.txt')];
+
+  for (const candidate of candidates) {
+    if (fs.existsSync(candidate)) {
+      return fs.readFileSync(candidate, 'utf-8');
+    }
+  }
+
+  throw new Error(`Mock provider has no recorded response for prompt ${key}. Expected ${candidates[0]} (record one with AI_QA_RECORD_DIR=${dir}).`);
+}
+
+/**
+ * Wraps a completion function so every response is saved for the mock provider
+ * @param {Function} complete - Completion function to wrap
+ * @param {string} dir - Directory to record responses into
+ * @returns {Function} Recording completion function
+ */
+function withRecording(complete, dir) {
+  return async (prompt, params) => {
+    const text = await complete(prompt, params);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${promptKey(prompt)}.txt`), text, 'utf-8');
+    return text;
+  };
+}
+
+// ============================================================================
+// REDACTION
+// ============================================================================
+
+/**
+ * Wraps a completion function so secrets never leave the framework
+ * Secrets in the prompt become ${QA_*} placeholders, which are mapped to process.env
+ * references in the response
+ * @param {Function} complete - Completion function to wrap
+ * @returns {Function} Redacting completion function
+ */
+function withRedaction(complete) {
+  return async (prompt, params) => {
+    const { text, secrets } = redactText(prompt);
+    if (secrets.length > 0) {
+      console.warn(`Redacted ${secrets.length} secret(s) from the prompt; the code reads them from process.env: ${secrets.map(secret => secret.name).join(', ')}`);
+    }
+    const response = await complete(text, params);
+    return restorePlaceholders(response, secrets);
+  };
+}
+
+module.exports = {
+  PROVIDER_DEFAULTS,
+  createProvider,
+  promptKey
+};
@@ -0,0 +1,302 @@
+/**
+ * Generation Manifest for AI Self-Healing QA Framework
+ *
+ * Records, for every generated spec, what it was generated from: a hash of the input
+ * description, the prompt template version, the provider/model and a hash of the spec as
+ * written. generate_test.js uses it to skip specs whose inputs have not changed and to detect
+ * specs that were edited (by hand or by the healer) after generation.
+ *
+ * Each entry also keeps the description text itself, so `ai-qa update` can show the model what
+ * changed in it and edit the existing spec instead of regenerating it. The text is stored redacted
+ * (see lib/redaction.js), and the input hash is taken over the redacted text too (hashDescription), so
+ * credentials typed into a description can neither be read from the committed manifest nor confirmed
+ * by hashing a guess.
+ *
+ * Hand-written specs described with `ai-qa describe` get an entry too, with no output hash: they
+ * are never overwritten by generation (without --force), but `ai-qa update` can edit them.
+ * Specs captured with `ai-qa record` are recorded like generated ones, with mode 'recorded'.
+ *
+ * In Page Object Model mode (generate_test.js --pom) it also records the shared page objects
+ * (same edit protection as specs) and, per module, what its page objects were last generated from.
+ *
+ * File: playwright-tests/.ai-qa-manifest.json (commit it alongside the specs)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { toPosixPath } = require('./files');
+const { redactText } = require('./redaction');
+
+// Default manifest location
+const MANIFEST_FILE = 'playwright-tests/.ai-qa-manifest.json';
+
+// Bump when the manifest layout changes
+const MANIFEST_VERSION = 1;
+
+/**
+ * Hashes file or prompt content
+ * @param {string} content - Content to hash
+ * @returns {string} SHA-256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hashes a description for an entry's inputHash, after redacting it like the stored snapshot
+ * @param {string} text - Description (or other input text) as read from test-inputs/
+ * @returns {string} SHA-256 hex digest of the redacted text
+ */
+function hashDescription(text) {
+  return hashContent(redactText(text).text);
+}
+
+/**
+ * Loads the manifest, returning an empty one when the file does not exist yet
+ * @param {string} [filePath] - Manifest path
+ * @returns {{version: number, specs: Object, pageObjects: Object, pageModules: Object}} Manifest
+ */
+function loadManifest(filePath = MANIFEST_FILE) {
+  if (!fs.existsSync(filePath)) {
+    return { version: MANIFEST_VERSION, specs: {}, pageObjects: {}, pageModules: {} };
+  }
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return {
+      version: MANIFEST_VERSION,
+      specs: manifest.specs || {},
+      pageObjects: manifest.pageObjects || {},
+      pageModules: manifest.pageModules || {}
+    };
+  } catch (error) {
+    throw new Error(`Failed to read generation manifest "${filePath}": ${error.message}`);
+  }
+}
+
+/**
+ * Writes the manifest with specs sorted by path so diffs stay stable
+ * @param {Object} manifest - Manifest to save
+ * @param {string} [filePath] - Manifest path
+ */
+function saveManifest(manifest, filePath = MANIFEST_FILE) {
+  const output = { version: MANIFEST_VERSION, specs: sortKeys(manifest.specs) };
+  // Page object sections are only written once POM mode has been used
+  if (Object.keys(manifest.pageObjects || {}).length > 0) output.pageObjects = sortKeys(manifest.pageObjects);
+  if (Object.keys(manifest.pageModules || {}).length > 0) output.pageModules = sortKeys(manifest.pageModules);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(output, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Copies an object with its keys in sorted order
+ * @param {Object} object - Object to copy
+ * @returns {Object} Sorted copy
+ */
+function sortKeys(object) {
+  const sorted = {};
+  for (const key of Object.keys(object).sort()) {
+    sorted[key] = object[key];
+  }
+  return sorted;
+}
+
+/**
+ * Returns the manifest entry for a spec
+ * @param {Object} manifest - Loaded manifest
+ * @param {string} specFile - Spec path
+ * @returns {Object|undefined} Entry
+ */
+function getEntry(manifest, specFile) {
+  return manifest.specs[toPosixPath(specFile)];
+}
+
+/**
+ * Copies entry fields with the description snapshot redacted
+ * @param {Object} entry - Entry fields
+ * @returns {Object} Fields as stored
+ */
+function redactDescription(entry) {
+  return entry.description ? { ...entry, description: redactText(entry.description).text } : entry;
+}
+
+/**
+ * Records a freshly generated spec
+ * @param {Object} manifest - Loaded manifest
+ * @param {string} specFile - Spec path
+ * @param {Object} entry - Entry fields (input, inputHash, promptVersion, model, ...)
+ * @param {string} code - Spec content as written
+ */
+function recordSpec(manifest, specFile, entry, code) {
+  manifest.specs[toPosixPath(specFile)] = {
+    ...redactDescription(entry),
+    outputHash: hashContent(code),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Records a spec updated to a new description (ai-qa update)
+ * A spec edited after generation stays marked as edited (its recorded hash is kept), so a later
+ * plain generation run still will not overwrite it
+ * @param {Object} manifest - Loaded manifest
+ * @param {string} specFile - Spec path
+ * @param {Object} entry - Entry fields for the new description (input, inputHash, description, ...)
+ * @param {string} previousCode - Spec content before the update
+ * @param {string} code - Spec content as written
+ */
+function recordSpecUpdate(manifest, specFile, entry, previousCode, code) {
+  const previous = getEntry(manifest, specFile) || {};
+  const edited = hashContent(previousCode) !== previous.outputHash;
+  manifest.specs[toPosixPath(specFile)] = {
+    ...redactDescription(entry),
+    outputHash: edited ? previous.outputHash : hashContent(code),
+    generatedAt: previous.generatedAt,
+    ...(previous.describedAt && { describedAt: previous.describedAt }),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Records a hand-written spec and the description written for it (ai-qa describe)
+ * The entry has no output hash, so the spec counts as edited and generation never replaces it
+ * @param {Object} manifest - Loaded manifest
+ * @param {string} specFile - Spec path
+ * @param {Object} entry - Entry fields (input, inputHash, promptVersion, model, description)
+ */
+function recordDescribedSpec(manifest, specFile, entry) {
+  manifest.specs[toPosixPath(specFile)] = {
+    ...redactDescription(entry),
+    outputHash: null,
+    describedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Decides whether a spec needs to be (re)generated
+ * @param {Object} manifest - Loaded manifest
+ * @param {string} specFile - Spec path
+ * @param {Object} expected - Fields the spec should have been generated from
+ * @param {string} expected.inputHash - Hash of the input description (see hashDescription)
+ * @param {number} expected.promptVersion - Prompt template version
+ * @param {string} expected.model - Provider/model identifier
+ * @param {string} [expected.mode] - Generation mode ('pom' for page-object specs)
+ * @returns {{action: string, reason: string}} action is 'generate', 'skip' or 'protect'
+ *   ('protect' means the spec was modified after generation and must not be overwritten)
+ */
+function checkSpec(manifest, specFile, expected) {
+  if (!fs.existsSync(specFile)) {
+    return { action: 'generate', reason: 'spec does not exist' };
+  }
+
+  const entry = getEntry(manifest, specFile);
+  if (!entry) {
+    return { action: 'protect', reason: 'spec exists but was not generated by this tool' };
+  }
+
+  if (entry.outputHash === null) {
+    return { action: 'protect', reason: 'spec was written by hand' };
+  }
+  if (hashContent(fs.readFileSync(specFile, 'utf-8')) !== entry.outputHash) {
+    return { action: 'protect', reason: 'spec was edited after generation' };
+  }
+
+  return compareSources(entry, expected);
+}
+
+/**
+ * Decides whether a module's page objects need to be (re)generated
+ * @param {Object} manifest - Loaded manifest
+ * @param {string} module - Module name
+ * @param {Object} expected - Fields the page objects should have been generated from
+ *   (inputHash of the module's descriptions, promptVersion, model)
+ * @returns {{action: string, reason: string}} action is 'generate' or 'skip'
+ */
+function checkPageModule(manifest, module, expected) {
+  const entry = manifest.pageModules[module];
+  if (!entry) {
+    return { action: 'generate', reason: 'page objects not generated yet' };
+  }
+  return compareSources(entry, expected);
+}
+
+/**
+ * Records that a module's page objects were generated
+ * @param {Object} manifest - Loaded manifest
+ * @param {string} module - Module name
+ * @param {Object} entry - Entry fields (inputHash, promptVersion, model)
+ */
+function recordPageModule(manifest, module, entry) {
+  manifest.pageModules[module] = { ...entry, generatedAt: new Date().toISOString() };
+}
+
+/**
+ * Decides whether a page object may be written
+ * @param {Object} manifest - Loaded manifest
+ * @param {string} pageFile - Page object path
+ * @returns {{action: string, reason: string}} action is 'generate' or 'protect'
+ */
+function checkPageObject(manifest, pageFile) {
+  if (!fs.existsSync(pageFile)) {
+    return { action: 'generate', reason: 'page object does not exist' };
+  }
+
+  const entry = manifest.pageObjects[toPosixPath(pageFile)];
+  if (!entry) {
+    return { action: 'protect', reason: 'page object exists but was not generated by this tool' };
+  }
+  if (hashContent(fs.readFileSync(pageFile, 'utf-8')) !== entry.outputHash) {
+    return { action: 'protect', reason: 'page object was edited after generation' };
+  }
+  return { action: 'generate', reason: 'page object updated' };
+}
+
+/**
+ * Records a freshly written page object
+ * @param {Object} manifest - Loaded manifest
+ * @param {string} pageFile - Page object path
+ * @param {string} code - Page object content as written
+ */
+function recordPageObject(manifest, pageFile, code) {
+  manifest.pageObjects[toPosixPath(pageFile)] = {
+    outputHash: hashContent(code),
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Compares a recorded entry with the sources it should have been generated from
+ * @param {Object} entry - Manifest entry
+ * @param {Object} expected - Expected sources
+ * @returns {{action: string, reason: string}} 'skip' when nothing changed, otherwise 'generate'
+ */
+function compareSources(entry, expected) {
+  // A recorded spec was not written by a model, so only a change to its description makes it stale
+  const keys = entry.mode === 'recorded' ? ['inputHash'] : ['inputHash', 'promptVersion', 'model', 'mode'];
+  const changed = keys.filter(key => entry[key] !== expected[key]);
+  if (changed.length === 0) {
+    return { action: 'skip', reason: 'up to date' };
+  }
+
+  const labels = { inputHash: 'description', promptVersion: 'prompt template', model: 'model', mode: 'generation mode' };
+  return { action: 'generate', reason: `${changed.map(key => labels[key]).join(', ')} changed` };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  hashContent,
+  hashDescription,
+  loadManifest,
+  saveManifest,
+  getEntry,
+  recordSpec,
+  recordSpecUpdate,
+  recordDescribedSpec,
+  checkSpec,
+  checkPageModule,
+  recordPageModule,
+  checkPageObject,
+  recordPageObject
+};
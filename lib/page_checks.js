@@ -0,0 +1,60 @@
+/**
+ * Page Checks for AI Self-Healing QA Framework
+ *
+ * Besides element assertions, a description can ask for whole-page checks in plain words:
+ *
+ *   Go to /pricing.
+ *   The page should match the baseline.
+ *   The page should have no accessibility violations.
+ *
+ * Each check maps to one assertion in the generated spec:
+ *   - visual:        await expect(page).toHaveScreenshot('pricing.png')
+ *                    Compared with a baseline image kept under playwright-tests/__baselines__/;
+ *                    the first run writes it (see playwright.config.js)
+ *   - accessibility: await expect(page).toHaveNoAccessibilityViolations()
+ *                    An axe-core scan of the page (see lib/accessibility.js)
+ *
+ * Generation asks for the assertion whenever the description uses one of the phrases below and
+ * rejects a spec that leaves it out.
+ */
+
+// Checks, keyed by name: the phrases that request them and the assertion that performs them
+const PAGE_CHECKS = {
+  visual: {
+    phrase: /\bmatch(?:es)?\s+(?:the\s+)?(?:visual\s+)?baseline\b|\bvisual(?:ly)?\s+(?:check|regression|baseline|snapshot)|\bscreenshot\s+(?:should\s+)?match/i,
+    assertion: /\.toHaveScreenshot\(/,
+    missing: 'The description asks for a visual check: compare the page with its baseline using await expect(page).toHaveScreenshot(\'<name>.png\')'
+  },
+  accessibility: {
+    phrase: /\baccessibility\s+(?:violations?|issues?|errors?|problems?|scan|check|audit)|\ba11y\b|\baccessible\s+to\s+screen\s+readers\b/i,
+    assertion: /\.toHaveNoAccessibilityViolations\(/,
+    missing: 'The description asks for an accessibility check: scan the page using await expect(page).toHaveNoAccessibilityViolations()'
+  }
+};
+
+/**
+ * Lists the page checks a description asks for
+ * @param {string} text - Description text (a scenario, for structured formats)
+ * @returns {string[]} Check names from PAGE_CHECKS, e.g. ['visual', 'accessibility']
+ */
+function findPageChecks(text) {
+  return Object.keys(PAGE_CHECKS).filter(name => PAGE_CHECKS[name].phrase.test(String(text)));
+}
+
+/**
+ * Checks that a spec performs the page checks its description asks for
+ * @param {string} code - Spec source
+ * @param {string[]} checks - Check names from findPageChecks
+ * @returns {string[]} Problems (empty when every check is present)
+ */
+function checkPageCheckUsage(code, checks) {
+  return checks
+    .filter(name => !PAGE_CHECKS[name].assertion.test(code))
+    .map(name => PAGE_CHECKS[name].missing);
+}
+
+module.exports = {
+  PAGE_CHECKS,
+  findPageChecks,
+  checkPageCheckUsage
+};
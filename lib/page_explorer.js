@@ -0,0 +1,324 @@
+/**
+ * Live Page Exploration for AI Self-Healing QA Framework
+ *
+ * Before a spec is generated, the pages its description visits are opened in a headless
+ * browser and summarised for the prompt, so the model picks selectors that exist instead of
+ * guessing them from prose. For every page visited it records:
+ *   - the ARIA snapshot (the accessibility tree Playwright assertions and getByRole() see)
+ *   - candidate locators for each interactive element and heading, checked to match exactly
+ *     one element, in the order tests should prefer them (test id, role, label, placeholder, text)
+ *
+ * Pages come from the URLs in the description. `${QA_URL}` placeholders and descriptions
+ * without a URL use the base URL (--base-url, QA_URL, or `use.baseURL` in playwright.config.js).
+ * Same-origin links on the explored pages are followed until the page budget is used up.
+ *
+ * Exploration is best effort: pages that fail to load are reported in the summary and a
+ * browser that cannot launch disables exploration for the rest of the run.
+ */
+
+const path = require('path');
+const { describeCall } = require('./self_healing');
+
+// Pages explored per description (described pages first, then linked pages)
+const DEFAULT_MAX_PAGES = 5;
+
+// Navigation timeout per page
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Candidate elements summarised per page
+const MAX_ELEMENTS = 40;
+
+// ARIA snapshots are truncated to this many characters per page in the prompt
+const MAX_SNAPSHOT_CHARS = 4000;
+
+// Elements worth a locator
+const ELEMENT_SELECTOR = 'a[href], button, input:not([type=hidden]), select, textarea, [role], [data-testid], h1, h2, h3';
+
+/**
+ * Works out the application's base URL
+ * @param {string} [configPath='playwright.config.js'] - Playwright config to read `use.baseURL` from
+ * @returns {string|null} Base URL without a trailing slash, or null when none is configured
+ */
+function resolveBaseURL(configPath = 'playwright.config.js') {
+  let baseURL = process.env.QA_URL || null;
+  if (!baseURL) {
+    try {
+      baseURL = require(path.resolve(configPath)).use?.baseURL || null;
+    } catch (error) {
+      // No readable config; exploration then relies on absolute URLs in the description
+    }
+  }
+  return baseURL ? baseURL.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Extracts the URLs a description visits
+ * @param {string} text - Test description
+ * @param {string|null} [baseURL] - Base URL for ${QA_URL} placeholders and URL-less descriptions
+ * @returns {string[]} Distinct absolute URLs in description order
+ */
+function extractUrls(text, baseURL = null) {
+  const expanded = baseURL ? text.replace(/\$\{QA_URL\}/g, baseURL) : text;
+  const urls = (expanded.match(/https?:\/\/[^\s'"`<>)\]]+/g) || []).map(url => url.replace(/[.,;:!?]+$/, ''));
+  if (urls.length === 0 && baseURL) {
+    urls.push(baseURL);
+  }
+  return [...new Set(urls)];
+}
+
+/**
+ * Creates an exploration session that shares one browser and caches pages across descriptions
+ * @param {Object} [options]
+ * @param {string|null} [options.baseURL] - Base URL (default: resolveBaseURL())
+ * @param {number} [options.maxPages] - Pages explored per description
+ * @param {number} [options.timeout] - Navigation timeout per page in ms
+ * @returns {{baseURL: string|null, explore: Function, close: Function}} Session;
+ *   explore(text) resolves to the prompt summary ('' when nothing could be explored)
+ */
+function createExplorer({ baseURL = resolveBaseURL(), maxPages = DEFAULT_MAX_PAGES, timeout = DEFAULT_TIMEOUT_MS } = {}) {
+  const cache = new Map(); // url → Promise<page summary>
+  let browserPromise = null;
+  let disabled = false;
+
+  const launch = () => {
+    if (!browserPromise) {
+      const { chromium } = require('@playwright/test');
+      browserPromise = chromium.launch();
+    }
+    return browserPromise;
+  };
+
+  const visit = url => {
+    if (!cache.has(url)) {
+      cache.set(url, launch().then(browser => explorePage(browser, url, { timeout })));
+    }
+    return cache.get(url);
+  };
+
+  return {
+    baseURL,
+
+    async explore(text) {
+      const urls = extractUrls(text, baseURL);
+      if (disabled || urls.length === 0) return '';
+
+      const pages = [];
+      const queue = urls.slice(0, maxPages);
+      const seen = new Set(queue);
+      try {
+        while (queue.length > 0 && pages.length < maxPages) {
+          const page = await visit(queue.shift());
+          pages.push(page);
+          for (const link of page.links || []) {
+            if (!seen.has(link) && seen.size < maxPages) {
+              seen.add(link);
+              queue.push(link);
+            }
+          }
+        }
+      } catch (error) {
+        disabled = true;
+        console.warn(`Warning: page exploration disabled, the browser could not be launched: ${error.message.split('\n')[0]}`);
+        console.warn('  Install it with: npx playwright install chromium');
+        return '';
+      }
+      return formatExploration(pages);
+    },
+
+    async close() {
+      if (browserPromise) {
+        const browser = await browserPromise.catch(() => null);
+        if (browser) await browser.close();
+      }
+    }
+  };
+}
+
+/**
+ * Opens one page and summarises it
+ * @param {Object} browser - Playwright Browser
+ * @param {string} url - Page URL
+ * @param {Object} options
+ * @param {number} options.timeout - Navigation timeout in ms
+ * @returns {Promise<Object>} { url, finalUrl, title, snapshot, locators, links } or { url, error }
+ */
+async function explorePage(browser, url, { timeout }) {
+  const page = await browser.newPage();
+  try {
+    const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+    await page.waitForLoadState('networkidle', { timeout: 3000 }).catch(() => {});
+    if (response && response.status() >= 400) {
+      return { url, error: `HTTP ${response.status()}` };
+    }
+
+    const finalUrl = page.url();
+    return {
+      url,
+      finalUrl,
+      title: await page.title(),
+      snapshot: await page.locator('body').ariaSnapshot({ timeout }),
+      locators: await findLocators(page),
+      links: await findSameOriginLinks(page, finalUrl)
+    };
+  } catch (error) {
+    return { url, error: error.message.split('\n')[0] };
+  } finally {
+    await page.close();
+  }
+}
+
+/**
+ * Builds a unique locator for each visible interactive element and heading on a page
+ * @param {Object} page - Playwright Page
+ * @returns {Promise<{element: string, locator: string}[]>} Element description and its preferred locator
+ */
+async function findLocators(page) {
+  const elements = await page.evaluate(({ selector, limit }) => {
+    const implicitRoles = {
+      a: 'link', button: 'button', select: 'combobox', textarea: 'textbox',
+      h1: 'heading', h2: 'heading', h3: 'heading'
+    };
+    const inputRoles = {
+      checkbox: 'checkbox', radio: 'radio', submit: 'button', button: 'button', reset: 'button',
+      search: 'searchbox', range: 'slider', number: 'spinbutton'
+    };
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+    const labelOf = element => {
+      const labelledBy = element.getAttribute('aria-labelledby');
+      if (labelledBy) {
+        return clean(labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent).join(' '));
+      }
+      if (element.labels && element.labels.length > 0) return clean(element.labels[0].textContent);
+      return '';
+    };
+
+    const results = [];
+    for (const element of document.querySelectorAll(selector)) {
+      const box = element.getBoundingClientRect();
+      const style = getComputedStyle(element);
+      if (box.width === 0 || box.height === 0 || style.visibility === 'hidden') continue;
+
+      const tag = element.tagName.toLowerCase();
+      const type = (element.getAttribute('type') || '').toLowerCase();
+      const role = element.getAttribute('role') ||
+        (tag === 'input' ? inputRoles[type] || 'textbox' : implicitRoles[tag] || null);
+      const label = clean(element.getAttribute('aria-label')) || labelOf(element);
+      const text = ['input', 'select', 'textarea'].includes(tag) ? '' : clean(element.textContent);
+
+      results.push({
+        tag,
+        role,
+        name: label || text || clean(element.getAttribute('title')) || (type === 'submit' ? clean(element.value) : ''),
+        label,
+        placeholder: clean(element.getAttribute('placeholder')),
+        text: text.length <= 60 ? text : '',
+        testId: element.getAttribute('data-testid') || '',
+        id: element.id || ''
+      });
+      if (results.length >= limit) break;
+    }
+    return results;
+  }, { selector: ELEMENT_SELECTOR, limit: MAX_ELEMENTS });
+
+  const locators = [];
+  for (const element of elements) {
+    for (const [method, ...args] of candidateCalls(element)) {
+      let count = 0;
+      try {
+        count = await page[method](...args).count();
+      } catch (error) {
+        continue;
+      }
+      if (count === 1) {
+        const description = `${element.role || element.tag}${element.name ? ` "${element.name}"` : ''}`;
+        locators.push({ element: description, locator: describeCall(method, args) });
+        break;
+      }
+    }
+  }
+  return locators;
+}
+
+/**
+ * Locator calls for an element in the order tests should prefer them
+ * @param {Object} element - Element summary from findLocators
+ * @returns {Array[]} [method, ...args] tuples
+ */
+function candidateCalls(element) {
+  const calls = [];
+  if (element.testId) calls.push(['getByTestId', element.testId]);
+  if (element.role && element.name) calls.push(['getByRole', element.role, { name: element.name }]);
+  if (element.label) calls.push(['getByLabel', element.label]);
+  if (element.placeholder) calls.push(['getByPlaceholder', element.placeholder]);
+  if (element.text) calls.push(['getByText', element.text, { exact: true }]);
+  if (element.id && /^[A-Za-z][\w-]*$/.test(element.id)) calls.push(['locator', `#${element.id}`]);
+  return calls;
+}
+
+/**
+ * Lists the same-origin pages a page links to
+ * @param {Object} page - Playwright Page
+ * @param {string} pageUrl - URL of the page
+ * @returns {Promise<string[]>} Absolute URLs without fragments
+ */
+async function findSameOriginLinks(page, pageUrl) {
+  const hrefs = await page.$$eval('a[href]', anchors => anchors.map(anchor => anchor.href));
+  const origin = new URL(pageUrl).origin;
+  const links = hrefs
+    .map(href => {
+      try {
+        const url = new URL(href);
+        url.hash = '';
+        return url.origin === origin ? url.toString() : null;
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(link => link && link !== pageUrl);
+  return [...new Set(links)];
+}
+
+/**
+ * Renders explored pages for the generation prompt
+ * @param {Object[]} pages - Page summaries from explorePage
+ * @returns {string} Prompt section body ('' when there are no pages)
+ */
+function formatExploration(pages) {
+  return pages.map(page => {
+    if (page.error) {
+      return `Page: ${page.url} (could not be explored: ${page.error})`;
+    }
+
+    const lines = [`Page: ${page.finalUrl}${page.title ? ` (title: ${JSON.stringify(page.title)})` : ''}`];
+    if (page.finalUrl !== page.url) {
+      lines.push(`Requested as: ${page.url}`);
+    }
+    lines.push('ARIA snapshot:', truncate(page.snapshot));
+    if (page.locators.length > 0) {
+      lines.push('Locators (each matches exactly one element):');
+      page.locators.forEach(({ element, locator }) => lines.push(`- ${element}: page.${locator}`));
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * Truncates long snapshots so several pages fit in the prompt
+ * @param {string} text - Snapshot
+ * @returns {string} Possibly truncated text
+ */
+function truncate(text) {
+  return text.length > MAX_SNAPSHOT_CHARS
+    ? `${text.slice(0, MAX_SNAPSHOT_CHARS)}\n... (truncated ${text.length - MAX_SNAPSHOT_CHARS} characters)`
+    : text;
+}
+
+module.exports = {
+  DEFAULT_MAX_PAGES,
+  ELEMENT_SELECTOR,
+  resolveBaseURL,
+  extractUrls,
+  createExplorer,
+  candidateCalls,
+  formatExploration
+};
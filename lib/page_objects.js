@@ -0,0 +1,112 @@
+/**
+ * Page Objects for AI Self-Healing QA Framework
+ *
+ * Helpers for the Page Object Model mode (generate_test.js --pom). Page objects are shared
+ * CommonJS classes under playwright-tests/pages/, one per page:
+ *
+ *   class LoginPage {
+ *     constructor(page) {
+ *       this.page = page;
+ *       this.emailInput = page.getByLabel('Email');
+ *     }
+ *     async login(email, password) { ... }
+ *   }
+ *   module.exports = { LoginPage };
+ *
+ * Specs import them with a relative require, so a healed selector is fixed once in the page
+ * object instead of in every spec that uses it. Model responses carry one fenced code block per
+ * file, with the file path as a comment on the first line (`// playwright-tests/pages/LoginPage.js`).
+ * The healer finds the page objects a spec uses with lib/spec_dependencies.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { walkFiles, toPosixPath } = require('./files');
+const { parseSpec, walkAst } = require('./code_validator');
+
+// Directory holding the shared page objects
+const PAGES_DIR = 'playwright-tests/pages';
+
+/**
+ * Loads every page object (timestamped backups left by the healer are ignored)
+ * @param {string} [dir] - Page object directory
+ * @returns {{file: string, source: string}[]} Page objects (file paths are POSIX, relative to the cwd)
+ */
+function loadPageObjects(dir = PAGES_DIR) {
+  return walkFiles(dir, file => file.endsWith('.js') && !file.endsWith('.bak.js')).map(file => ({
+    file: toPosixPath(file),
+    source: fs.readFileSync(file, 'utf-8')
+  }));
+}
+
+/**
+ * Relative module path a spec uses to require a page object
+ * @param {string} specPath - Spec path
+ * @param {string} pageFile - Page object path
+ * @returns {string} Require specifier, e.g. "../pages/LoginPage"
+ */
+function pageObjectImport(specPath, pageFile) {
+  const relative = toPosixPath(path.relative(path.dirname(path.resolve(specPath)), path.resolve(pageFile))).replace(/\.js$/, '');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+/**
+ * Lists the classes a page object exports
+ * @param {string} source - Page object source
+ * @returns {string[]} Class names
+ */
+function findExportedClasses(source) {
+  const classes = [];
+  walkAst(parseSpec(source), node => {
+    if ((node.type === 'ClassDeclaration' || node.type === 'ClassExpression') && node.id) {
+      classes.push(node.id.name);
+    }
+  });
+  return /module\.exports|export\s/.test(source) ? classes : [];
+}
+
+/**
+ * Checks a generated page object
+ * @param {string} source - Page object source
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validatePageObject(source) {
+  try {
+    if (findExportedClasses(source).length === 0) {
+      return ['The page object must define a class and export it with module.exports'];
+    }
+    return [];
+  } catch (error) {
+    return [error.message];
+  }
+}
+
+/**
+ * Extracts per-file code blocks from a model response
+ * Each block's first line must be a comment naming the file: `// path/to/file.js`
+ * @param {string} response - Raw model response
+ * @returns {{file: string, code: string}[]} Files in response order
+ */
+function extractFileBlocks(response) {
+  const blocks = [];
+  const blockRegex = /```(?:javascript|js|typescript|ts)?\n([\s\S]*?)```/g;
+  let match;
+
+  while ((match = blockRegex.exec(response)) !== null) {
+    const [firstLine, ...rest] = match[1].split('\n');
+    const header = firstLine.match(/^\s*\/\/\s*(?:File:\s*)?([\w./-]+\.[cm]?[jt]s)\s*$/i);
+    if (header) {
+      blocks.push({ file: toPosixPath(path.normalize(header[1])), code: `${rest.join('\n').trim()}\n` });
+    }
+  }
+  return blocks;
+}
+
+module.exports = {
+  PAGES_DIR,
+  loadPageObjects,
+  pageObjectImport,
+  findExportedClasses,
+  validatePageObject,
+  extractFileBlocks
+};
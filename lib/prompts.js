@@ -0,0 +1,260 @@
+/**
+ * Prompt Templates for AI Self-Healing QA Framework
+ *
+ * The generation, page-object, repair, update and describe prompts are text files with {{variable}}
+ * placeholders. The built-in ones live in prompts/ (generate.md, page_objects.md, heal.md, update.md,
+ * describe.md). For each prompt the first template found wins:
+ *
+ *   1. test-inputs/<module>/prompts/<name>.md   module override (e.g. a login helper for module-A)
+ *   2. prompts.<purpose> in ai-qa.config.js     project-wide template
+ *   3. prompts/<name>.md in this package        built-in template
+ *
+ * Few-shot examples: known-good specs (*.spec.js, *.spec.ts) in the folder named by prompts.examples and in
+ * test-inputs/<module>/prompts/examples/ are added to the prompt as {{examples}}.
+ *
+ * Variables are filled with the same sections the built-in templates use (e.g. {{description}},
+ * {{test}}, {{errorLog}}), plus {{moduleName}}, {{domSnapshot}} and {{examples}} in every prompt.
+ * A placeholder the prompt does not provide is an error, so typos surface on the first run rather
+ * than as a silent gap. Editing a template or an example changes the prompt version recorded in
+ * the manifest, so the specs built from it are regenerated.
+ *
+ * Given the model's context window, a prompt that would not fit next to its response budget is
+ * trimmed: examples go first, then the page snapshot and the other bulky context listed in
+ * SHRINKABLE; the description, the spec and the instructions are never cut (see lib/token_budget.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getConfig, completionParams } = require('./config');
+const { hashContent } = require('./manifest');
+const { toPosixPath } = require('./files');
+const { LANGUAGES, specLanguage } = require('./code_validator');
+const { promptBudget, fitToBudget } = require('./token_budget');
+
+// Built-in templates shipped with the framework
+const BUILT_IN_PROMPTS_DIR = path.join(__dirname, '..', 'prompts');
+
+// Template file name per prompt purpose
+const TEMPLATE_FILES = {
+  generate: 'generate.md',
+  pageObjects: 'page_objects.md',
+  heal: 'heal.md',
+  update: 'update.md',
+  describe: 'describe.md'
+};
+
+// Folder, inside a module directory, holding its template overrides and examples
+const MODULE_PROMPTS_DIR = 'prompts';
+
+// Files in an examples folder that are included as examples
+const EXAMPLE_PATTERN = /\.spec\.[jt]s$/;
+
+// Placeholder syntax: {{name}}, whitespace inside the braces allowed
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z][\w]*)\s*\}\}/g;
+
+/**
+ * Variables trimmed, in order, when a prompt does not fit the context window
+ * 'drop' removes the section, 'head' keeps its start, 'middle' keeps its start and end
+ */
+const SHRINKABLE = {
+  generate: [
+    { name: 'examples', strategy: 'drop' },
+    { name: 'domSnapshot', strategy: 'head' },
+    { name: 'exploration', strategy: 'head' }
+  ],
+  pageObjects: [
+    { name: 'examples', strategy: 'drop' },
+    { name: 'domSnapshot', strategy: 'head' },
+    { name: 'exploration', strategy: 'head' }
+  ],
+  heal: [
+    { name: 'examples', strategy: 'drop' },
+    { name: 'domSnapshot', strategy: 'head' },
+    { name: 'failureContext', strategy: 'head' },
+    { name: 'errorLog', strategy: 'middle' }
+  ],
+  update: [
+    { name: 'examples', strategy: 'drop' }
+  ],
+  describe: [
+    { name: 'examples', strategy: 'drop' },
+    { name: 'styleExample', strategy: 'head' }
+  ]
+};
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * Module a description or spec belongs to: its top-level directory under the input or output directory
+ * @param {string} file - Description or spec path
+ * @returns {string} Module name, or '' for files outside a module directory
+ */
+function moduleOf(file) {
+  const { inputDir, outputDir } = getConfig().paths;
+  for (const base of [inputDir, outputDir]) {
+    const segments = toPosixPath(path.relative(base, file)).split('/');
+    if (segments.length > 1 && segments[0] !== '..') {
+      return segments[0];
+    }
+  }
+  return '';
+}
+
+/**
+ * Folder holding a module's template overrides and examples
+ * @param {string} module - Module name
+ * @returns {string|null} Folder path, or null without a module
+ */
+function modulePromptsDir(module) {
+  return module ? path.join(getConfig().paths.inputDir, module, MODULE_PROMPTS_DIR) : null;
+}
+
+/**
+ * Template file used for a prompt
+ * @param {string} purpose - 'generate', 'pageObjects', 'heal', 'update' or 'describe'
+ * @param {Object} [options]
+ * @param {string} [options.module] - Module whose override takes precedence
+ * @returns {string} Template path
+ */
+function promptTemplatePath(purpose, { module = '' } = {}) {
+  if (!TEMPLATE_FILES[purpose]) {
+    throw new Error(`Unknown prompt "${purpose}"; expected one of ${Object.keys(TEMPLATE_FILES).join(', ')}`);
+  }
+  const moduleDir = modulePromptsDir(module);
+  const override = moduleDir && path.join(moduleDir, TEMPLATE_FILES[purpose]);
+  if (override && fs.existsSync(override)) {
+    return override;
+  }
+  return getConfig().prompts[purpose] || path.join(BUILT_IN_PROMPTS_DIR, TEMPLATE_FILES[purpose]);
+}
+
+/**
+ * Reads a template, without the file's final newline
+ * @param {string} templatePath - Template file
+ * @returns {string} Template text
+ */
+function readTemplate(templatePath) {
+  return fs.readFileSync(templatePath, 'utf-8').replace(/\r?\n$/, '');
+}
+
+/**
+ * Known-good specs to show the model
+ * @param {Object} [options]
+ * @param {string} [options.module] - Module whose examples are added to the project-wide ones
+ * @returns {{file: string, source: string}[]} Examples, project-wide first, each sorted by path
+ */
+function loadExamples({ module = '' } = {}) {
+  const folders = [getConfig().prompts.examples, modulePromptsDir(module) && path.join(modulePromptsDir(module), 'examples')];
+  return folders
+    .filter(folder => folder && fs.existsSync(folder) && fs.statSync(folder).isDirectory())
+    .flatMap(folder => fs.readdirSync(folder)
+      .filter(name => EXAMPLE_PATTERN.test(name))
+      .sort()
+      .map(name => path.join(folder, name)))
+    .map(file => ({ file: toPosixPath(file), source: fs.readFileSync(file, 'utf-8') }));
+}
+
+/**
+ * Renders examples for the {{examples}} variable
+ * @param {{file: string, source: string}[]} examples - Examples from loadExamples()
+ * @returns {string} Prompt section ('' without examples)
+ */
+function formatExamples(examples) {
+  if (examples.length === 0) {
+    return '';
+  }
+  return `
+Examples (known-good specs from this project; follow their conventions, not their content):
+${examples.map(({ file, source }) => `\`\`\`${LANGUAGES[specLanguage(file)].fence}\n// ${file}\n${source.trim()}\n\`\`\``).join('\n\n')}
+`;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Prompt version recorded in the manifest
+ * @param {string} purpose - 'generate', 'pageObjects', 'heal', 'update' or 'describe'
+ * @param {number} builtInVersion - Version of the built-in template and the variables the code fills in
+ * @param {Object} [options]
+ * @param {string} [options.module] - Module the prompt is built for
+ * @returns {number|string} builtInVersion, plus a hash of the template and examples when the project customises them
+ */
+function promptVersion(purpose, builtInVersion, { module = '' } = {}) {
+  const templatePath = promptTemplatePath(purpose, { module });
+  const examples = loadExamples({ module });
+  if (path.dirname(templatePath) === BUILT_IN_PROMPTS_DIR && examples.length === 0) {
+    return builtInVersion;
+  }
+  const sources = [readTemplate(templatePath), ...examples.map(({ file, source }) => `${file}\n${source}`)];
+  return `${builtInVersion}:${hashContent(sources.join('\n')).slice(0, 16)}`;
+}
+
+/**
+ * Fills a template's {{variable}} placeholders
+ * @param {string} template - Template text
+ * @param {Object<string, string>} variables - Placeholder values
+ * @param {string} [source] - Template name for error messages
+ * @returns {string} Rendered prompt
+ * @throws {Error} When the template uses a variable that is not provided
+ */
+function renderTemplate(template, variables, source = 'template') {
+  const unknown = [...template.matchAll(PLACEHOLDER_PATTERN)]
+    .map(match => match[1])
+    .filter(name => !(name in variables));
+  if (unknown.length > 0) {
+    throw new Error(`Prompt ${source} uses unknown variable(s) ${[...new Set(unknown)].map(name => `{{${name}}}`).join(', ')}; `
+      + `available: ${Object.keys(variables).map(name => `{{${name}}}`).join(', ')}`);
+  }
+  return template.replace(PLACEHOLDER_PATTERN, (match, name) => String(variables[name] ?? ''));
+}
+
+/**
+ * Builds a prompt from the template in use for its purpose and module
+ * @param {string} purpose - 'generate', 'pageObjects', 'heal', 'update' or 'describe'
+ * @param {Object<string, string>} variables - Placeholder values for this purpose
+ * @param {Object} [options]
+ * @param {string} [options.module] - Module the prompt is built for
+ * @param {string} [options.domSnapshot] - Page snapshot for {{domSnapshot}}
+ * @param {number} [options.contextWindow] - Model context window; when given, the prompt is trimmed
+ *   to leave room for the response (provider.maxTokens for this purpose)
+ * @returns {string} Prompt
+ * @throws {Error} When the prompt does not fit even after trimming
+ */
+function buildPrompt(purpose, variables, { module = '', domSnapshot = '', contextWindow = null } = {}) {
+  const templatePath = promptTemplatePath(purpose, { module });
+  const template = readTemplate(templatePath);
+  const source = `template "${toPosixPath(templatePath)}"`;
+  const allVariables = {
+    ...variables,
+    moduleName: module,
+    domSnapshot,
+    examples: formatExamples(loadExamples({ module }))
+  };
+
+  if (!contextWindow) {
+    return renderTemplate(template, allVariables, source);
+  }
+
+  const budget = promptBudget(contextWindow, completionParams(purpose).maxTokens);
+  const { prompt, shortened } = fitToBudget(values => renderTemplate(template, values, source), allVariables, budget, SHRINKABLE[purpose]);
+  if (shortened.length > 0) {
+    console.warn(`Trimmed ${shortened.join(', ')} to fit the ${purpose} prompt into the ${contextWindow}-token context window`);
+  }
+  return prompt;
+}
+
+module.exports = {
+  BUILT_IN_PROMPTS_DIR,
+  TEMPLATE_FILES,
+  moduleOf,
+  promptTemplatePath,
+  loadExamples,
+  formatExamples,
+  promptVersion,
+  renderTemplate,
+  buildPrompt
+};
@@ -0,0 +1,400 @@
+/**
+ * Browser Recorder for AI Self-Healing QA Framework
+ *
+ * Captures a test from a browser session instead of writing it as prose (ai-qa record). A
+ * Chromium window opens on the start URL and every navigation, click, fill, key press and
+ * selection made in it becomes a step. Each step targets the element with the locator a test
+ * should use, picked like lib/page_explorer.js does: test id, role and name, label, placeholder,
+ * text, id, and only then a CSS path; a locator that would match several elements is skipped.
+ *
+ * Assertions are chosen while recording:
+ *   - Alt+click an element         it must be visible
+ *   - Alt+Shift+click an element   it must have the text it has now
+ *   - Alt+U                        the page must be at the current URL
+ *
+ * Closing the window ends the session. The steps are rendered both as a description in the
+ * style of test-inputs/ and as a spec using the same locators, so the two agree without a model
+ * call. Password fields are recorded as the ${QA_PASSWORD} placeholder, never as the typed value.
+ * Only the main frame of the first tab is recorded.
+ */
+
+const { describeCall } = require('./self_healing');
+const { ELEMENT_SELECTOR, candidateCalls } = require('./page_explorer');
+const { applyEnvPlaceholders } = require('./description_parser');
+
+// Function the recording script calls to hand a step to Node
+const BINDING = '__aiQaRecordStep';
+
+// Environment variable password fields are recorded as (see lib/redaction.js)
+const SECRET_ENV_VAR = 'QA_PASSWORD';
+
+// A navigation this soon after a recorded action is its result, not a step of its own
+const NAVIGATION_GRACE_MS = 2000;
+
+// Shown at the bottom of every recorded page
+const HINT = 'Recording · Alt+click: expect visible · Alt+Shift+click: expect text · Alt+U: expect URL · close the window to finish';
+
+// Element kinds used to phrase steps ("the 'Sign In' button", "the 'Email' field")
+const FIELD_ROLES = ['textbox', 'searchbox', 'combobox', 'spinbutton'];
+
+// ============================================================================
+// SESSION
+// ============================================================================
+
+/**
+ * Opens a browser on a URL and records what is done in it
+ * @param {string} url - Start URL
+ * @param {Object} [options]
+ * @param {boolean} [options.headless=false] - Run without a window (for driving the page from code)
+ * @param {Object} [options.launchOptions] - Extra options for chromium.launch()
+ * @returns {Promise<{page: Object, steps: Object[], closed: Promise<void>, stop: Function}>} Session;
+ *   `closed` resolves when the window is closed and stop() closes the browser and resolves to the steps
+ */
+async function startRecorder(url, { headless = false, launchOptions = {} } = {}) {
+  const { chromium } = require('@playwright/test');
+  const browser = await chromium.launch({ headless, ...launchOptions });
+  const context = await browser.newContext({ viewport: headless ? undefined : null });
+  const steps = [];
+  let lastActionAt = 0;
+
+  await context.exposeBinding(BINDING, (source, step) => {
+    if (source.frame !== source.page.mainFrame()) return;
+    lastActionAt = Date.now();
+    steps.push(toStep(step));
+  });
+  await context.addInitScript(captureSteps, { selector: ELEMENT_SELECTOR, binding: BINDING, hint: HINT });
+
+  const page = await context.newPage();
+  page.on('framenavigated', frame => {
+    const current = frame.url();
+    if (frame !== page.mainFrame() || !/^(https?|file):/.test(current) || Date.now() - lastActionAt < NAVIGATION_GRACE_MS) return;
+    const last = steps[steps.length - 1];
+    if (!last || last.action !== 'goto' || last.url !== current) {
+      steps.push({ action: 'goto', url: current });
+    }
+  });
+  const closed = new Promise(resolve => {
+    page.on('close', resolve);
+    browser.on('disconnected', resolve);
+  });
+
+  await page.goto(url);
+
+  return {
+    page,
+    steps,
+    closed,
+    async stop() {
+      // Text typed into a field that was never left is still waiting in the page
+      await page.evaluate(() => window.__aiQaFlush && window.__aiQaFlush()).catch(() => {});
+      await browser.close().catch(() => {});
+      return mergeSteps(steps);
+    }
+  };
+}
+
+/**
+ * Turns a step reported by the page into a recorded step
+ * @param {Object} step - Step from captureSteps, with an element summary as `target`
+ * @returns {Object} Step with `target` as { method, args, phrase }
+ */
+function toStep(step) {
+  return step.target ? { ...step, target: chooseLocator(step.target) } : step;
+}
+
+/**
+ * Picks the preferred locator that matches only this element
+ * @param {Object} element - Element summary (see summarize in captureSteps), with `ambiguous`
+ *   listing the locator methods that match other elements too and `css` as the last resort
+ * @returns {{method: string, args: Array, phrase: string}} Locator call and how a description names the element
+ */
+function chooseLocator(element) {
+  const [method, ...args] = candidateCalls(element).find(([name]) => !element.ambiguous.includes(name)) || ['locator', element.css];
+  return { method, args, phrase: describeElement(element) };
+}
+
+/**
+ * Names an element the way descriptions do
+ * @param {Object} element - Element summary
+ * @returns {string} e.g. "the 'Sign In' button", "the 'Email' field", "the text 'Welcome'"
+ */
+function describeElement(element) {
+  const kind = FIELD_ROLES.includes(element.role) ? 'field' : element.role;
+  if (kind && element.name) return `the '${element.name}' ${kind}`;
+  if (element.label) return `the '${element.label}' field`;
+  if (element.placeholder) return `the '${element.placeholder}' field`;
+  if (element.text) return `the text '${element.text}'`;
+  if (element.testId) return `the '${element.testId}' element`;
+  return `the element at ${element.css}`;
+}
+
+/**
+ * Drops the intermediate values of a field typed into several times in a row
+ * @param {Object[]} steps - Recorded steps
+ * @returns {Object[]} Steps
+ */
+function mergeSteps(steps) {
+  const sameTarget = (a, b) => a.target && b.target && describeCall(a.target.method, a.target.args) === describeCall(b.target.method, b.target.args);
+  return steps.filter((step, index) => {
+    const next = steps[index + 1];
+    return !(next && step.action === 'fill' && next.action === 'fill' && sameTarget(step, next));
+  });
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Renders recorded steps as a plain-text description
+ * @param {Object[]} steps - Recorded steps
+ * @param {Object} options
+ * @param {string} options.title - Test title
+ * @returns {string} Description, one step per line
+ */
+function formatDescription(steps, { title }) {
+  const lines = steps.map(step => {
+    const target = step.target && step.target.phrase;
+    switch (step.action) {
+      case 'goto': return `Go to ${step.url}.`;
+      case 'click': return `Click ${target}.`;
+      case 'fill': return `Type '${step.secret ? `\${${SECRET_ENV_VAR}}` : step.value}' into ${target}.`;
+      case 'press': return `Press ${step.key} in ${target}.`;
+      case 'check': return `Check ${target}.`;
+      case 'uncheck': return `Uncheck ${target}.`;
+      case 'select': return `Select '${step.value}' in ${target}.`;
+      case 'assertVisible': return `Verify ${target} is visible.`;
+      case 'assertText': return `Verify ${target} has the text '${step.text}'.`;
+      case 'assertUrl': return `Verify the URL is ${step.url}.`;
+      default: throw new Error(`Unknown recorded action "${step.action}"`);
+    }
+  });
+  return [`Test: ${title}`, ...lines].join('\n');
+}
+
+/**
+ * Renders recorded steps as a Playwright spec
+ * @param {Object[]} steps - Recorded steps
+ * @param {Object} options
+ * @param {string} options.title - Test title
+ * @param {string} options.importPath - Module to import test and expect from (the self-healing wrapper)
+ * @param {boolean} [options.typescript=false] - Write ES imports for a .spec.ts file
+ * @returns {string} Spec source
+ */
+function formatSpec(steps, { title, importPath, typescript = false }) {
+  const locator = step => `page.${describeCall(step.target.method, step.target.args)}`;
+  const lines = steps.map(step => {
+    switch (step.action) {
+      case 'goto': return `await page.${describeCall('goto', [step.url])};`;
+      case 'click': return `await ${locator(step)}.click();`;
+      case 'fill': return `await ${locator(step)}.${describeCall('fill', [step.secret ? `\${${SECRET_ENV_VAR}}` : step.value])};`;
+      case 'press': return `await ${locator(step)}.${describeCall('press', [step.key])};`;
+      case 'check': return `await ${locator(step)}.check();`;
+      case 'uncheck': return `await ${locator(step)}.uncheck();`;
+      case 'select': return `await ${locator(step)}.${describeCall('selectOption', [step.value])};`;
+      case 'assertVisible': return `await expect(${locator(step)}).toBeVisible();`;
+      case 'assertText': return `await expect(${locator(step)}).${describeCall('toHaveText', [step.text])};`;
+      case 'assertUrl': return `await expect(page).${describeCall('toHaveURL', [step.url])};`;
+      default: throw new Error(`Unknown recorded action "${step.action}"`);
+    }
+  });
+
+  const importLine = typescript
+    ? `import { test, expect } from '${importPath}';`
+    : `const { test, expect } = require('${importPath}');`;
+  const code = `${importLine}
+
+test(${quote(title)}, async ({ page }) => {
+${lines.map(line => `  ${line}`).join('\n')}
+});
+`;
+  return applyEnvPlaceholders(code, [SECRET_ENV_VAR]);
+}
+
+/**
+ * Quotes a string as a single-quoted JavaScript literal
+ * @param {string} text - Text
+ * @returns {string} Literal
+ */
+function quote(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+// ============================================================================
+// PAGE SCRIPT
+// ============================================================================
+
+/**
+ * Runs in every recorded page (context.addInitScript): reports user actions to Node
+ * Must be self-contained, it is serialised into the page
+ * @param {Object} options
+ * @param {string} options.selector - Elements a locator is built for (ELEMENT_SELECTOR)
+ * @param {string} options.binding - Exposed function steps are sent to
+ * @param {string} options.hint - Text of the on-page hint
+ */
+function captureSteps({ selector, binding, hint }) {
+  if (window !== window.top || window.__aiQaFlush) return;
+
+  const implicitRoles = {
+    a: 'link', button: 'button', select: 'combobox', textarea: 'textbox',
+    h1: 'heading', h2: 'heading', h3: 'heading'
+  };
+  const inputRoles = {
+    checkbox: 'checkbox', radio: 'radio', submit: 'button', button: 'button', reset: 'button',
+    search: 'searchbox', range: 'slider', number: 'spinbutton'
+  };
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+  const isRecorderUi = element => Boolean(element.closest('[data-ai-qa-recorder]'));
+  const isToggle = element => element.tagName === 'INPUT' && ['checkbox', 'radio'].includes(element.type);
+  const isField = element => element.tagName === 'TEXTAREA' || (element.tagName === 'INPUT' && !isToggle(element) &&
+    !['submit', 'button', 'reset', 'image', 'file', 'range', 'color', 'hidden'].includes(element.type));
+
+  const labelOf = element => {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      return clean(labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent).join(' '));
+    }
+    if (element.labels && element.labels.length > 0) return clean(element.labels[0].textContent);
+    return '';
+  };
+
+  // Same fields as findLocators() in lib/page_explorer.js
+  const summarize = element => {
+    const tag = element.tagName.toLowerCase();
+    const type = (element.getAttribute('type') || '').toLowerCase();
+    const role = element.getAttribute('role') ||
+      (tag === 'input' ? inputRoles[type] || 'textbox' : implicitRoles[tag] || null);
+    const label = clean(element.getAttribute('aria-label')) || labelOf(element);
+    const text = ['input', 'select', 'textarea'].includes(tag) ? '' : clean(element.textContent);
+    return {
+      tag,
+      role,
+      name: label || text || clean(element.getAttribute('title')) || (type === 'submit' ? clean(element.value) : ''),
+      label,
+      placeholder: clean(element.getAttribute('placeholder')),
+      text: text.length <= 60 ? text : '',
+      testId: element.getAttribute('data-testid') || '',
+      id: element.id && document.querySelectorAll(`[id="${CSS.escape(element.id)}"]`).length === 1 ? element.id : ''
+    };
+  };
+
+  const cssPath = element => {
+    const parts = [];
+    for (let node = element; node && node !== document.body && node.parentElement; node = node.parentElement) {
+      if (node.id && /^[A-Za-z][\w-]*$/.test(node.id)) {
+        parts.unshift(`#${node.id}`);
+        break;
+      }
+      const sameTag = [...node.parentElement.children].filter(sibling => sibling.tagName === node.tagName);
+      const tag = node.tagName.toLowerCase();
+      parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(node) + 1})` : tag);
+    }
+    return parts.join(' > ');
+  };
+
+  // Element summary plus the locator methods that would also match other elements
+  const describeTarget = element => {
+    const summary = summarize(element);
+    const others = [...document.querySelectorAll(selector)]
+      .filter(other => other !== element && !isRecorderUi(other))
+      .map(summarize);
+    const textMatches = summary.text
+      ? [...document.body.querySelectorAll('*')].filter(node => !isRecorderUi(node) && clean(node.textContent) === summary.text &&
+        ![...node.children].some(child => clean(child.textContent) === summary.text)).length
+      : 0;
+    const ambiguous = [];
+    if (summary.testId && others.some(other => other.testId === summary.testId)) ambiguous.push('getByTestId');
+    if (others.some(other => other.role === summary.role && other.name === summary.name)) ambiguous.push('getByRole');
+    if (summary.label && others.some(other => other.label === summary.label)) ambiguous.push('getByLabel');
+    if (summary.placeholder && others.some(other => other.placeholder === summary.placeholder)) ambiguous.push('getByPlaceholder');
+    if (textMatches > 1) ambiguous.push('getByText');
+    return { ...summary, ambiguous, css: cssPath(element) };
+  };
+
+  // Typing is sent once the field is left or another step is recorded, with its final value
+  let pending = null;
+  const flush = () => {
+    if (!pending) return;
+    const { element } = pending;
+    pending = null;
+    window[binding]({ action: 'fill', target: describeTarget(element), value: element.value, secret: element.type === 'password' });
+  };
+  const send = step => {
+    flush();
+    window[binding](step);
+  };
+  window.__aiQaFlush = flush;
+
+  const flash = element => {
+    const outline = element.style.outline;
+    element.style.outline = '2px solid #2e7d32';
+    setTimeout(() => { element.style.outline = outline; }, 600);
+  };
+
+  document.addEventListener('click', event => {
+    if (!event.isTrusted || !(event.target instanceof Element) || isRecorderUi(event.target)) return;
+    const target = event.target.closest(selector) || event.target;
+
+    if (event.altKey) {
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      send(event.shiftKey
+        ? { action: 'assertText', target: describeTarget(target), text: clean(target.innerText || target.textContent) }
+        : { action: 'assertVisible', target: describeTarget(target) });
+      flash(target);
+      return;
+    }
+
+    // Fields, toggles and selects are recorded from what is typed or chosen, not from clicks on them
+    const control = target.closest('label')?.control;
+    if (isField(target) || isToggle(target) || (control && isToggle(control)) || ['SELECT', 'OPTION'].includes(target.tagName)) return;
+    send({ action: 'click', target: describeTarget(target) });
+  }, true);
+
+  document.addEventListener('input', event => {
+    if (event.isTrusted && isField(event.target)) pending = { element: event.target };
+  }, true);
+
+  document.addEventListener('change', event => {
+    const element = event.target;
+    if (!event.isTrusted || isRecorderUi(element)) return;
+    if (isField(element)) {
+      flush();
+    } else if (isToggle(element)) {
+      send({ action: element.checked || element.type === 'radio' ? 'check' : 'uncheck', target: describeTarget(element) });
+    } else if (element.tagName === 'SELECT') {
+      send({ action: 'select', target: describeTarget(element), value: clean(element.selectedOptions[0]?.textContent) });
+    }
+  }, true);
+
+  document.addEventListener('keydown', event => {
+    if (!event.isTrusted) return;
+    if (event.altKey && event.code === 'KeyU') {
+      event.preventDefault();
+      send({ action: 'assertUrl', url: location.href });
+    } else if (event.key === 'Enter' && event.target instanceof Element && isField(event.target) && event.target.tagName !== 'TEXTAREA') {
+      send({ action: 'press', target: describeTarget(event.target), key: 'Enter' });
+    }
+  }, true);
+
+  window.addEventListener('pagehide', flush);
+
+  const showHint = () => {
+    const banner = document.createElement('div');
+    banner.setAttribute('data-ai-qa-recorder', '');
+    banner.textContent = hint;
+    banner.style.cssText = 'position:fixed;left:8px;bottom:8px;z-index:2147483647;pointer-events:none;padding:4px 8px;' +
+      'font:12px sans-serif;color:#fff;background:rgba(46,125,50,.85);border-radius:4px';
+    document.body.appendChild(banner);
+  };
+  if (document.body) showHint();
+  else document.addEventListener('DOMContentLoaded', showHint);
+}
+
+module.exports = {
+  SECRET_ENV_VAR,
+  startRecorder,
+  mergeSteps,
+  formatDescription,
+  formatSpec
+};
@@ -0,0 +1,162 @@
+/**
+ * Secret Redaction for AI Self-Healing QA Framework
+ *
+ * Every prompt is scrubbed before it leaves the framework (see withRedaction in
+ * lib/llm_provider.js). Secrets are swapped for ${ENV_VAR} placeholders, e.g.
+ *
+ *   Type 'jane@example.com' into the email field.  →  Type '${QA_EMAIL}' into the email field.
+ *
+ * and the same placeholders are turned into process.env references in the code that comes
+ * back, so generated and healed specs read secrets from the environment instead of the source.
+ *
+ * Built-in detectors cover emails, passwords, bearer/basic credentials, cookies, API keys and
+ * JWTs. Project-specific patterns are read from .ai-qa-redact.json (AI_QA_REDACT_FILE):
+ *
+ *   { "patterns": [{ "name": "ORDER_ID", "pattern": "ORD-\\d{6}", "flags": "i" }] }
+ *
+ * A pattern with a capture group redacts only the first group (or "group": n); otherwise the
+ * whole match.
+ */
+
+const fs = require('fs');
+const { applyEnvPlaceholders } = require('./description_parser');
+
+// Default location of project-specific redaction patterns
+const DEFAULT_REDACT_FILE = '.ai-qa-redact.json';
+
+// Prefix of the environment variables secrets are mapped to
+const ENV_PREFIX = 'QA_';
+
+// Password keywords recognised by the password detectors
+const PASSWORD_WORDS = '(?:password|passwd|passphrase|passcode|pwd)';
+
+/**
+ * Built-in detectors, applied in order
+ * `group` is the capture group holding the secret (0 = whole match)
+ */
+const DEFAULT_DETECTORS = [
+  { name: 'BEARER_TOKEN', pattern: /\bBearer\s+([A-Za-z0-9\-._~+/]{8,}=*)/g, group: 1 },
+  { name: 'BASIC_AUTH', pattern: /\bBasic\s+([A-Za-z0-9+/]{8,}=*)/g, group: 1 },
+  { name: 'COOKIE', pattern: /\b(?:Set-)?Cookie\s*:\s*([^\n]+)/gi, group: 1 },
+  { name: 'COOKIE', pattern: /\b(?:session(?:id)?|sid|connect\.sid|csrftoken|xsrf-token|auth[_-]?token)=([^;\s'"]+)/gi, group: 1 },
+  { name: 'TOKEN', pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}/g, group: 0 },
+  { name: 'API_KEY', pattern: /\b(?:sk-[A-Za-z0-9_-]{16,}|pplx-[A-Za-z0-9]{16,}|AIza[0-9A-Za-z_-]{35}|gh[pousr]_[A-Za-z0-9]{30,}|xox[abprs]-[A-Za-z0-9-]{10,})/g, group: 0 },
+  { name: 'SECRET', pattern: /\b(?:api[_-]?key|client[_-]?secret|access[_-]?token|secret)["']?\s*[:=]\s*["']?([A-Za-z0-9\-._~+/]{8,})/gi, group: 1 },
+  { name: 'PASSWORD', pattern: /\/\/[^\s:@/]+:([^\s@/]+)@/g, group: 1 },
+  { name: 'PASSWORD', pattern: new RegExp(`(?<!['"\`])\\b${PASSWORD_WORDS}\\b\\s*(?:is|=|:)?\\s*(['"\`])([^'"\`\\n]+)\\1`, 'gi'), group: 2 },
+  { name: 'PASSWORD', pattern: new RegExp(`(?<!['"\`])\\b${PASSWORD_WORDS}\\b\\s*[:=]\\s*([^\\s'"\`,;]+)`, 'gi'), group: 1 },
+  { name: 'PASSWORD', pattern: new RegExp(`(['"\`])([^'"\`\\n]+)\\1\\s+(?:in|into|as|for)\\s+(?:the\\s+)?(?:\\w+\\s+)?${PASSWORD_WORDS}\\b`, 'gi'), group: 2 },
+  { name: 'PASSWORD', pattern: new RegExp(`${PASSWORD_WORDS}[^\\n]*?\\.(?:fill|type|pressSequentially)\\(\\s*(['"\`])([^'"\`\\n]+)\\1`, 'gi'), group: 2 },
+  { name: 'EMAIL', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g, group: 0 }
+];
+
+/**
+ * Reads project-specific detectors from the redaction file
+ * @param {string} [filePath] - Redaction file (default: $AI_QA_REDACT_FILE or .ai-qa-redact.json)
+ * @returns {Object[]} Detectors ({ name, pattern, group })
+ * @throws {Error} When the file exists but is invalid
+ */
+function loadCustomDetectors(filePath = process.env.AI_QA_REDACT_FILE || DEFAULT_REDACT_FILE) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read redaction patterns "${filePath}": ${error.message}`);
+  }
+
+  return (config.patterns || []).map((entry, index) => {
+    if (!entry.name || !entry.pattern) {
+      throw new Error(`Redaction pattern #${index + 1} in "${filePath}" needs a "name" and a "pattern"`);
+    }
+    let pattern;
+    try {
+      pattern = new RegExp(entry.pattern, `${(entry.flags || '').replace(/[gd]/g, '')}g`);
+    } catch (error) {
+      throw new Error(`Redaction pattern "${entry.name}" in "${filePath}" is not a valid regex: ${error.message}`);
+    }
+    const name = entry.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+    return { name, pattern, group: entry.group ?? (countGroups(pattern) > 0 ? 1 : 0) };
+  });
+}
+
+/**
+ * Replaces secrets in text with ${QA_*} placeholders
+ * The same secret always gets the same placeholder; different secrets of one kind are numbered
+ * (QA_EMAIL, QA_EMAIL_2, ...)
+ * @param {string} text - Text to scrub
+ * @param {Object[]} [detectors] - Detectors to apply (default: custom patterns, then built-ins)
+ * @returns {{text: string, secrets: {name: string, value: string}[]}} Scrubbed text and placeholder map
+ */
+function redactText(text, detectors = [...loadCustomDetectors(), ...DEFAULT_DETECTORS]) {
+  const secrets = [];
+  const placeholderFor = (kind, value) => {
+    let secret = secrets.find(entry => entry.value === value);
+    if (!secret) {
+      const count = secrets.filter(entry => entry.kind === kind).length;
+      secret = { kind, name: `${ENV_PREFIX}${kind}${count > 0 ? `_${count + 1}` : ''}`, value };
+      secrets.push(secret);
+    }
+    return `\${${secret.name}}`;
+  };
+
+  let result = String(text);
+  for (const detector of detectors) {
+    const pattern = new RegExp(detector.pattern.source, `${detector.pattern.flags.replace(/[gd]/g, '')}gd`);
+    const replacements = [];
+
+    for (const match of result.matchAll(pattern)) {
+      const [start, end] = match.indices[detector.group] || [];
+      const value = match[detector.group];
+      if (start === undefined || !value || isPlaceholder(value)) continue;
+      replacements.push({ start, end, value });
+    }
+
+    // Replace from the end so earlier indices stay valid
+    for (const { start, end, value } of replacements.reverse()) {
+      result = result.slice(0, start) + placeholderFor(detector.name, value) + result.slice(end);
+    }
+  }
+
+  return { text: result, secrets: secrets.map(({ name, value }) => ({ name, value })) };
+}
+
+/**
+ * Maps placeholders produced by redactText back to process.env references in generated code
+ * @param {string} code - Code returned by the model
+ * @param {{name: string}[]} secrets - Placeholder map from redactText
+ * @returns {string} Code reading the secrets from process.env
+ */
+function restorePlaceholders(code, secrets) {
+  return applyEnvPlaceholders(code, secrets.map(secret => secret.name));
+}
+
+/**
+ * Counts the capture groups in a regex
+ * @param {RegExp} pattern - Regex
+ * @returns {number} Number of capture groups
+ */
+function countGroups(pattern) {
+  // An empty alternative always matches, and the result has one slot per group
+  return new RegExp(`${pattern.source}|`).exec('').length - 1;
+}
+
+/**
+ * Whether a detected value is already a placeholder or environment reference
+ * @param {string} value - Detected value
+ * @returns {boolean} True when there is nothing to redact
+ */
+function isPlaceholder(value) {
+  return /\$\{\w+\}|process\.env\./.test(value);
+}
+
+module.exports = {
+  DEFAULT_REDACT_FILE,
+  DEFAULT_DETECTORS,
+  loadCustomDetectors,
+  redactText,
+  restorePlaceholders
+};
@@ -0,0 +1,122 @@
+/**
+ * Permanent Selector Updates for AI Self-Healing QA Framework
+ *
+ * Turns heals recorded by the runtime self-healing locators (lib/self_healing.js) into source
+ * edits: each healed locator call in a spec is replaced by the fallback that worked at runtime.
+ * debug_test.js --from-ledger writes the result as reviewable patches.
+ */
+
+/**
+ * Keeps the most recent heal per spec, line and original locator call
+ * @param {Object[]} entries - Ledger entries
+ * @returns {Map<string, Object[]>} Spec path → heals to apply
+ */
+function groupLedgerBySpec(entries) {
+  const latest = new Map();
+  for (const entry of entries) {
+    if (!entry.spec || !entry.original || !entry.healed) continue;
+    latest.set(`${entry.spec}\u0000${entry.line}\u0000${entry.original}`, entry);
+  }
+
+  const bySpec = new Map();
+  for (const entry of latest.values()) {
+    if (!bySpec.has(entry.spec)) bySpec.set(entry.spec, []);
+    bySpec.get(entry.spec).push(entry);
+  }
+  return bySpec;
+}
+
+/**
+ * Applies heals to spec source
+ * The call is looked up on its recorded line first, then anywhere in the file
+ * @param {string} source - Spec source
+ * @param {Object[]} heals - Ledger entries for this spec
+ * @returns {{source: string, applied: Object[], missed: Object[]}} Updated source and outcome per heal
+ */
+function applyHealsToSource(source, heals) {
+  const lines = source.split('\n');
+  const applied = [];
+  const missed = [];
+
+  for (const heal of heals) {
+    const method = heal.original.slice(0, heal.original.indexOf('('));
+    const target = normalise(heal.original);
+    const lineIndexes = heal.line ? [heal.line - 1] : [];
+    lineIndexes.push(...lines.keys());
+
+    const found = lineIndexes.some(index => {
+      const updated = replaceCall(lines[index] || '', method, target, heal.healed);
+      if (updated === null) return false;
+      lines[index] = updated;
+      return true;
+    });
+
+    (found ? applied : missed).push(heal);
+  }
+
+  return { source: lines.join('\n'), applied, missed };
+}
+
+/**
+ * Replaces the first `.method(...)` call on a line whose normalised text matches the target
+ * @param {string} line - Source line
+ * @param {string} method - Locator factory method
+ * @param {string} target - Normalised original call
+ * @param {string} replacement - Healed call source
+ * @returns {string|null} Updated line, or null when the call is not on this line
+ */
+function replaceCall(line, method, target, replacement) {
+  let from = 0;
+  while (true) {
+    const start = line.indexOf(`.${method}(`, from);
+    if (start === -1) return null;
+
+    const end = findClosingParen(line, start + method.length + 1);
+    if (end === -1) return null;
+
+    const call = line.slice(start + 1, end + 1);
+    if (normalise(call) === target) {
+      return line.slice(0, start + 1) + replacement + line.slice(end + 1);
+    }
+    from = start + 1;
+  }
+}
+
+/**
+ * Finds the parenthesis closing the one at `open`, skipping string contents
+ * @param {string} text - Source text
+ * @param {number} open - Index of the opening parenthesis
+ * @returns {number} Index of the closing parenthesis, or -1
+ */
+function findClosingParen(text, open) {
+  let depth = 0;
+  let quote = null;
+  for (let i = open; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === '`') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Normalises call source so quoting and whitespace differences do not matter
+ * @param {string} call - Call source
+ * @returns {string} Normalised text
+ */
+function normalise(call) {
+  return call.replace(/["`]/g, "'").replace(/\s+/g, '').replace(/,}/g, '}');
+}
+
+module.exports = {
+  groupLedgerBySpec,
+  applyHealsToSource
+};
@@ -0,0 +1,507 @@
+/**
+ * Runtime Self-Healing Locators for AI Self-Healing QA Framework
+ *
+ * Generated specs import `test` and `expect` from this module instead of @playwright/test:
+ *
+ *   const { test, expect } = require('../../lib/self_healing');
+ *
+ * The `page` fixture is wrapped so locators created with page.locator() and page.getBy*()
+ * heal themselves at runtime. When the primary locator matches nothing within a short grace
+ * period, fallback strategies are tried in order:
+ *   1. Stored alternates (playwright-tests/.ai-qa-alternates.json)
+ *   2. Role and text similarity (same role with a fuzzy name, label, placeholder, text)
+ *   3. Closest element by name similarity, scored inside the page
+ *   4. Nearby attributes (data-testid, id, name, aria-label, placeholder, title)
+ * The first fallback that matches exactly one element is used, the heal is appended to the
+ * JSON-lines ledger (.ai-qa/heal-ledger.jsonl) and the test keeps running.
+ *
+ * Only actions heal (click, fill, check, ...). Assertions (expect(locator).toBeVisible(), ...) and
+ * reads whose value a test may assert on (textContent(), inputValue(), getAttribute(), ...) always
+ * use the locator as written, so a missing element fails the test instead of passing on a look-alike.
+ * Locators chained off a wrapped one (.locator(), .getBy*(), .filter(), .first(), .nth(), ...) are
+ * plain Playwright locators and are not healed.
+ *
+ * `node debug_test.js --from-ledger` turns the ledger into patches with permanent selector updates.
+ *
+ * `expect` also has expect(page).toHaveNoAccessibilityViolations(), an axe-core scan of the page
+ * (see lib/accessibility.js).
+ *
+ * Environment:
+ *   - AI_QA_HEAL_LEDGER:   Ledger path (default: .ai-qa/heal-ledger.jsonl)
+ *   - AI_QA_HEAL_WAIT_MS:  How long the primary locator gets to appear before healing (default: 5000)
+ *   - AI_QA_NO_HEAL=1:     Disable runtime healing (locators behave exactly like Playwright's)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { test: base, expect: baseExpect } = require('@playwright/test');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// Shared page objects (see lib/page_objects.js); kept literal so the fixture stays dependency-free
+const PAGES_DIR = 'playwright-tests/pages';
+
+// Default ledger location (JSON lines, one heal per line)
+const DEFAULT_LEDGER_FILE = '.ai-qa/heal-ledger.jsonl';
+
+// Stored alternates: { "<locator call>": ["<selector>", ...] }
+const ALTERNATES_FILE = 'playwright-tests/.ai-qa-alternates.json';
+
+// Grace period for the primary locator before fallbacks are tried
+const DEFAULT_HEAL_WAIT_MS = 5000;
+
+// Minimum name similarity (0..1) for the in-page similarity strategy
+const MIN_SIMILARITY = 0.6;
+
+// page methods that create locators
+const LOCATOR_FACTORIES = [
+  'locator', 'getByRole', 'getByText', 'getByLabel', 'getByPlaceholder',
+  'getByTestId', 'getByAltText', 'getByTitle'
+];
+
+// Locator methods that act on the element and therefore need it to exist; the only ones that heal
+const ACTION_METHODS = [
+  'click', 'dblclick', 'tap', 'fill', 'type', 'pressSequentially', 'press', 'check', 'uncheck',
+  'setChecked', 'selectOption', 'selectText', 'hover', 'focus', 'blur', 'clear', 'setInputFiles',
+  'dragTo', 'scrollIntoViewIfNeeded'
+];
+
+const ledgerFile = () => process.env.AI_QA_HEAL_LEDGER || DEFAULT_LEDGER_FILE;
+
+// ============================================================================
+// PAGE WRAPPER
+// ============================================================================
+
+/**
+ * Wraps a Playwright page so the locators it creates heal themselves
+ * @param {Object} page - Playwright Page
+ * @param {Object} [options]
+ * @param {Object} [options.testInfo] - Playwright TestInfo, recorded in the ledger
+ * @returns {Object} Proxied page
+ */
+function wrapPage(page, { testInfo } = {}) {
+  const alternates = loadAlternates();
+
+  return new Proxy(page, {
+    get(target, prop) {
+      const value = target[prop];
+      if (typeof value !== 'function') {
+        return value;
+      }
+      if (!LOCATOR_FACTORIES.includes(prop)) {
+        return value.bind(target);
+      }
+      return (...args) => {
+        const call = describeCall(prop, args);
+        const site = findCallSite(testInfo);
+        return healingLocator(target, value.apply(target, args), { method: prop, args, call, site, testInfo, alternates });
+      };
+    }
+  });
+}
+
+/**
+ * Wraps a locator so action methods heal it first when it matches nothing
+ * @param {Object} page - Unwrapped Playwright Page
+ * @param {Object} locator - Primary locator
+ * @param {Object} meta - How the locator was created
+ * @returns {Object} Proxied locator
+ */
+function healingLocator(page, locator, meta) {
+  let resolved = null;
+
+  const resolve = async () => {
+    if (!resolved) {
+      resolved = await healIfMissing(page, locator, meta);
+    }
+    return resolved;
+  };
+
+  return new Proxy(locator, {
+    get(target, prop) {
+      const value = target[prop];
+      if (typeof value !== 'function') {
+        return value;
+      }
+      if (!ACTION_METHODS.includes(prop)) {
+        return value.bind(target);
+      }
+      return async (...args) => {
+        const active = await resolve();
+        return active[prop](...args);
+      };
+    }
+  });
+}
+
+/**
+ * Returns the primary locator when it appears within the grace period, otherwise the first
+ * fallback that matches exactly one element (or the primary again if nothing matches, so
+ * Playwright reports the original failure)
+ * @param {Object} page - Unwrapped Playwright Page
+ * @param {Object} locator - Primary locator
+ * @param {Object} meta - How the locator was created
+ * @returns {Promise<Object>} Locator to act on
+ */
+async function healIfMissing(page, locator, meta) {
+  if (process.env.AI_QA_NO_HEAL === '1') {
+    return locator;
+  }
+
+  const waitMs = parseInt(process.env.AI_QA_HEAL_WAIT_MS || DEFAULT_HEAL_WAIT_MS, 10);
+  try {
+    await locator.first().waitFor({ state: 'attached', timeout: waitMs });
+    return locator;
+  } catch (error) {
+    // Primary locator matched nothing; fall through to the fallback strategies
+  }
+
+  for (const candidate of await buildCandidates(page, meta)) {
+    let count = 0;
+    try {
+      count = await candidate.locator.count();
+    } catch (error) {
+      continue; // Invalid selector for this page, try the next strategy
+    }
+
+    if (count === 1) {
+      recordHeal(meta, candidate);
+      console.warn(`[self-healing] ${meta.call} matched nothing; using ${candidate.code} (${candidate.strategy})`);
+      return candidate.locator;
+    }
+  }
+
+  return locator;
+}
+
+// ============================================================================
+// FALLBACK STRATEGIES
+// ============================================================================
+
+/**
+ * Builds fallback locators for a locator call, in priority order
+ * @param {Object} page - Unwrapped Playwright Page
+ * @param {Object} meta - How the locator was created
+ * @returns {Promise<{strategy: string, code: string, locator: Object}[]>} Candidates
+ */
+async function buildCandidates(page, meta) {
+  const candidates = [];
+  const add = (strategy, method, ...args) => {
+    candidates.push({ strategy, code: describeCall(method, args), locator: page[method](...args) });
+  };
+
+  // 1. Stored alternates
+  for (const selector of meta.alternates[meta.call] || []) {
+    add('stored-alternate', 'locator', selector);
+  }
+
+  const { role, text } = targetOf(meta.method, meta.args);
+
+  // 2. Role and text similarity
+  if (text) {
+    const loose = new RegExp(escapeRegExp(text), 'i');
+    if (role) add('role-similarity', 'getByRole', role, { name: loose });
+    add('label-similarity', 'getByLabel', loose);
+    add('placeholder-similarity', 'getByPlaceholder', loose);
+    add('text-similarity', 'getByText', loose);
+
+    const firstWord = text.split(/\s+/).find(word => word.length > 2);
+    if (role && firstWord && firstWord !== text) {
+      add('role-similarity', 'getByRole', role, { name: new RegExp(escapeRegExp(firstWord), 'i') });
+    }
+  }
+
+  // 3. Closest element by name similarity
+  if (text) {
+    const selector = await findSimilarElement(page, text, role).catch(() => null);
+    if (selector) add('name-similarity', 'locator', selector);
+  }
+
+  // 4. Nearby attributes
+  for (const token of attributeTokens(text || '')) {
+    for (const attribute of ['data-testid', 'id', 'name', 'aria-label', 'placeholder', 'title']) {
+      add('attribute', 'locator', `[${attribute}*="${token}" i]`);
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Works out which role and visible text a locator call was aiming at
+ * @param {string} method - Factory method name
+ * @param {Array} args - Factory arguments
+ * @returns {{role: string|null, text: string|null}} Target
+ */
+function targetOf(method, args) {
+  const asText = value => (value instanceof RegExp ? value.source.replace(/\\(.)/g, '$1') : value ? String(value) : null);
+
+  switch (method) {
+    case 'getByRole':
+      return { role: args[0], text: asText(args[1]?.name) };
+    case 'getByTestId':
+      return { role: null, text: asText(args[0]).replace(/[-_]+/g, ' ') };
+    case 'locator':
+      return { role: null, text: textFromSelector(String(args[0])) };
+    default:
+      return { role: null, text: asText(args[0]) };
+  }
+}
+
+/**
+ * Extracts human-readable text from a CSS/Playwright selector
+ * e.g. `button:has-text("Sign In")` → "Sign In", `#login-button` → "login button"
+ * @param {string} selector - Selector
+ * @returns {string|null} Text
+ */
+function textFromSelector(selector) {
+  const quoted = selector.match(/["']([^"']+)["']/);
+  if (quoted) return quoted[1];
+
+  const textEngine = selector.match(/^text=(.+)$/);
+  if (textEngine) return textEngine[1];
+
+  const ident = selector.match(/[#.]([\w-]+)/);
+  if (ident) return ident[1].replace(/[-_]+/g, ' ').replace(/([a-z])([A-Z])/g, '$1 $2');
+
+  return null;
+}
+
+/**
+ * Derives attribute search tokens from target text ("Sign In" → "sign-in", "sign_in", "signin", "sign")
+ * @param {string} text - Target text
+ * @returns {string[]} Tokens
+ */
+function attributeTokens(text) {
+  const words = text.toLowerCase().replace(/[^a-z0-9\s_-]/g, ' ').split(/[\s_-]+/).filter(Boolean);
+  if (words.length === 0) return [];
+  const tokens = [words.join('-'), words.join('_'), words.join(''), words.find(word => word.length > 2)];
+  return [...new Set(tokens.filter(Boolean))];
+}
+
+/**
+ * Scores interactive elements in the page by name similarity and returns a selector for the best one
+ * @param {Object} page - Unwrapped Playwright Page
+ * @param {string} text - Target text
+ * @param {string|null} role - Target role
+ * @returns {Promise<string|null>} Selector, or null when nothing is similar enough
+ */
+async function findSimilarElement(page, text, role) {
+  return page.evaluate(({ text, role, minSimilarity }) => {
+    const roleSelectors = {
+      button: 'button, input[type=submit], input[type=button], [role=button]',
+      link: 'a[href], [role=link]',
+      textbox: 'input:not([type]), input[type=text], input[type=email], input[type=password], input[type=search], textarea, [role=textbox]',
+      checkbox: 'input[type=checkbox], [role=checkbox]',
+      heading: 'h1, h2, h3, h4, h5, h6, [role=heading]'
+    };
+    const selector = roleSelectors[role] || 'a, button, input, select, textarea, label, [role], h1, h2, h3, h4, h5, h6';
+
+    const distance = (a, b) => {
+      const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+      for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+          const current = row[j];
+          row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+          previous = current;
+        }
+      }
+      return row[b.length];
+    };
+    const similarity = (a, b) => (a && b ? 1 - distance(a, b) / Math.max(a.length, b.length) : 0);
+
+    const target = text.trim().toLowerCase();
+    let best = null;
+    for (const element of document.querySelectorAll(selector)) {
+      const names = [
+        element.getAttribute('aria-label'), element.getAttribute('placeholder'), element.getAttribute('title'),
+        element.getAttribute('name'), element.id, element.value, element.textContent
+      ].filter(Boolean).map(name => name.trim().toLowerCase());
+
+      const score = Math.max(0, ...names.map(name => similarity(target, name)));
+      if (score >= minSimilarity && (!best || score > best.score)) {
+        best = { element, score };
+      }
+    }
+    if (!best) return null;
+
+    const element = best.element;
+    const tag = element.tagName.toLowerCase();
+    if (element.getAttribute('data-testid')) return `[data-testid="${element.getAttribute('data-testid')}"]`;
+    if (element.id) return `#${CSS.escape(element.id)}`;
+    if (element.getAttribute('name')) return `${tag}[name="${element.getAttribute('name')}"]`;
+    return `${tag}:has-text("${element.textContent.trim().slice(0, 50).replace(/"/g, '\\"')}")`;
+  }, { text, role, minSimilarity: MIN_SIMILARITY });
+}
+
+// ============================================================================
+// LEDGER AND ALTERNATES
+// ============================================================================
+
+/**
+ * Appends a heal to the JSON-lines ledger
+ * @param {Object} meta - How the original locator was created
+ * @param {Object} candidate - Fallback that was used
+ */
+function recordHeal(meta, candidate) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    spec: meta.site?.file || relativeSpec(meta.testInfo),
+    line: meta.site?.line || null,
+    test: meta.testInfo?.title || null,
+    testFile: relativeSpec(meta.testInfo),
+    original: meta.call,
+    healed: candidate.code,
+    strategy: candidate.strategy
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(ledgerFile()), { recursive: true });
+    fs.appendFileSync(ledgerFile(), JSON.stringify(entry) + '\n', 'utf-8');
+  } catch (error) {
+    console.warn(`[self-healing] Could not write heal ledger: ${error.message}`);
+  }
+}
+
+/**
+ * Reads every heal recorded in the ledger
+ * @param {string} [filePath] - Ledger path
+ * @returns {Object[]} Ledger entries
+ */
+function readLedger(filePath = ledgerFile()) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  return fs.readFileSync(filePath, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Loads stored alternates, keyed by the original locator call
+ * @returns {Object} Alternates map
+ */
+function loadAlternates() {
+  try {
+    return fs.existsSync(ALTERNATES_FILE) ? JSON.parse(fs.readFileSync(ALTERNATES_FILE, 'utf-8')) : {};
+  } catch (error) {
+    console.warn(`[self-healing] Ignoring unreadable ${ALTERNATES_FILE}: ${error.message}`);
+    return {};
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Renders a locator call as source code, e.g. getByRole('button', { name: 'Sign In' })
+ * @param {string} method - Method name
+ * @param {Array} args - Arguments
+ * @returns {string} Source code
+ */
+function describeCall(method, args) {
+  const format = value => {
+    if (value instanceof RegExp) return value.toString();
+    if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    if (value && typeof value === 'object') {
+      const entries = Object.entries(value).map(([key, v]) => `${key}: ${format(v)}`);
+      return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+    }
+    return String(value);
+  };
+  return `${method}(${args.map(format).join(', ')})`;
+}
+
+/**
+ * Finds the line that created a locator, from the current stack
+ * Locators created inside a page object (playwright-tests/pages/) are attributed to the page
+ * object, so the permanent fix lands there once instead of in every spec
+ * @param {Object} [testInfo] - Playwright TestInfo
+ * @returns {{file: string, line: number}|null} Call site relative to the cwd
+ */
+function findCallSite(testInfo) {
+  if (!testInfo) return null;
+  const specFile = path.resolve(testInfo.file);
+  const pagesRoot = `${path.resolve(PAGES_DIR)}${path.sep}`;
+
+  for (const frame of (new Error().stack || '').split('\n')) {
+    const match = frame.match(/\(?((?:[A-Za-z]:)?[^\s()]+):(\d+):\d+\)?\s*$/);
+    if (!match) continue;
+    const file = path.resolve(match[1]);
+    if (file === specFile || file.startsWith(pagesRoot)) {
+      return { file: path.relative(process.cwd(), file).split(path.sep).join('/'), line: parseInt(match[2], 10) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Spec path of a test relative to the cwd
+ * @param {Object} [testInfo] - Playwright TestInfo
+ * @returns {string|null} Spec path
+ */
+function relativeSpec(testInfo) {
+  return testInfo ? path.relative(process.cwd(), testInfo.file).split(path.sep).join('/') : null;
+}
+
+/**
+ * Escapes text for use inside a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ============================================================================
+// FIXTURE
+// ============================================================================
+
+/**
+ * Playwright test with a self-healing `page`
+ * On failure the page DOM is attached as "dom-snapshot" for debug_test.js --report
+ */
+const test = base.extend({
+  page: async ({ page }, use, testInfo) => {
+    await use(wrapPage(page, { testInfo }));
+
+    if (testInfo.status !== testInfo.expectedStatus && !page.isClosed()) {
+      const html = await page.content().catch(() => null);
+      if (html) {
+        await testInfo.attach('dom-snapshot', { body: html, contentType: 'text/html' });
+      }
+    }
+  }
+});
+
+/**
+ * Matchers added to Playwright's expect; typed so .spec.ts files are checked against them
+ * axe-core is only loaded by specs that use it
+ * @type {{ toHaveNoAccessibilityViolations(this: import('@playwright/test').ExpectMatcherState, page: import('@playwright/test').Page,
+ *   options?: { include?: string | string[], exclude?: string | string[], tags?: string[], impacts?: string[] }):
+ *   Promise<import('@playwright/test').MatcherReturnType> }}
+ */
+const matchers = {
+  async toHaveNoAccessibilityViolations(page, options) {
+    return require('./accessibility').toHaveNoAccessibilityViolations.call(this, page, options);
+  }
+};
+
+// Playwright expect with the matchers above
+const expect = baseExpect.extend(matchers);
+
+module.exports = {
+  test,
+  expect,
+  wrapPage,
+  readLedger,
+  describeCall,
+  DEFAULT_LEDGER_FILE,
+  ALTERNATES_FILE
+};
@@ -0,0 +1,161 @@
+/**
+ * Spec Dependencies for AI Self-Healing QA Framework
+ *
+ * Finds the project files a spec imports, so a failure caused outside the spec can be healed
+ * where it happens. Relative imports are followed from the spec, and from the files it imports, a
+ * few levels deep. Each file gets a kind:
+ *
+ *   - page-object  a class under playwright-tests/pages/ (see lib/page_objects.js)
+ *   - fixture      a module extending Playwright's test (`test.extend({...})`)
+ *   - helper       any other local module (login flows, data builders, custom waits, ...)
+ *
+ * Packages and the framework's own modules (lib/self_healing.js) are never included: they are not
+ * the project's to fix. The files the spec imports directly are always relevant; deeper ones only
+ * when the error log points into them or they define fixtures.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toPosixPath } = require('./files');
+const { parseSpec, findImports, specLanguage } = require('./code_validator');
+const { PAGES_DIR } = require('./page_objects');
+
+// How far imports are followed: 1 is the spec's own imports, 2 their imports, and so on
+const MAX_DEPTH = 3;
+
+// Most files sent with one repair prompt
+const MAX_FILES = 8;
+
+// Extensions tried, in order, for an import written without one
+const RESOLVE_EXTENSIONS = ['.js', '.ts', '.mjs', '.cjs', '.mts', '.cts'];
+
+// Source files an import may resolve to
+const SOURCE_PATTERN = /\.[cm]?[jt]s$/;
+
+// A Playwright fixture file extends the test object: test.extend({...}) or base.extend<Fixtures>({...})
+const FIXTURE_PATTERN = /\.extend\s*(?:<[\s\S]*?>)?\s*\(\s*\{/;
+
+// Modules of the framework itself, which specs import but repairs must not touch
+const FRAMEWORK_DIR = path.resolve(__dirname);
+
+/**
+ * Lists every project file a spec imports, directly or through other imported files
+ * @param {string} specSource - Spec source
+ * @param {string} specPath - Spec path (relative imports are resolved from here)
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth] - Import levels to follow
+ * @returns {{file: string, source: string, kind: string, depth: number}[]} Files in discovery order
+ *   (paths are POSIX, relative to the cwd)
+ */
+function listLocalImports(specSource, specPath, { maxDepth = MAX_DEPTH } = {}) {
+  const found = new Map();
+  const queue = [{ file: path.resolve(specPath), source: specSource, depth: 0 }];
+
+  while (queue.length > 0) {
+    const { file, source, depth } = queue.shift();
+    if (depth >= maxDepth) continue;
+
+    for (const target of resolveLocalImports(source, file)) {
+      if (found.has(target) || target === path.resolve(specPath)) continue;
+      const dependency = {
+        file: toPosixPath(path.relative(process.cwd(), target)),
+        source: fs.readFileSync(target, 'utf-8'),
+        depth: depth + 1
+      };
+      dependency.kind = dependencyKind(dependency);
+      found.set(target, dependency);
+      queue.push({ file: target, source: dependency.source, depth: depth + 1 });
+    }
+  }
+  return [...found.values()];
+}
+
+/**
+ * Picks the imported files worth sending with a repair prompt
+ * @param {string} specSource - Spec source
+ * @param {string} specPath - Spec path
+ * @param {Object} [options]
+ * @param {string} [options.errorLog] - Failure output; files its stack traces name are kept first
+ * @returns {{file: string, source: string, kind: string}[]} Relevant files, at most MAX_FILES
+ */
+function findSpecDependencies(specSource, specPath, { errorLog = '' } = {}) {
+  const implicated = dependency => mentionsFile(errorLog, dependency.file);
+  const relevant = listLocalImports(specSource, specPath)
+    .filter(dependency => dependency.depth === 1 || dependency.kind === 'fixture' || implicated(dependency));
+
+  // Files the failure points into first, then by import depth (stable, so discovery order breaks ties)
+  const ranked = [...relevant].sort((a, b) => (implicated(b) - implicated(a)) || (a.depth - b.depth));
+  return ranked.slice(0, MAX_FILES).map(({ file, source, kind }) => ({ file, source, kind }));
+}
+
+/**
+ * Resolves a module's relative imports to project source files
+ * @param {string} source - Module source
+ * @param {string} file - Absolute module path
+ * @returns {string[]} Absolute paths of the imported files
+ */
+function resolveLocalImports(source, file) {
+  let imports;
+  try {
+    imports = findImports(parseSpec(source, { typescript: specLanguage(file) === 'ts' }));
+  } catch (error) {
+    return []; // A file that does not parse is still shown, but its imports are not followed
+  }
+
+  const cwd = process.cwd();
+  return imports
+    .filter(specifier => specifier.startsWith('.'))
+    .map(specifier => resolveModule(path.resolve(path.dirname(file), specifier)))
+    .filter(target => target
+      && SOURCE_PATTERN.test(target)
+      && target.startsWith(`${cwd}${path.sep}`)
+      && !target.startsWith(`${FRAMEWORK_DIR}${path.sep}`)
+      && !target.split(path.sep).includes('node_modules'));
+}
+
+/**
+ * Resolves an import the way Node and TypeScript do for files
+ * Tries the path as written, with each source extension, a .ts file for a .js specifier
+ * (TypeScript's NodeNext style), then an index file
+ * @param {string} target - Absolute module path
+ * @returns {string|null} Existing file, or null
+ */
+function resolveModule(target) {
+  const candidates = [
+    target,
+    ...RESOLVE_EXTENSIONS.map(extension => `${target}${extension}`),
+    ...(/\.[cm]?js$/.test(target) ? [target.replace(/js$/, 'ts')] : []),
+    ...RESOLVE_EXTENSIONS.map(extension => path.join(target, `index${extension}`))
+  ];
+  return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+/**
+ * Kind of an imported file
+ * @param {{file: string, source: string}} dependency - Imported file
+ * @returns {string} 'page-object', 'fixture' or 'helper'
+ */
+function dependencyKind({ file, source }) {
+  if (path.resolve(file).startsWith(`${path.resolve(PAGES_DIR)}${path.sep}`)) return 'page-object';
+  if (FIXTURE_PATTERN.test(source)) return 'fixture';
+  return 'helper';
+}
+
+/**
+ * Whether a log names a file, e.g. in a stack frame "at login (/repo/playwright-tests/helpers/auth.js:12:5)"
+ * Matches on the file and its parent directory, since logs print absolute or test-dir-relative paths
+ * @param {string} log - Error log
+ * @param {string} file - POSIX file path
+ * @returns {boolean} True when the log mentions the file
+ */
+function mentionsFile(log, file) {
+  if (!log) return false;
+  const tail = file.split('/').slice(-2).join('/');
+  return toPosixPath(log).includes(`${tail}:`);
+}
+
+module.exports = {
+  MAX_FILES,
+  listLocalImports,
+  findSpecDependencies
+};
@@ -0,0 +1,96 @@
+/**
+ * Static File Server for AI Self-Healing QA Framework
+ *
+ * Serves a directory of HTML fixtures over HTTP so page exploration (generate_test.js --serve)
+ * and offline runs work without a deployed application. Directory requests serve index.html
+ * and paths without an extension fall back to `<path>.html` (`/dashboard` → dashboard.html).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Fixture application shipped with the repository
+const FIXTURE_APP_DIR = 'fixtures/app';
+
+// Content types by file extension
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon'
+};
+
+/**
+ * Starts serving a directory
+ * @param {string} [rootDir] - Directory to serve
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - Port (0 picks a free one)
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+ * @returns {Promise<{url: string, close: Function}>} Base URL (no trailing slash) and an async close()
+ * @throws {Error} When the directory does not exist or the port is taken
+ */
+async function startStaticServer(rootDir = FIXTURE_APP_DIR, { port = 0, host = '127.0.0.1' } = {}) {
+  const root = path.resolve(rootDir);
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    throw new Error(`Cannot serve "${rootDir}": not a directory`);
+  }
+
+  const server = http.createServer((request, response) => {
+    const file = resolveRequest(root, request.url);
+    if (!file) {
+      response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      response.end('Not found');
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(response);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  return {
+    url: `http://${host}:${address.port}`,
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
+
+/**
+ * Maps a request URL to a file inside the served directory
+ * @param {string} root - Absolute directory being served
+ * @param {string} requestUrl - Request URL (path and query)
+ * @returns {string|null} File to serve, or null when there is none (or it lies outside root)
+ */
+function resolveRequest(root, requestUrl) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(requestUrl, 'http://localhost').pathname);
+  } catch (error) {
+    return null;
+  }
+
+  const target = path.resolve(root, `.${pathname}`);
+  if (target !== root && !target.startsWith(`${root}${path.sep}`)) {
+    return null;
+  }
+
+  for (const candidate of [target, path.join(target, 'index.html'), `${target}.html`]) {
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  FIXTURE_APP_DIR,
+  startStaticServer
+};
@@ -0,0 +1,144 @@
+/**
+ * Token Budgeting for AI Self-Healing QA Framework
+ *
+ * Keeps prompts inside the model's context window. A request needs room for the prompt and for
+ * max_tokens of response; when a prompt would not fit, its optional or bulky sections (examples,
+ * page snapshots, failure context, error logs) are shortened in a fixed order, so the spec and the
+ * instructions always reach the model intact rather than the request failing or the answer being
+ * cut off mid-code.
+ *
+ * Token counts are estimates (about 3.5 characters per token, on the high side for code), so
+ * budgets keep a safety margin instead of relying on an exact tokenizer.
+ */
+
+// Characters per token used for estimates (code and logs tokenize denser than prose)
+const CHARS_PER_TOKEN = 3.5;
+
+// Share of the context window kept free to absorb estimation error
+const SAFETY_MARGIN = 0.05;
+
+// Context window when the model is not listed below and provider.contextWindow is not set
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Known context windows by model name, first match wins
+const CONTEXT_WINDOWS = [
+  [/^gpt-4o|^gpt-4\.1|^gpt-4-turbo|^o\d/, 128000],
+  [/^gpt-3\.5/, 16385],
+  [/^gemini-(?:1\.5|2)/, 1048576],
+  [/mistral-7b/, 16384],
+  [/mixtral-8x7b/, 32768],
+  [/sonar|llama-3\.1/, 127072]
+];
+
+// Sections shorter than this are dropped rather than cut to a stub
+const MIN_KEPT_CHARS = 200;
+
+/**
+ * Estimates how many tokens a text uses
+ * @param {string} text - Text
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Context window of a model
+ * @param {string} model - Model name
+ * @param {number|null} [configured] - provider.contextWindow from the config, which wins when set
+ * @returns {number} Context window in tokens
+ */
+function contextWindowFor(model, configured = null) {
+  if (configured) return configured;
+  const known = CONTEXT_WINDOWS.find(([pattern]) => pattern.test(model || ''));
+  return known ? known[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Tokens a prompt may use so the response still fits
+ * @param {number} contextWindow - Model context window
+ * @param {number} maxTokens - Tokens reserved for the response
+ * @returns {number} Prompt budget in tokens
+ */
+function promptBudget(contextWindow, maxTokens) {
+  return Math.max(0, Math.floor(contextWindow * (1 - SAFETY_MARGIN)) - maxTokens);
+}
+
+/**
+ * Shortens a text to about `keepChars` characters on line boundaries
+ * @param {string} text - Text to shorten
+ * @param {number} keepChars - Characters to keep
+ * @param {string} strategy - 'head' keeps the start; 'middle' keeps the start and the end
+ *   (for logs, whose first lines name the error and last lines show where it ended)
+ * @returns {string} Shortened text with a marker where lines were removed
+ */
+function truncateText(text, keepChars, strategy = 'head') {
+  if (text.length <= keepChars) return text;
+  const lines = text.split('\n');
+
+  const take = (source, budget) => {
+    const kept = [];
+    let used = 0;
+    for (const line of source) {
+      if (used + line.length + 1 > budget) break;
+      kept.push(line);
+      used += line.length + 1;
+    }
+    return kept;
+  };
+
+  if (strategy === 'middle') {
+    const head = take(lines, Math.floor(keepChars * 0.4));
+    const tail = take([...lines.slice(head.length)].reverse(), keepChars - head.join('\n').length).reverse();
+    const omitted = lines.length - head.length - tail.length;
+    return [...head, `... (${omitted} line(s) omitted to fit the context window) ...`, ...tail].join('\n');
+  }
+
+  const head = take(lines, keepChars);
+  return [...head, `... (${lines.length - head.length} line(s) omitted to fit the context window)`].join('\n');
+}
+
+/**
+ * Renders a prompt within a token budget, shortening sections in order until it fits
+ * @param {function(Object): string} render - Renders the prompt from variables
+ * @param {Object<string, string>} variables - Prompt variables
+ * @param {number} budget - Prompt budget in tokens
+ * @param {{name: string, strategy: string}[]} shrinkable - Variables that may be shortened, first
+ *   shortened first; strategy is 'drop', 'head' or 'middle'
+ * @returns {{prompt: string, shortened: string[]}} Prompt and the variables that were shortened
+ * @throws {Error} When the prompt does not fit even with every shrinkable section shortened
+ */
+function fitToBudget(render, variables, budget, shrinkable) {
+  const values = { ...variables };
+  const shortened = [];
+  let prompt = render(values);
+
+  for (const { name, strategy } of shrinkable) {
+    const overflow = estimateTokens(prompt) - budget;
+    if (overflow <= 0) break;
+
+    const current = String(values[name] || '');
+    if (!current) continue;
+
+    const keepChars = current.length - Math.ceil(overflow * CHARS_PER_TOKEN) - 100; // room for the marker
+    values[name] = strategy === 'drop' || keepChars < MIN_KEPT_CHARS ? '' : truncateText(current, keepChars, strategy);
+    shortened.push(name);
+    prompt = render(values);
+  }
+
+  const tokens = estimateTokens(prompt);
+  if (tokens > budget) {
+    throw new Error(`The prompt needs about ${tokens} tokens but only ${budget} fit next to the response budget. `
+      + 'Set provider.contextWindow for this model or lower provider.maxTokens in ai-qa.config.js');
+  }
+  return { prompt, shortened };
+}
+
+module.exports = {
+  DEFAULT_CONTEXT_WINDOW,
+  estimateTokens,
+  contextWindowFor,
+  promptBudget,
+  truncateText,
+  fitToBudget
+};
@@ -1,11 +1,24 @@
 // @ts-check
 const { defineConfig } = require('@playwright/test');
+const { resolveEnvironment } = require('./lib/environments');
+
+// QA_ENV selects an environment from ai-qa.config.js: its base URL and credentials (see lib/environments.js)
+if (process.env.QA_ENV) {
+  Object.assign(process.env, resolveEnvironment(process.env.QA_ENV).variables);
+}
 
 module.exports = defineConfig({
   testDir: 'playwright-tests',
-  reporter: 'html',
+  // The JSON report feeds `debug_test.js --report` with structured failure context
+  reporter: [['html'], ['json', { outputFile: 'test-results/results.json' }]],
   timeout: 30000,
   retries: 0,
+  // Baselines for toHaveScreenshot() live next to the specs, one set per environment;
+  // `ai-qa run --update-baselines` (or --update-snapshots) rewrites them
+  snapshotPathTemplate: `{testDir}/__baselines__/${process.env.QA_ENV ? `${process.env.QA_ENV}/` : ''}{testFilePath}/{arg}{-projectName}{-platform}{ext}`,
+  expect: {
+    toHaveScreenshot: { maxDiffPixelRatio: 0.01, animations: 'disabled', caret: 'hide' },
+  },
   use: {
     baseURL: process.env.QA_URL || undefined,
   },
@@ -0,0 +1,12 @@
+// @ts-check
+const { defineConfig } = require('@playwright/test');
+
+// Unit tests for the framework's own modules (tests/unit/); they run in Node and need no browser.
+// The generated end-to-end suite under playwright-tests/ uses playwright.config.js
+module.exports = defineConfig({
+  testDir: 'tests/unit',
+  testMatch: '**/*.test.js',
+  reporter: 'list',
+  timeout: 10000,
+  retries: 0,
+});
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+/**
+ * record_test.js
+ *
+ * Purpose:
+ *  - Capture a test from a browser session instead of writing its description by hand: a
+ *    Chromium window opens on the application, and the navigations, clicks, fills, key presses,
+ *    selections and chosen assertions made in it are recorded (see lib/recorder.js)
+ *  - Write both the plain-text description (test-inputs/<module>/<name>.txt) and the matching
+ *    spec (playwright-tests/<module>/<name>.spec.js), built from the same steps and locators
+ *  - Register the spec in the manifest (see lib/manifest.js) and the history store, so generate,
+ *    update and heal treat it like any other test: it is kept until its description changes
+ *
+ * Usage:
+ *  ai-qa record --module <name> --name <file> [options]  (or: node record_test.js ...)
+ *  node record_test.js --module module-A --name checkout --url http://localhost:3000/
+ *  node record_test.js --module module-A --name checkout --lang ts --title "buys one item"
+ *
+ * Notes:
+ *  - Alt+click an element to expect it to be visible, Alt+Shift+click to expect its current text,
+ *    Alt+U to expect the current URL; close the window to finish
+ *  - The start URL defaults to $QA_URL or use.baseURL in playwright.config.js
+ *  - Password fields are written as ${QA_PASSWORD} in the description and process.env.QA_PASSWORD
+ *    in the spec
+ *  - Needs a display and a Chromium build: npx playwright install chromium
+ */
+
+// -------------------------------
+// Configuration and Imports
+// -------------------------------
+const fs = require('fs');
+const path = require('path');
+const { getConfig } = require('./lib/config');
+const { promptVersion, moduleOf } = require('./lib/prompts');
+const { parseArgs: parseOptions, loadCommandConfig } = require('./lib/cli');
+const { toPosixPath } = require('./lib/files');
+const { loadManifest, saveManifest, recordSpec, hashDescription } = require('./lib/manifest');
+const { LANGUAGES } = require('./lib/code_validator');
+const { resolveBaseURL } = require('./lib/page_explorer');
+const { startRecorder, formatDescription, formatSpec } = require('./lib/recorder');
+const { recordEvent } = require('./lib/history');
+const { PROMPT_VERSION, saveTestOutput, validateGeneratedCode, selfHealingImport } = require('./generate_test');
+
+// Model recorded in the manifest and history for recorded specs
+const RECORDER_MODEL = 'recorder';
+
+// -------------------------------
+// CLI Argument Parsing
+// -------------------------------
+const OPTIONS = {
+  '--module': { key: 'module', type: 'string' },
+  '--name': { key: 'name', type: 'string' },
+  '--url': { key: 'url', type: 'string' },
+  '--title': { key: 'title', type: 'string' },
+  '--lang': { key: 'lang', type: 'string' },
+  '--force': { key: 'force', type: 'boolean' },
+  '-h': { key: 'help', type: 'boolean' },
+  '--help': { key: 'help', type: 'boolean' }
+};
+
+function parseArgs(argv) {
+  return parseOptions(argv, OPTIONS, { lang: getConfig().generate.lang });
+}
+
+function printHelp() {
+  const { paths, generate } = getConfig();
+  console.log(`
+Usage: ai-qa record --module <name> --name <file> [OPTIONS]
+       node record_test.js --module <name> --name <file> [OPTIONS]
+
+Opens a browser and records a test: writes ${paths.inputDir}/<module>/<file>.txt and ${paths.outputDir}/<module>/<file>.spec.js.
+While recording: Alt+click expects an element to be visible, Alt+Shift+click expects its text,
+Alt+U expects the current URL. Close the window to finish.
+
+Options:
+  --module <name>     Module directory to write to (required)
+  --name <file>       File name without extension, e.g. checkout (required)
+  --url <url>         Start URL (default: $QA_URL or use.baseURL in playwright.config.js)
+  --title <title>     Test title (default: the file name)
+  --lang <js|ts>      Spec language (default: ${generate.lang})
+  --force             Overwrite an existing description and spec
+  --config <path>     Config file (default: ai-qa.config.js or ai-qa.config.json when present)
+  -h, --help          Display this help message
+
+Examples:
+  ai-qa record --module module-A --name checkout --url http://localhost:3000/
+  node record_test.js --module module-A --name checkout --lang ts
+`);
+}
+
+// -------------------------------
+// Main Function
+// -------------------------------
+async function main(argv = process.argv) {
+  let args;
+  try {
+    loadCommandConfig(argv);
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  try {
+    if (!args.module || !args.name) {
+      throw new Error('--module and --name are required');
+    }
+    if (!/^[\w.-]+$/.test(args.name)) {
+      throw new Error(`--name must be a file name without directories or extension, got "${args.name}"`);
+    }
+    if (!LANGUAGES[args.lang]) {
+      throw new Error(`--lang must be one of ${Object.keys(LANGUAGES).join(', ')}, got "${args.lang}"`);
+    }
+    const url = args.url || resolveBaseURL();
+    if (!url) {
+      throw new Error('No start URL: pass --url, set QA_URL or set use.baseURL in playwright.config.js');
+    }
+
+    const { descriptionFile, specFile } = recordingPaths(args.module, args.name, args.lang);
+    const existing = [descriptionFile, specFile].filter(file => fs.existsSync(file));
+    if (existing.length > 0 && !args.force) {
+      throw new Error(`${existing.join(' and ')} already exist(s) (use --force to overwrite)`);
+    }
+
+    console.log(`\nRecording ${url}`);
+    console.log('Alt+click: expect visible · Alt+Shift+click: expect text · Alt+U: expect URL');
+    console.log('Close the browser window to finish.\n');
+
+    const session = await startRecorder(url);
+    await session.closed;
+    const steps = await session.stop();
+
+    const { written } = await saveRecording(steps, {
+      descriptionFile,
+      specFile,
+      title: args.title || args.name.replace(/[-_.]+/g, ' ')
+    });
+    written.forEach(file => console.log(`✓ ${file}`));
+    console.log(`\nRecorded ${steps.length} step(s). Run it with: npx playwright test ${specFile}`);
+  } catch (error) {
+    console.error('\n✗ Error recording test:');
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+// -------------------------------
+// Recording
+// -------------------------------
+
+/**
+ * Description and spec paths for a recording, mirroring each other like generated specs do
+ * @param {string} module - Module directory
+ * @param {string} name - File name without extension
+ * @param {string} lang - Spec language, 'js' or 'ts'
+ * @returns {{descriptionFile: string, specFile: string}} POSIX paths relative to the cwd
+ */
+function recordingPaths(module, name, lang) {
+  const { inputDir, outputDir } = getConfig().paths;
+  return {
+    descriptionFile: toPosixPath(path.join(inputDir, module, `${name}.txt`)),
+    specFile: toPosixPath(path.join(outputDir, module, `${name}${LANGUAGES[lang].extension}`))
+  };
+}
+
+/**
+ * Writes the description and spec for recorded steps and registers them
+ * The spec is validated like generated code; a spec that fails validation is still written,
+ * with a warning, so the recording is not lost
+ * @param {Object[]} steps - Steps from lib/recorder.js
+ * @param {Object} options
+ * @param {string} options.descriptionFile - Description path
+ * @param {string} options.specFile - Spec path (its extension sets the language)
+ * @param {string} options.title - Test title
+ * @returns {Promise<{description: string, code: string, written: string[]}>} Files written
+ * @throws {Error} When nothing was recorded
+ */
+async function saveRecording(steps, { descriptionFile, specFile, title }) {
+  if (steps.length === 0) {
+    throw new Error('Nothing was recorded');
+  }
+
+  const description = `${formatDescription(steps, { title })}\n`;
+  const code = formatSpec(steps, {
+    title,
+    importPath: selfHealingImport(specFile),
+    typescript: specFile.endsWith(LANGUAGES.ts.extension)
+  });
+
+  try {
+    await validateGeneratedCode(code, { specPath: specFile });
+  } catch (error) {
+    console.warn(`Warning: the recorded spec did not pass validation, review it before running it:\n${error.message}`);
+  }
+
+  await saveTestOutput(descriptionFile, description);
+  await saveTestOutput(specFile, code);
+
+  const { paths } = getConfig();
+  const manifest = loadManifest(paths.manifest);
+  recordSpec(manifest, specFile, {
+    input: descriptionFile,
+    inputHash: hashDescription(description),
+    promptVersion: promptVersion('generate', PROMPT_VERSION, { module: moduleOf(descriptionFile) }),
+    model: RECORDER_MODEL,
+    mode: 'recorded',
+    description
+  }, code);
+  saveManifest(manifest, paths.manifest);
+  recordEvent({ type: 'generate', spec: specFile, input: descriptionFile, model: RECORDER_MODEL, outcome: 'recorded' });
+
+  return { description, code, written: [descriptionFile, specFile] };
+}
+
+// -------------------------------
+// Execute Main
+// -------------------------------
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  main,
+  recordingPaths,
+  saveRecording
+};
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * report.js
+ *
+ * Purpose:
+ *  - Summarise the history store written by generate_test.js, debug_test.js and run_tests.js
+ *    (see lib/history.js): most-healed specs, heal success rate, fixes rejected by the
+ *    assertion guard, likely app bugs and flaky specs
+ *  - Print the summary as markdown, or write it to a markdown or HTML file
+ *
+ * Usage:
+ *  ai-qa report [options]  (or: node report.js [options])
+ *  node report.js [--history .ai-qa/history.jsonl] [--since 2024-01-01] [--top 10]
+ *  node report.js --out .ai-qa/report.html
+ *
+ * Notes:
+ *  - The format follows the --out extension (.html or .md) unless --format is given
+ *  - The history store defaults to paths.history in ai-qa.config.js (see lib/config.js)
+ */
+
+// -------------------------------
+// Configuration and Imports
+// -------------------------------
+const fs = require('fs');
+const path = require('path');
+const { parseArgs: parseOptions, loadCommandConfig } = require('./lib/cli');
+const { historyFile, readHistory, summarizeHistory, renderMarkdownReport, renderHtmlReport } = require('./lib/history');
+
+// Rows per table by default
+const DEFAULT_TOP = 10;
+
+// -------------------------------
+// CLI Argument Parsing
+// -------------------------------
+const OPTIONS = {
+  '--history': { key: 'historyPath', type: 'string' },
+  '--since': { key: 'since', type: 'string' },
+  '--top': { key: 'top', type: 'integer' },
+  '--format': { key: 'format', type: 'string' },
+  '--out': { key: 'outPath', type: 'string' },
+  '-h': { key: 'help', type: 'boolean' },
+  '--help': { key: 'help', type: 'boolean' }
+};
+
+function parseArgs(argv) {
+  return parseOptions(argv, OPTIONS, { historyPath: historyFile(), top: DEFAULT_TOP });
+}
+
+function printHelp() {
+  console.log(`
+Usage: ai-qa report [OPTIONS]
+       node report.js [OPTIONS]
+
+Options:
+  --history <path>    History store to read (default: ${historyFile()})
+  --since <date>      Only count events on or after this date (ISO format, e.g. 2024-01-31)
+  --top <n>           Rows per table (default: ${DEFAULT_TOP})
+  --format <md|html>  Report format (default: from the --out extension, else md)
+  --out <path>        Write the report to a file instead of printing it
+  --config <path>     Config file (default: ai-qa.config.js or ai-qa.config.json when present)
+  -h, --help          Display this help message
+
+Examples:
+  node report.js
+  node report.js --since 2024-01-01 --out .ai-qa/report.html
+`);
+}
+
+// -------------------------------
+// Main Function
+// -------------------------------
+function main(argv = process.argv) {
+  let args;
+  try {
+    loadCommandConfig(argv);
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  try {
+    const format = args.format || (args.outPath && /\.html?$/i.test(args.outPath) ? 'html' : 'md');
+    if (!['md', 'html'].includes(format)) {
+      throw new Error(`--format must be md or html, got "${format}"`);
+    }
+    if (!Number.isInteger(args.top) || args.top < 1) {
+      throw new Error('--top must be a positive integer');
+    }
+    if (args.since && Number.isNaN(Date.parse(args.since))) {
+      throw new Error(`--since must be a date, got "${args.since}"`);
+    }
+
+    const since = args.since ? new Date(args.since).toISOString() : undefined;
+    const summary = summarizeHistory(readHistory(args.historyPath), { since });
+    const report = format === 'html'
+      ? renderHtmlReport(summary, { top: args.top })
+      : renderMarkdownReport(summary, { top: args.top });
+
+    if (args.outPath) {
+      fs.mkdirSync(path.dirname(args.outPath), { recursive: true });
+      fs.writeFileSync(args.outPath, report, 'utf-8');
+      console.log(`✓ Report for ${summary.totals.events} event(s) written to ${args.outPath}`);
+    } else {
+      process.stdout.write(report);
+    }
+  } catch (error) {
+    console.error('\n✗ Error building report:');
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+// -------------------------------
+// Execute Main
+// -------------------------------
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  main
+};
@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+/**
+ * run_tests.js
+ *
+ * Purpose:
+ *  - Run the Playwright suite and collect failing specs from the JSON reporter, along with
+ *    structured failure context (failing step, locator, stack lines, page snapshot)
+ *  - Classify each failure (lib/failure_classifier.js) and send only failures caused by the
+ *    test through the debug_test.js repair path; the rest are reported as likely app bugs
+ *  - Write the fix and re-run only that spec, repeating up to an attempt budget; fixes that
+ *    weaken the spec (lib/assertion_guard.js), or TypeScript fixes that do not type-check, are
+ *    rejected and the reason fed into the next attempt
+ *  - Screenshots that differ from their baseline are never sent for repair: the diff images are
+ *    listed with a proposal to update the baseline, which --update-baselines accepts
+ *  - Finish with a per-spec summary: passed first time, healed, likely app bug, baseline to
+ *    review or updated, or still failing
+ *  - Record each spec's first run and every repair attempt in the history store (lib/history.js)
+ *  - With --env, run (and heal) the suite once per configured environment, each with its own
+ *    base URL and credentials (lib/environments.js)
+ *
+ * Usage:
+ *  ai-qa run [spec-filter ...] [options]  (or: node run_tests.js ...)
+ *  node run_tests.js [spec-filter ...] [--max-attempts 3] [--no-backup] [--force]
+ *  node run_tests.js --env staging --env prod   (or --env all)
+ *  node run_tests.js playwright-tests/module-A/pricing.spec.js --update-baselines
+ *
+ * Notes:
+ *  - Spec filters are passed straight to `playwright test` (same matching rules)
+ *  - The attempt budget and the --backup, --force and --allow-weakening defaults come from the
+ *    heal section of ai-qa.config.js (see lib/config.js)
+ *  - Exits with code 1 when any spec is still failing after its attempt budget, was left
+ *    alone as a likely application bug or has a baseline waiting for review
+ */
+
+// -------------------------------
+// Configuration and Imports
+// -------------------------------
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { safeReadFile, applyChanges, guardChanges, typeCheckChanges, requestRepair } = require('./debug_test');
+const { createProvider } = require('./lib/llm_provider');
+const { getConfig } = require('./lib/config');
+const { parseArgs: parseOptions, loadCommandConfig } = require('./lib/cli');
+const { listReportSpecs, buildFailureContext, formatErrorLog, stripAnsi } = require('./lib/failure_context');
+const { CATEGORY, classifyFailures, formatClassifications } = require('./lib/failure_classifier');
+const { specLanguage } = require('./lib/code_validator');
+const { recordEvent, trackPrompts, diffStats } = require('./lib/history');
+const { ALL_ENVIRONMENTS, selectEnvironments, resolveEnvironment } = require('./lib/environments');
+
+// Spec outcomes reported in the summary
+const OUTCOME = {
+  PASSED: 'passed',
+  HEALED: 'healed',
+  APP_BUG: 'app-bug',
+  BASELINE: 'baseline',
+  BASELINE_UPDATED: 'baseline-updated',
+  FAILING: 'failing'
+};
+
+// -------------------------------
+// CLI Argument Parsing
+// -------------------------------
+const OPTIONS = {
+  '--max-attempts': { key: 'maxAttempts', type: 'integer' },
+  '--backup': { key: 'backup', type: 'boolean' },
+  '--no-backup': { key: 'backup', type: 'boolean', value: false },
+  '--force': { key: 'force', type: 'boolean' },
+  '--allow-weakening': { key: 'allowWeakening', type: 'boolean' },
+  '--update-baselines': { key: 'updateBaselines', type: 'boolean' },
+  '--env': { key: 'environments', type: 'list' },
+  '--provider': { key: 'provider', type: 'string' },
+  '--model': { key: 'model', type: 'string' },
+  '-h': { key: 'help', type: 'boolean' },
+  '--help': { key: 'help', type: 'boolean' }
+};
+
+function parseArgs(argv) {
+  const { heal } = getConfig();
+  const defaults = { maxAttempts: heal.maxAttempts, backup: heal.backup, force: heal.force, allowWeakening: heal.allowWeakening };
+  return parseOptions(argv, OPTIONS, defaults, { positional: 'specs' });
+}
+
+function printHelp() {
+  console.log(`
+Usage: ai-qa run [spec-filter ...] [OPTIONS]
+       node run_tests.js [spec-filter ...] [OPTIONS]
+
+Options:
+  --max-attempts <n>  Repair attempts per failing spec before giving up (default: ${getConfig().heal.maxAttempts})
+  --backup            Create a timestamped backup before each fix (default: true)
+  --no-backup         Do not create backups before overwriting
+  --force             Also repair failures classified as likely application bugs
+  --allow-weakening   Accept fixes that remove tests or assertions or weaken matchers
+  --update-baselines  Accept screenshots that differ from their baseline as the new baseline
+  --env <name>        Run against a configured environment, with its base URL and credentials (repeatable;
+                      ${ALL_ENVIRONMENTS} runs every one in turn)
+  --provider <name>   LLM provider: perplexity, openai, gemini or mock (default: $AI_QA_PROVIDER or perplexity)
+  --model <name>      Model name for the provider (default: $AI_QA_MODEL or the provider default)
+  --config <path>     Config file (default: ai-qa.config.js or ai-qa.config.json when present)
+  -h, --help          Display this help message
+
+Examples:
+  node run_tests.js playwright-tests/module-A --max-attempts 5
+  node run_tests.js --env staging --env prod
+  node run_tests.js playwright-tests/module-A/pricing.spec.js --update-baselines
+`);
+}
+
+// -------------------------------
+// Main Function
+// -------------------------------
+async function main(argv = process.argv) {
+  let args;
+  try {
+    loadCommandConfig(argv);
+    args = parseArgs(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    printHelp();
+    process.exit(0);
+  }
+
+  if (!Number.isInteger(args.maxAttempts) || args.maxAttempts < 1) {
+    console.error('Error: --max-attempts must be a positive integer.');
+    process.exit(1);
+  }
+
+  console.log('\n===================================');
+  console.log('AI Self-Healing QA Framework - Heal Loop');
+  console.log('===================================\n');
+
+  try {
+    // Resolved up front so a missing credential stops the run before any environment is tested
+    const environments = args.environments.length > 0
+      ? selectEnvironments(args.environments).map(name => resolveEnvironment(name))
+      : [null];
+    const provider = createProvider({ provider: args.provider, model: args.model });
+    const summary = [];
+
+    for (const environment of environments) {
+      console.log(environment
+        ? `\n[${environment.name}] Running Playwright suite against ${environment.baseURL}...`
+        : 'Running Playwright suite...');
+      const initial = await runPlaywright(args.specs, { environment });
+      const tag = environment ? { environment: environment.name } : {};
+
+      for (const [specFile, failure] of initial) {
+        recordEvent({ type: 'run', spec: specFile, ...tag, outcome: failure ? 'failed' : 'passed' });
+        if (!failure) {
+          summary.push({ specFile, ...tag, outcome: OUTCOME.PASSED, attempts: 0 });
+          continue;
+        }
+        summary.push({ ...await healSpec(specFile, failure, args, provider, { environment }), ...tag });
+      }
+    }
+
+    printSummary(summary);
+
+    if (summary.some(entry => [OUTCOME.FAILING, OUTCOME.APP_BUG, OUTCOME.BASELINE].includes(entry.outcome))) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('\n✗ Error during heal loop:');
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+// -------------------------------
+// Helper Functions
+// -------------------------------
+
+/**
+ * Repeatedly repairs a failing spec and re-runs it until it passes or the budget runs out
+ * @param {string} specFile - Path to the failing spec
+ * @param {Object} failure - Errors collected from the failing run ({ errorLog, failureContext })
+ * @param {Object} args - Parsed CLI arguments
+ * @param {Object} provider - Provider from lib/llm_provider.js
+ * @param {Object} [options]
+ * @param {Object} [options.environment] - Environment the spec failed in, re-run in it (see lib/environments.js)
+ * @returns {Promise<Object>} Summary entry for the spec
+ */
+async function healSpec(specFile, failure, args, provider, { environment = null } = {}) {
+  let lastFailure = failure;
+
+  for (let attempt = 1; attempt <= args.maxAttempts; attempt++) {
+    const classifications = classifyFailures(lastFailure.failureContext, lastFailure.errorLog);
+    console.log(`\n[${specFile}] Failure classification:\n${formatClassifications(classifications)}`);
+    const healable = classifications.filter(entry => entry.healable);
+    const tracked = trackPrompts(provider);
+    const record = (outcome, details = {}) => recordEvent({
+      type: 'heal',
+      source: 'heal-loop',
+      spec: specFile,
+      ...(environment && { environment: environment.name }),
+      attempt,
+      categories: [...new Set(classifications.map(entry => entry.category))],
+      promptHash: tracked.promptHashes[tracked.promptHashes.length - 1],
+      model: `${provider.name}/${provider.model}`,
+      ...details,
+      outcome
+    });
+
+    // A changed screenshot is resolved by a new baseline, never by editing the test
+    const visual = classifications.filter(entry => entry.category === CATEGORY.VISUAL_DIFF);
+    if (visual.length > 0 && visual.length === classifications.length) {
+      proposeBaselineUpdate(specFile, visual, environment);
+      if (!args.updateBaselines) {
+        record('baseline-proposed');
+        return { specFile, outcome: OUTCOME.BASELINE, attempts: attempt - 1, classifications };
+      }
+      try {
+        const rerun = await runPlaywright([specFile], { environment, updateSnapshots: true });
+        const rerunFailure = rerun.get(specFile);
+        if (rerun.has(specFile) && !rerunFailure) {
+          console.log(`[${specFile}] ✓ Baseline(s) updated`);
+          record('baseline-updated');
+          return { specFile, outcome: OUTCOME.BASELINE_UPDATED, attempts: attempt };
+        }
+        lastFailure = rerunFailure || { errorLog: 'The spec produced no test results after the baselines were updated.', failureContext: [] };
+      } catch (error) {
+        lastFailure = { errorLog: error.message, failureContext: [] };
+      }
+      // Still failing with the new baselines: the next attempt deals with what is left
+      continue;
+    }
+
+    if (healable.length === 0 && !args.force) {
+      console.warn(`[${specFile}] Not healing: the failures look like application or environment problems`);
+      record('app-bug');
+      return { specFile, outcome: OUTCOME.APP_BUG, attempts: attempt - 1, classifications };
+    }
+    const repairable = args.force ? classifications.filter(entry => entry.category !== CATEGORY.VISUAL_DIFF) : healable;
+    if (repairable.length < classifications.length) {
+      const failureContext = repairable.map(entry => entry.failure);
+      lastFailure = { errorLog: formatErrorLog(failureContext), failureContext };
+    }
+
+    // Only announced once the failures are known to be worth a repair
+    console.log(`[${specFile}] Repair attempt ${attempt}/${args.maxAttempts}`);
+    let diff;
+    try {
+      const testContent = await safeReadFile(specFile);
+      const changes = await requestRepair(specFile, testContent, lastFailure.errorLog, tracked, lastFailure.failureContext);
+      if (changes.length === 0) {
+        throw new Error('the model returned no changes');
+      }
+      const specChange = changes.find(change => path.resolve(change.file) === path.resolve(specFile));
+
+      diff = diffStats(changes);
+
+      // Every file of the fix is checked; one weakened or ill-typed file rejects them all
+      const typescript = changes.some(change => specLanguage(change.file) === 'ts');
+      const guard = guardChanges(changes);
+      if (guard.report) {
+        console.log(`[${specFile}] Assertion guard:\n${guard.report}`);
+      }
+      if (guard.errors.length > 0 && !args.allowWeakening) {
+        console.warn(`[${specFile}] Fix rejected: it removes or weakens what the test checks`);
+        record('rejected', { diff, guardErrors: guard.errors });
+        lastFailure = {
+          ...lastFailure,
+          errorLog: `${lastFailure.errorLog}\n\nA previous fix was rejected because it weakened the test:\n- ${guard.errors.join('\n- ')}\nKeep every test and assertion${typescript ? ' and every type' : ''}; fix locators and waits instead.`
+        };
+        continue;
+      }
+
+      // Playwright strips types without checking them, so a re-run alone would not catch type errors
+      const typeErrors = await typeCheckChanges(changes);
+      if (typeErrors.length > 0) {
+        console.warn(`[${specFile}] Fix rejected: it does not type-check\n- ${typeErrors.join('\n- ')}`);
+        record('rejected', { diff, typeErrors });
+        lastFailure = {
+          ...lastFailure,
+          errorLog: `${lastFailure.errorLog}\n\nA previous fix was rejected because it does not type-check:\n- ${typeErrors.join('\n- ')}`
+        };
+        continue;
+      }
+
+      await applyChanges(changes, { backup: args.backup });
+      const importedFiles = changes.filter(change => change !== specChange).map(change => change.file);
+      if (importedFiles.length > 0) {
+        console.log(`[${specFile}] Updated imported file(s): ${importedFiles.join(', ')}`);
+      }
+    } catch (error) {
+      console.error(`[${specFile}] Repair failed: ${error.message}`);
+      record('error', { error: error.message });
+      return { specFile, outcome: OUTCOME.FAILING, attempts: attempt, error: error.message };
+    }
+
+    try {
+      const rerun = await runPlaywright([specFile], { environment });
+      const rerunFailure = rerun.get(specFile);
+      if (rerun.has(specFile) && !rerunFailure) {
+        console.log(`[${specFile}] ✓ Passing after attempt ${attempt}`);
+        record('healed', { diff });
+        return { specFile, outcome: OUTCOME.HEALED, attempts: attempt };
+      }
+      lastFailure = rerunFailure || { errorLog: 'The spec produced no test results after the fix was applied.', failureContext: [] };
+    } catch (error) {
+      // Load errors (e.g. a syntax error in the fix) are fed back into the next attempt
+      lastFailure = { errorLog: error.message, failureContext: [] };
+    }
+    record('failing', { diff });
+  }
+
+  return { specFile, outcome: OUTCOME.FAILING, attempts: args.maxAttempts };
+}
+
+/**
+ * Prints the images of a failed screenshot comparison and how to accept them as the new baseline
+ * @param {string} specFile - Spec path
+ * @param {Object[]} visual - Classifications of the visual-diff failures
+ * @param {Object} [environment] - Environment the spec failed in
+ */
+function proposeBaselineUpdate(specFile, visual, environment) {
+  console.warn(`[${specFile}] Not healing: the page looks different from its baseline screenshot(s)`);
+  for (const { title, failure } of visual) {
+    const images = failure ? failure.images : [];
+    console.log(`  ${title}`);
+    images.forEach(image => console.log(`    ${image.name}: ${image.path}`));
+  }
+  const env = environment ? ` --env ${environment.name}` : '';
+  console.log(`  If the change is intended, update the baseline: ai-qa run ${specFile}${env} --update-baselines`);
+  console.log('  (compare the images side by side with: npx playwright show-report)');
+}
+
+/**
+ * Runs `playwright test` with the JSON reporter and groups the results by spec file
+ * @param {string[]} filters - Spec filters passed through to Playwright
+ * @param {Object} [options]
+ * @param {Object} [options.environment] - Environment to run against (its variables are set for Playwright)
+ * @param {boolean} [options.updateSnapshots] - Write screenshots that differ as the new baselines
+ * @returns {Promise<Map<string, Object|null>>} Spec path → failure ({ errorLog, failureContext }), or null when the spec passed
+ */
+async function runPlaywright(filters, { environment = null, updateSnapshots = false } = {}) {
+  const reportFile = path.join(os.tmpdir(), `ai-qa-report-${process.pid}-${Date.now()}.json`);
+
+  try {
+    const cliArgs = updateSnapshots ? [...filters, '--update-snapshots'] : filters;
+    await spawnPlaywright(cliArgs, reportFile, environment ? environment.variables : {});
+    const report = JSON.parse(await safeReadFile(reportFile));
+    return collectSpecResults(report);
+  } finally {
+    fs.rmSync(reportFile, { force: true });
+  }
+}
+
+/**
+ * Spawns the Playwright CLI, streaming its output and resolving once it exits
+ * A non-zero exit code is expected when tests fail, so only spawn errors reject
+ * @param {string[]} filters - Spec filters (and flags) passed through to Playwright
+ * @param {string} reportFile - Where the JSON reporter should write its output
+ * @param {Object<string, string>} [variables] - Extra environment variables (QA_ENV, QA_URL, credentials)
+ * @returns {Promise<number>} Exit code
+ */
+function spawnPlaywright(filters, reportFile, variables = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('npx', ['playwright', 'test', ...filters, '--reporter=list,json'], {
+      stdio: 'inherit',
+      env: {
+        ...process.env,
+        ...variables,
+        // playwright.config.js reads the environments from the same config file as this run
+        ...(getConfig().file && { AI_QA_CONFIG: path.resolve(getConfig().file) }),
+        PLAYWRIGHT_JSON_OUTPUT_FILE: reportFile,
+        PLAYWRIGHT_JSON_OUTPUT_NAME: reportFile
+      }
+    });
+    child.on('error', error => reject(new Error(`Failed to start Playwright: ${error.message}`)));
+    child.on('close', code => resolve(code));
+  });
+}
+
+/**
+ * Groups JSON report results by spec file, capturing failure context for failing specs
+ * Context is read straight away because the next Playwright run clears test-results/
+ * @param {Object} report - Parsed Playwright JSON report
+ * @returns {Map<string, Object|null>} Spec path → { errorLog, failureContext }, or null when every test passed
+ */
+function collectSpecResults(report) {
+  const results = new Map();
+
+  for (const { specFile } of listReportSpecs(report)) {
+    if (results.has(specFile)) continue;
+
+    const failureContext = buildFailureContext(report, specFile);
+    results.set(specFile, failureContext.length > 0
+      ? { errorLog: formatErrorLog(failureContext), failureContext }
+      : null);
+  }
+
+  if (results.size === 0 && report.errors?.length) {
+    throw new Error(`Playwright reported errors: ${report.errors.map(e => stripAnsi(e.message)).join('\n')}`);
+  }
+
+  return results;
+}
+
+/**
+ * Prints the per-spec outcome table
+ * @param {Object[]} summary - Summary entries produced by the heal loop
+ */
+function printSummary(summary) {
+  console.log('\n===================================');
+  console.log('Heal Loop Summary');
+  console.log('===================================');
+
+  for (const entry of summary) {
+    const spec = entry.environment ? `[${entry.environment}] ${entry.specFile}` : entry.specFile;
+    if (entry.outcome === OUTCOME.PASSED) {
+      console.log(`✓ ${spec} — passed first time`);
+    } else if (entry.outcome === OUTCOME.HEALED) {
+      console.log(`✓ ${spec} — healed after ${entry.attempts} attempt(s)`);
+    } else if (entry.outcome === OUTCOME.APP_BUG) {
+      const categories = [...new Set(entry.classifications.map(c => c.category))].join(', ');
+      console.log(`⚠ ${spec} — not healed, likely application bug (${categories})`);
+    } else if (entry.outcome === OUTCOME.BASELINE) {
+      console.log(`⚠ ${spec} — screenshot differs from its baseline; review it and accept with --update-baselines`);
+    } else if (entry.outcome === OUTCOME.BASELINE_UPDATED) {
+      console.log(`✓ ${spec} — baseline(s) updated`);
+    } else {
+      console.log(`✗ ${spec} — still failing after ${entry.attempts} attempt(s)`);
+    }
+  }
+
+  const count = outcome => summary.filter(entry => entry.outcome === outcome).length;
+  console.log(`\nPassed: ${count(OUTCOME.PASSED)}  Healed: ${count(OUTCOME.HEALED)}  Likely app bugs: ${count(OUTCOME.APP_BUG)}  Baselines to review: ${count(OUTCOME.BASELINE)}  Baselines updated: ${count(OUTCOME.BASELINE_UPDATED)}  Failing: ${count(OUTCOME.FAILING)}\n`);
+}
+
+// -------------------------------
+// Execute Main
+// -------------------------------
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  main,
+  runPlaywright,
+  collectSpecResults,
+  healSpec
+};
@@ -0,0 +1,114 @@
+/**
+ * Unit tests for lib/assertion_guard.js: what a healed spec may not change (tests, skips, focus,
+ * assertions and their direction) and what it may
+ */
+
+const { test, expect } = require('@playwright/test');
+const { summarizeSpec, checkHealedSpec } = require('../../lib/assertion_guard');
+
+const SPEC = `
+const { test, expect } = require('@playwright/test');
+
+test.describe('checkout', () => {
+  test('shows the total', async ({ page }) => {
+    await page.goto('/cart');
+    await page.getByRole('button', { name: 'Checkout' }).click();
+    await expect(page.getByRole('heading', { name: 'Total' })).toBeVisible();
+    await expect(page.getByTestId('line-item')).toHaveCount(2);
+  });
+});
+`;
+
+const heal = (from, to) => checkHealedSpec(SPEC, SPEC.replace(from, to));
+
+test.describe('summarizeSpec', () => {
+  test('counts tests, skips, focus and assertions', () => {
+    const summary = summarizeSpec(`
+      test.describe.skip('a', () => { test('one', async () => {}); });
+      test.describe.serial.only('b', () => { test.fixme('two', async () => {}); });
+      describe.skip('c', () => {});
+      test.only('three', async () => { await expect(page).toHaveCount(0); });
+    `);
+    expect(summary.tests).toEqual(['one', 'two', 'three']);
+    expect(summary.skipped).toBe(3);
+    expect(summary.focused).toBe(2);
+    expect(summary.assertions).toEqual([expect.objectContaining({ matcher: 'toHaveCount', negated: false, count: 0 })]);
+  });
+});
+
+test.describe('checkHealedSpec', () => {
+  test('accepts a fix that only changes locators', () => {
+    const result = heal("getByRole('button', { name: 'Checkout' })", "getByRole('link', { name: 'Checkout' })");
+    expect(result.errors).toEqual([]);
+    expect(result.warnings).toEqual([]);
+  });
+
+  for (const modifier of ['skip', 'fixme']) {
+    test(`rejects test.describe.${modifier}`, () => {
+      const { errors } = heal("test.describe('checkout'", `test.describe.${modifier}('checkout'`);
+      expect(errors).toEqual(['Tests skipped: 1 test(s) or suite(s) newly marked skip/fixme']);
+    });
+  }
+
+  test('rejects .only on a suite or a test', () => {
+    for (const [from, to] of [["test.describe('checkout'", "test.describe.only('checkout'"], ["test('shows", "test.only('shows"]]) {
+      expect(heal(from, to).errors).toEqual(['Tests focused: 1 test(s) or suite(s) newly marked only, which skips every other test']);
+    }
+  });
+
+  test('rejects a negation flip', () => {
+    expect(heal(').toBeVisible()', ').not.toBeVisible()').errors).toEqual([
+      'Assertions inverted: toBeVisible replaced by not.toBeVisible, which expects the opposite'
+    ]);
+  });
+
+  test('rejects matchers that expect the opposite', () => {
+    expect(heal(').toBeVisible()', ').toBeHidden()').errors).toEqual([
+      'Assertions inverted: toBeVisible replaced by toBeHidden, which expects the opposite'
+    ]);
+    expect(heal(').toHaveCount(2)', ').toHaveCount(0)').errors).toEqual([
+      'Assertions inverted: toHaveCount replaced by toHaveCount(0), which expects the opposite'
+    ]);
+  });
+
+  test('rejects removed and weakened assertions', () => {
+    expect(heal("await expect(page.getByTestId('line-item')).toHaveCount(2);", '').errors[0]).toMatch(/^Assertions removed/);
+    expect(heal(').toBeVisible()', ').toBeAttached()').errors).toEqual([
+      'Assertions weakened: toBeVisible replaced by the looser toBeAttached'
+    ]);
+  });
+
+  test('rejects an assertion moved into a try that swallows the failure', () => {
+    const line = "await expect(page.getByRole('heading', { name: 'Total' })).toBeVisible();";
+    expect(heal(line, `try { ${line} } catch (error) {}`).errors).toEqual([
+      'Assertions switched off: 1 expect() call(s) moved into a try or .catch() that swallows the failure'
+    ]);
+    expect(heal(line, `try { ${line} } catch (error) { throw error; }`).errors).toEqual([]);
+  });
+
+  test('rejects an assertion moved under a condition or where it never runs', () => {
+    const line = "await expect(page.getByRole('heading', { name: 'Total' })).toBeVisible();";
+    expect(heal(line, `if (await page.getByText('Total').isVisible()) ${line}`).errors).toEqual([
+      'Assertions switched off: 1 expect() call(s) moved under a condition, so they may not run'
+    ]);
+    expect(heal(line, `if (false) { ${line} }`).errors).toEqual([
+      'Assertions switched off: 1 expect() call(s) moved where they never run (if (false), after return or throw)'
+    ]);
+  });
+
+  test('rejects a locator matcher rewritten to a count comparison that always passes', () => {
+    const result = heal(
+      "await expect(page.getByRole('heading', { name: 'Total' })).toBeVisible();",
+      "expect(await page.getByRole('heading', { name: 'Total' }).count()).toBeGreaterThanOrEqual(0);"
+    );
+    expect(result.errors).toEqual([
+      'Assertions weakened: 1 new comparison(s) that pass for any count, such as toBeGreaterThanOrEqual(0)'
+    ]);
+  });
+
+  test('only warns about an equivalent matcher', () => {
+    const result = checkHealedSpec(SPEC.replace(').toBeVisible()', ').toBeHidden()'), SPEC.replace(').toBeVisible()', ').not.toBeVisible()'));
+    expect(result.errors).toEqual([]);
+    expect(result.warnings).toEqual(['Matcher changed: toBeHidden is no longer used (new: "not.toBeVisible")']);
+  });
+});
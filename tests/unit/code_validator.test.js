@@ -0,0 +1,59 @@
+/**
+ * Unit tests for lib/code_validator.js: parsing, import detection, validation without a target
+ * path and the TypeScript type check
+ */
+
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { specLanguage, parseSpec, findImports, findTsconfig, typeCheckSpec, collectValidationErrors } = require('../../lib/code_validator');
+
+test.describe('parsing', () => {
+  test('specLanguage goes by the extension', () => {
+    expect(specLanguage('a.spec.ts')).toBe('ts');
+    expect(specLanguage('fixtures.mts')).toBe('ts');
+    expect(specLanguage('a.spec.js')).toBe('js');
+  });
+
+  test('parseSpec reports syntax errors with line and column', () => {
+    expect(() => parseSpec("test('a', async () => {\n  await page.click(;\n});")).toThrow(/^Syntax error \(line 2, column \d+\): /);
+    expect(() => parseSpec('const count: number = 1;')).toThrow('Syntax error');
+    expect(() => parseSpec('const count: number = 1;', { typescript: true })).not.toThrow();
+  });
+
+  test('findImports lists import declarations and require calls', () => {
+    const ast = parseSpec("import { test } from '@playwright/test';\nconst { login } = require('./helpers/auth');\nrequire(name);", { typescript: true });
+    expect(findImports(ast)).toEqual(['@playwright/test', './helpers/auth']);
+  });
+});
+
+test.describe('collectValidationErrors', () => {
+  test('accepts a spec importing Playwright or the self-healing wrapper', async () => {
+    expect(await collectValidationErrors("const { test } = require('@playwright/test');\ntest('a', async () => {});")).toEqual([]);
+    expect(await collectValidationErrors("const { test } = require('../../lib/self_healing');\ntest('a', async () => {});")).toEqual([]);
+  });
+
+  test('reports a missing test runner import and stops at syntax errors', async () => {
+    expect(await collectValidationErrors("test('a', async () => {});")).toEqual([
+      'The spec must import test and expect from lib/self_healing.js or "@playwright/test"'
+    ]);
+    const [error, ...rest] = await collectValidationErrors("test('a', async () => {");
+    expect(error).toMatch(/^Syntax error/);
+    expect(rest).toEqual([]);
+  });
+});
+
+test.describe('typeCheckSpec', () => {
+  // Runs tsc against the repository's tsconfig.json
+  test.setTimeout(60000);
+  const specPath = 'playwright-tests/module-A/type-check.spec.ts';
+
+  test('uses the nearest tsconfig.json', () => {
+    expect(findTsconfig(specPath)).toBe(path.resolve('tsconfig.json'));
+  });
+
+  test('returns the type errors of the spec, with their position', async () => {
+    expect(await typeCheckSpec('const count: number = 3;\nexport { count };\n', specPath)).toEqual([]);
+    const errors = await typeCheckSpec("const count: number = 3;\nconst name: string = count;\nexport { name };\n", specPath);
+    expect(errors).toEqual([expect.stringMatching(/^Type error \(line 2, column 7\): TS2322 Type 'number' is not assignable to type 'string'/)]);
+  });
+});
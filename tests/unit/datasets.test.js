@@ -0,0 +1,100 @@
+/**
+ * Unit tests for lib/datasets.js: the CSV parser, dataset loading with ${ENV_VAR} cells and the
+ * checks used at generation time
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { loadDataset, parseCsv, findDatasets, checkDatasetUsage } = require('../../lib/datasets');
+
+let dir;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-qa-datasets-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const writeDataset = (name, content) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content, 'utf-8');
+  return file;
+};
+
+test.describe('parseCsv', () => {
+  test('reads quoted fields with commas, line breaks and "" escapes', () => {
+    const rows = parseCsv('name,note\n"Doe, Jane","said ""hi""\nthen left"\nBob,""\n');
+    expect(rows).toEqual([
+      { name: 'Doe, Jane', note: 'said "hi"\nthen left' },
+      { name: 'Bob', note: '' }
+    ]);
+  });
+
+  test('handles CRLF line ends, a byte order mark, blank lines and a missing final newline', () => {
+    expect(parseCsv('\uFEFF email , role\r\na@example.com,admin\r\n\r\nb@example.com,user')).toEqual([
+      { email: 'a@example.com', role: 'admin' },
+      { email: 'b@example.com', role: 'user' }
+    ]);
+  });
+
+  test('rejects a row whose field count differs from the header, naming its line', () => {
+    expect(() => parseCsv('a,b\n1,2\n3\n', 'users.csv')).toThrow('users.csv row 3 has 1 field(s), the header has 2');
+    expect(() => parseCsv('a,b\n1,2,3\n')).toThrow('CSV row 2 has 3 field(s), the header has 2');
+  });
+
+  test('returns no rows for empty content', () => {
+    expect(parseCsv('')).toEqual([]);
+  });
+});
+
+test.describe('loadDataset', () => {
+  test.afterEach(() => {
+    delete process.env.QA_DATASET_PASSWORD;
+  });
+
+  test('reads ${ENV_VAR} cells from the environment when they are used', () => {
+    const file = writeDataset('users.csv', 'email,password\njane@example.com,${QA_DATASET_PASSWORD}\n');
+    const [user] = loadDataset(file);
+    expect(user.email).toBe('jane@example.com');
+
+    process.env.QA_DATASET_PASSWORD = 'from-env';
+    expect(user.password).toBe('from-env');
+    expect(Object.keys(user)).toEqual(['email', 'password']);
+  });
+
+  test('fails on reading a cell whose variable is not set, naming it', () => {
+    const file = writeDataset('users.json', JSON.stringify([{ email: 'jane@example.com', password: 'x-${QA_DATASET_PASSWORD}' }]));
+    const [user] = loadDataset(file);
+    expect(user.email).toBe('jane@example.com');
+    expect(() => user.password).toThrow(`Dataset "${file}" column "password" needs QA_DATASET_PASSWORD, which is not set`);
+  });
+
+  test('rejects unsupported, malformed and empty files', () => {
+    expect(() => loadDataset(writeDataset('users.txt', 'a'))).toThrow('must be a .csv or .json file');
+    expect(() => loadDataset(writeDataset('bad.json', '{"a": 1}'))).toThrow('must hold an array of objects');
+    expect(() => loadDataset(writeDataset('empty.csv', 'email\n'))).toThrow('has no rows');
+    expect(() => loadDataset(path.join(dir, 'missing.csv'))).toThrow('Failed to read dataset');
+  });
+});
+
+test.describe('generation checks', () => {
+  test('findDatasets resolves names next to the description and previews their rows', () => {
+    writeDataset('users.csv', 'email,role\na@example.com,admin\nb@example.com,user\nc@example.com,user\n');
+    const inputFile = path.join(dir, 'login.txt');
+    const [dataset] = findDatasets(inputFile, "For each row in the dataset 'users.csv':");
+    expect(dataset.file).toBe(path.relative(process.cwd(), path.join(dir, 'users.csv')).split(path.sep).join('/'));
+    expect(dataset).toEqual(expect.objectContaining({ columns: ['email', 'role'], rows: 3 }));
+    expect(dataset.preview).toHaveLength(2);
+    expect(() => findDatasets(inputFile, 'dataset: other.csv')).toThrow('Dataset "other.csv" referenced by');
+  });
+
+  test('checkDatasetUsage requires loadDataset() with the dataset path', () => {
+    const datasets = [{ file: 'test-inputs/module-A/users.csv' }];
+    expect(checkDatasetUsage("for (const user of loadDataset('test-inputs/module-A/users.csv')) {}", datasets)).toEqual([]);
+    expect(checkDatasetUsage("const users = [{ email: 'a@example.com' }];", datasets)).toHaveLength(1);
+  });
+});
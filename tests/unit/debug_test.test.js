@@ -0,0 +1,70 @@
+/**
+ * Unit tests for debug_test.js applyChanges: a multi-file fix is written completely or not at all
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { applyChanges } = require('../../debug_test');
+
+let dir;
+let spec;
+let helper;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-qa-apply-'));
+  spec = path.join(dir, 'login.spec.js');
+  helper = path.join(dir, 'auth.js');
+  fs.writeFileSync(spec, 'spec v1', 'utf-8');
+  fs.writeFileSync(helper, 'helper v1', 'utf-8');
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const read = file => fs.readFileSync(file, 'utf-8');
+const leftovers = () => fs.readdirSync(dir).filter(name => name.endsWith('.tmp'));
+
+test('writes every file and backs each one up under one timestamp', async () => {
+  const backups = await applyChanges([
+    { file: spec, original: 'spec v1', corrected: 'spec v2' },
+    { file: helper, original: 'helper v1', corrected: 'helper v2' }
+  ]);
+  expect([read(spec), read(helper)]).toEqual(['spec v2', 'helper v2']);
+  expect(backups.map(read)).toEqual(['spec v1', 'helper v1']);
+  const timestamps = backups.map(backup => path.basename(backup).match(/\.([\dT-]+)\.bak\./)[1]);
+  expect(timestamps[0]).toBe(timestamps[1]);
+  expect(leftovers()).toEqual([]);
+});
+
+test('changes nothing when a file changed since the fix was made', async () => {
+  fs.writeFileSync(helper, 'helper edited', 'utf-8');
+  await expect(applyChanges([
+    { file: spec, original: 'spec v1', corrected: 'spec v2' },
+    { file: helper, original: 'helper v1', corrected: 'helper v2' }
+  ], { backup: false })).rejects.toThrow(`No file was changed: "${helper}" changed since the fix was made`);
+  expect([read(spec), read(helper)]).toEqual(['spec v1', 'helper edited']);
+  expect(leftovers()).toEqual([]);
+});
+
+test('restores the files already written when a later rename fails', async () => {
+  // Remove the helper's staged copy just before it is moved into place, so its rename fails
+  const log = console.log;
+  console.log = message => {
+    if (message === `Writing corrected file: ${helper}`) {
+      fs.rmSync(`${helper}.${process.pid}.tmp`);
+    }
+  };
+  try {
+    await expect(applyChanges([
+      { file: spec, original: 'spec v1', corrected: 'spec v2' },
+      { file: helper, original: 'helper v1', corrected: 'helper v2' }
+    ], { backup: false })).rejects.toThrow('Failed to write the fix, restored 1 file(s) already written');
+  } finally {
+    console.log = log;
+  }
+  expect([read(spec), read(helper)]).toEqual(['spec v1', 'helper v1']);
+  expect(leftovers()).toEqual([]);
+});
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for lib/description_parser.js: text, YAML and Gherkin descriptions and the
+ * ${ENV_VAR} placeholder rewrite
+ */
+
+const { test, expect } = require('@playwright/test');
+const { parseDescription, formatScenarioForPrompt, applyEnvPlaceholders, slugify } = require('../../lib/description_parser');
+
+test.describe('plain text', () => {
+  test('is one scenario holding the raw text and its placeholders', () => {
+    const parsed = parseDescription('login.txt', "Type '${QA_EMAIL}' into the email field.\nClick 'Sign In'.");
+    expect(parsed.format).toBe('text');
+    expect(parsed.scenarios).toHaveLength(1);
+    expect(parsed.scenarios[0].slug).toBeNull();
+    expect(parsed.scenarios[0].text).toContain("Click 'Sign In'.");
+    expect(parsed.scenarios[0].envVars).toEqual(['QA_EMAIL']);
+  });
+});
+
+test.describe('YAML', () => {
+  const yaml = `
+feature: Login
+tags: [smoke]
+scenarios:
+  - name: Valid credentials
+    tags: happy-path
+    steps:
+      - Go to /login
+      - step: Fill the form with
+        table:
+          - { field: email, value: "\${QA_EMAIL}" }
+    expect:
+      - A welcome message is visible
+  - name: Valid credentials
+    steps:
+      - Go to /login
+`;
+
+  test('reads scenarios with feature and scenario tags, tables and expectations', () => {
+    const parsed = parseDescription('login.yaml', yaml);
+    const [first] = parsed.scenarios;
+    expect(parsed.feature).toBe('Login');
+    expect(first.tags).toEqual(['@smoke', '@happy-path']);
+    expect(first.steps[1].table).toEqual([{ field: 'email', value: '${QA_EMAIL}' }]);
+    expect(first.expect).toEqual(['A welcome message is visible']);
+    expect(first.envVars).toEqual(['QA_EMAIL']);
+  });
+
+  test('makes duplicate scenario slugs unique', () => {
+    const parsed = parseDescription('login.yml', yaml);
+    expect(parsed.scenarios.map(scenario => scenario.slug)).toEqual(['valid-credentials', 'valid-credentials-2']);
+  });
+
+  test('rejects scenarios without steps', () => {
+    expect(() => parseDescription('login.yaml', 'scenarios:\n  - name: Empty\n'))
+      .toThrow('Scenario "Empty" in "login.yaml" must define a non-empty "steps" list');
+  });
+});
+
+test.describe('Gherkin', () => {
+  test('prepends the background and keeps data tables', () => {
+    const parsed = parseDescription('login.feature', `
+@smoke
+Feature: Login
+  Background:
+    Given I am on /login
+
+  @happy-path
+  Scenario: Valid credentials
+    When I fill the form with
+      | field | value       |
+      | email | \${QA_EMAIL} |
+    Then a welcome message is visible
+`);
+    const [scenario] = parsed.scenarios;
+    expect(parsed.format).toBe('gherkin');
+    expect(scenario.tags).toEqual(['@smoke', '@happy-path']);
+    expect(scenario.steps.map(step => step.keyword)).toEqual(['Given', 'When', 'Then']);
+    expect(scenario.steps[1].table).toEqual([{ field: 'email', value: '${QA_EMAIL}' }]);
+  });
+
+  test('expands a Scenario Outline into one scenario per Examples row', () => {
+    const parsed = parseDescription('search.feature', `
+Feature: Search
+  Scenario Outline: Search for <term>
+    When I search for "<term>"
+    Then I see <count> results
+
+    Examples:
+      | term  | count |
+      | shoes | 3     |
+      | hats  | 0     |
+`);
+    expect(parsed.scenarios.map(scenario => scenario.name)).toEqual([
+      'Search for <term> (term=shoes, count=3)',
+      'Search for <term> (term=hats, count=0)'
+    ]);
+    expect(parsed.scenarios[1].steps[1].text).toBe('I see 0 results');
+  });
+
+  test('rejects an outline without Examples rows', () => {
+    expect(() => parseDescription('search.feature', 'Feature: Search\n  Scenario Outline: Empty\n    When I search'))
+      .toThrow('Scenario Outline "Empty" in "search.feature" has no Examples rows');
+  });
+});
+
+test.describe('prompt text', () => {
+  test('numbers steps and lists tables and expectations', () => {
+    const [scenario] = parseDescription('login.yaml', 'scenarios:\n  - name: A\n    tags: [x]\n    steps: [Go to /login]\n    expect: [Done]\n').scenarios;
+    expect(formatScenarioForPrompt(scenario, 'Login')).toBe('Feature: Login\nScenario: A\nTags: @x\nSteps:\n1. Go to /login\nExpected results:\n- Done');
+  });
+});
+
+test.describe('applyEnvPlaceholders', () => {
+  test('turns whole-string placeholders into process.env references', () => {
+    expect(applyEnvPlaceholders("await page.fill('#email', '${QA_EMAIL}');", ['QA_EMAIL']))
+      .toBe("await page.fill('#email', process.env.QA_EMAIL);");
+  });
+
+  test('turns embedded placeholders into template literals', () => {
+    expect(applyEnvPlaceholders("expect(text).toBe('Hello ${QA_NAME}!');", ['QA_NAME']))
+      .toBe('expect(text).toBe(`Hello ${process.env.QA_NAME}!`);');
+  });
+
+  test('leaves other template expressions and unknown names alone', () => {
+    const code = 'const url = `${base}/x`; const other = \'${OTHER}\';';
+    expect(applyEnvPlaceholders(code, ['QA_EMAIL'])).toBe(code);
+  });
+});
+
+test('slugify makes file-name-safe slugs', () => {
+  expect(slugify('Log in: valid user (admin)!')).toBe('log-in-valid-user-admin');
+  expect(slugify('***')).toBe('scenario');
+});
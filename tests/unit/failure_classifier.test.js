@@ -0,0 +1,113 @@
+/**
+ * Unit tests for lib/failure_classifier.js, using error messages and call logs in the shape
+ * Playwright reports them
+ */
+
+const { test, expect } = require('@playwright/test');
+const { CATEGORY, classifyFailure, classifyFailures, formatClassifications } = require('../../lib/failure_classifier');
+
+const callLog = lines => `\n\nCall log:\n${lines.map(line => `  ${line}`).join('\n')}\n`;
+
+test.describe('assertions', () => {
+  test('a wrong value on a resolved locator is an assertion mismatch, not a missing locator', () => {
+    const message = 'Error: expect(locator).toHaveText(expected) failed\n\n'
+      + "Locator: locator('h1')\nExpected string: \"Welcome\"\nReceived string: \"Error\"\nTimeout: 5000ms"
+      + callLog([
+        '- Expect "toHaveText" with timeout 5000ms',
+        "- waiting for locator('h1')",
+        '  9 × locator resolved to <h1>Error</h1>',
+        '    - unexpected value "Error"'
+      ]);
+    expect(classifyFailure({ message, locator: "locator('h1')" })).toEqual({
+      category: CATEGORY.ASSERTION_MISMATCH,
+      healable: false,
+      reason: 'the page did not show what the test expects'
+    });
+  });
+
+  test('a count mismatch on a resolved locator is an assertion mismatch', () => {
+    const message = 'Error: expect(locator).toHaveCount(expected) failed\n\n'
+      + "Locator: getByRole('listitem')\nExpected: 3\nReceived: 2"
+      + callLog(["- waiting for getByRole('listitem')", '  8 × locator resolved to 2 elements']);
+    expect(classifyFailure(message).category).toBe(CATEGORY.ASSERTION_MISMATCH);
+  });
+
+  test('an assertion whose element never appeared is a missing locator', () => {
+    const message = 'Error: expect(locator).toBeVisible() failed\n\n'
+      + "Locator: getByRole('button', { name: 'Sign In' })\nExpected: visible\nReceived: <element(s) not found>\nTimeout: 5000ms"
+      + callLog(['- Expect "toBeVisible" with timeout 5000ms', "- waiting for getByRole('button', { name: 'Sign In' })"]);
+    expect(classifyFailure(message)).toMatchObject({ category: CATEGORY.LOCATOR_NOT_FOUND, healable: true });
+  });
+
+  test('a strict mode violation is a locator problem even though the locator resolved', () => {
+    const message = "Error: locator.click: Error: strict mode violation: getByRole('button') resolved to 2 elements:"
+      + callLog(["- waiting for getByRole('button')"]);
+    expect(classifyFailure(message).category).toBe(CATEGORY.LOCATOR_NOT_FOUND);
+  });
+});
+
+test.describe('actions', () => {
+  test('an action waiting on a locator that never resolved is a missing locator', () => {
+    const message = 'Error: locator.click: Timeout 30000ms exceeded.' + callLog(["- waiting for locator('#submit')"]);
+    expect(classifyFailure(message).category).toBe(CATEGORY.LOCATOR_NOT_FOUND);
+  });
+
+  test('an action on a resolved element that never became actionable is a timeout', () => {
+    const message = 'Error: locator.click: Timeout 30000ms exceeded.' + callLog([
+      "- waiting for locator('#submit')",
+      '  - locator resolved to <button disabled id="submit">Send</button>',
+      '  - attempting click action',
+      '    - element is not enabled'
+    ]);
+    expect(classifyFailure(message)).toMatchObject({ category: CATEGORY.TIMEOUT, healable: true });
+  });
+});
+
+test.describe('other categories', () => {
+  const cases = [
+    ["Error: browserType.launch: Executable doesn't exist at /ms-playwright/chromium", CATEGORY.ENVIRONMENT],
+    ["Error: Cannot find module 'axe-core'", CATEGORY.ENVIRONMENT],
+    ['Error: page.goto: net::ERR_CONNECTION_REFUSED at http://localhost:3000/', CATEGORY.NAVIGATION_NETWORK],
+    ['ReferenceError: loginPage is not defined', CATEGORY.SCRIPT_ERROR],
+    ['Error: expect(page).toHaveScreenshot(expected) failed\n\n  1532 pixels (ratio 0.02 of all image pixels) are different.', CATEGORY.VISUAL_DIFF],
+    ["Error: A snapshot doesn't exist at /repo/playwright-tests/__baselines__/a.png, writing actual.", CATEGORY.VISUAL_DIFF],
+    ['Test timeout of 30000ms exceeded.', CATEGORY.TIMEOUT],
+    ['Something odd happened', CATEGORY.UNKNOWN]
+  ];
+  for (const [message, category] of cases) {
+    test(`${category}: ${message.split('\n')[0].slice(0, 60)}`, () => {
+      expect(classifyFailure(message).category).toBe(category);
+    });
+  }
+
+  test('environment problems win over everything else in the message', () => {
+    expect(classifyFailure("Error: Cannot find module 'dotenv'\nwaiting for locator('#x')").category).toBe(CATEGORY.ENVIRONMENT);
+  });
+
+  test('a server error page in the snapshot points at the application', () => {
+    const failure = { message: 'Error: locator.click: Timeout 30000ms exceeded.', pageSnapshot: '- heading "502 Bad Gateway"' };
+    expect(classifyFailure(failure)).toMatchObject({ category: CATEGORY.NAVIGATION_NETWORK, healable: false });
+  });
+
+  test('a locator named by the report is enough for an unusual message', () => {
+    expect(classifyFailure({ message: 'Something odd happened', locator: "locator('#x')" }).category).toBe(CATEGORY.LOCATOR_NOT_FOUND);
+  });
+});
+
+test.describe('classifyFailures', () => {
+  test('classifies the error log when there is no structured context', () => {
+    const [entry] = classifyFailures([], 'ReferenceError: x is not defined');
+    expect(entry).toMatchObject({ title: 'error log', category: CATEGORY.SCRIPT_ERROR, failure: null });
+  });
+
+  test('renders one line per failure with its verdict', () => {
+    const classifications = classifyFailures([
+      { title: 'logs in', message: "Error: locator.fill: Timeout 30000ms exceeded.\nwaiting for locator('#email')" },
+      { title: 'shows total', message: 'Expected string: "3"\nReceived string: "4"' }
+    ]);
+    expect(formatClassifications(classifications).split('\n')).toEqual([
+      '  [locator-not-found] logs in — the locator did not resolve to exactly one element (healable)',
+      '  [assertion-mismatch] shows total — the page did not show what the test expects (likely application bug)'
+    ]);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for lib/llm_provider.js: mock replay, redaction around the call and retries
+ * against a local OpenAI-compatible server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { test, expect } = require('@playwright/test');
+const { createProvider, promptKey } = require('../../lib/llm_provider');
+
+let mockDir;
+
+test.beforeEach(() => {
+  mockDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-qa-mock-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(mockDir, { recursive: true, force: true });
+});
+
+/**
+ * Starts a local /chat/completions server answering with the given responses in turn
+ * @param {{status: number, headers?: Object, content?: string}[]} responses - One per request
+ * @returns {Promise<{baseURL: string, requests: Object[], close: Function}>} Server
+ */
+async function startServer(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(JSON.parse(body));
+      const { status, headers = {}, content = '' } = responses[Math.min(requests.length, responses.length) - 1];
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(status === 200
+        ? { choices: [{ message: { content }, finish_reason: 'stop' }] }
+        : { error: { message: `HTTP ${status}` } }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseURL: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test.describe('mock provider', () => {
+  test('replays the recording for the exact prompt before default.txt', async () => {
+    fs.writeFileSync(path.join(mockDir, `${promptKey('Write a test')}.txt`), 'recorded');
+    fs.writeFileSync(path.join(mockDir, 'default.txt'), 'fallback');
+    const provider = createProvider({ provider: 'mock', mockDir });
+
+    expect(await provider.complete('Write a test')).toBe('recorded');
+    expect(await provider.complete('Something else')).toBe('fallback');
+  });
+
+  test('names the missing recording when nothing matches', async () => {
+    const provider = createProvider({ provider: 'mock', mockDir });
+    await expect(provider.complete('Write a test')).rejects.toThrow(`no recorded response for prompt ${promptKey('Write a test')}`);
+  });
+
+  test('sends redacted prompts and maps placeholders in the response to process.env', async () => {
+    const redacted = "Type '${QA_EMAIL}' into the email field";
+    fs.writeFileSync(path.join(mockDir, `${promptKey(redacted)}.txt`), "await page.fill('#email', '${QA_EMAIL}');");
+    const provider = createProvider({ provider: 'mock', mockDir });
+
+    expect(await provider.complete("Type 'jane@example.com' into the email field"))
+      .toBe("await page.fill('#email', process.env.QA_EMAIL);");
+  });
+});
+
+test.describe('provider selection', () => {
+  test('rejects unknown providers', () => {
+    expect(() => createProvider({ provider: 'nope' })).toThrow('Unknown LLM provider "nope"');
+  });
+
+  test('requires an API key for hosted providers', () => {
+    const saved = process.env.GEMINI_API_KEY;
+    delete process.env.GEMINI_API_KEY;
+    try {
+      expect(() => createProvider({ provider: 'gemini' })).toThrow('GEMINI_API_KEY environment variable is not set');
+    } finally {
+      if (saved !== undefined) process.env.GEMINI_API_KEY = saved;
+    }
+  });
+});
+
+test.describe('retries', () => {
+  test('retries rate limits after the Retry-After wait', async () => {
+    const server = await startServer([
+      { status: 429, headers: { 'retry-after-ms': '10' } },
+      { status: 200, content: 'ok' }
+    ]);
+    try {
+      const provider = createProvider({ provider: 'openai', baseURL: server.baseURL, apiKey: 'test-key', model: 'local' });
+      expect(await provider.complete('hello')).toBe('ok');
+      expect(server.requests).toHaveLength(2);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('does not retry authentication failures', async () => {
+    const server = await startServer([{ status: 401 }]);
+    try {
+      const provider = createProvider({ provider: 'openai', baseURL: server.baseURL, apiKey: 'test-key', model: 'local' });
+      await expect(provider.complete('hello')).rejects.toThrow('authentication failed');
+      expect(server.requests).toHaveLength(1);
+    } finally {
+      await server.close();
+    }
+  });
+});
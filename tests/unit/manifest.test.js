@@ -0,0 +1,34 @@
+/**
+ * Unit tests for lib/manifest.js: description snapshots and their hashes never expose credentials
+ */
+
+const { test, expect } = require('@playwright/test');
+const { recordSpec, recordSpecUpdate, recordDescribedSpec, getEntry, hashContent, hashDescription } = require('../../lib/manifest');
+
+const DESCRIPTION = "Go to /login.\nType 'jane@example.com' into the email field.\nType 'S3cret!pass' into the password field.\n";
+const REDACTED = "Go to /login.\nType '${QA_EMAIL}' into the email field.\nType '${QA_PASSWORD}' into the password field.\n";
+const SPEC = 'playwright-tests/module-A/login.spec.js';
+
+const emptyManifest = () => ({ version: 1, specs: {}, pageObjects: {}, pageModules: {} });
+
+test('recordSpec stores the description with credentials redacted', () => {
+  const manifest = emptyManifest();
+  recordSpec(manifest, SPEC, { input: 'test-inputs/module-A/login.txt', inputHash: hashDescription(DESCRIPTION), description: DESCRIPTION }, 'code');
+  expect(getEntry(manifest, SPEC)).toEqual(expect.objectContaining({ description: REDACTED, inputHash: hashContent(REDACTED) }));
+  expect(JSON.stringify(manifest)).not.toContain('S3cret!pass');
+});
+
+test('recordSpecUpdate and recordDescribedSpec redact the description too', () => {
+  const manifest = emptyManifest();
+  recordSpecUpdate(manifest, SPEC, { description: DESCRIPTION }, 'old code', 'new code');
+  expect(getEntry(manifest, SPEC).description).toBe(REDACTED);
+  recordDescribedSpec(manifest, SPEC, { description: DESCRIPTION });
+  expect(getEntry(manifest, SPEC).description).toBe(REDACTED);
+});
+
+test('hashDescription hashes the redacted text, so a guessed password cannot be confirmed', () => {
+  expect(hashDescription(DESCRIPTION)).toBe(hashContent(REDACTED));
+  expect(hashDescription(DESCRIPTION)).not.toBe(hashContent(DESCRIPTION));
+  expect(hashDescription(DESCRIPTION.replace('S3cret!pass', 'guess123'))).toBe(hashDescription(DESCRIPTION));
+  expect(hashDescription(`${DESCRIPTION}Click 'Sign In'.\n`)).not.toBe(hashDescription(DESCRIPTION));
+});
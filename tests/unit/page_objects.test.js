@@ -0,0 +1,46 @@
+/**
+ * Unit tests for lib/page_objects.js: loading, require paths, validation and per-file code blocks
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { loadPageObjects, pageObjectImport, validatePageObject, extractFileBlocks } = require('../../lib/page_objects');
+
+test('loadPageObjects reads page objects and skips the healer\'s backups', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-qa-pages-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'LoginPage.js'), 'class LoginPage {}\n', 'utf-8');
+    fs.writeFileSync(path.join(dir, 'LoginPage.2026-01-01T00-00-00.bak.js'), 'old\n', 'utf-8');
+    fs.writeFileSync(path.join(dir, 'notes.md'), 'notes\n', 'utf-8');
+    expect(loadPageObjects(dir).map(({ file, source }) => [path.basename(file), source])).toEqual([['LoginPage.js', 'class LoginPage {}\n']]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('pageObjectImport gives the relative require path without the extension', () => {
+  expect(pageObjectImport('playwright-tests/module-A/login.spec.js', 'playwright-tests/pages/LoginPage.js')).toBe('../pages/LoginPage');
+  expect(pageObjectImport('playwright-tests/login.spec.js', 'playwright-tests/pages/LoginPage.js')).toBe('./pages/LoginPage');
+});
+
+test('validatePageObject requires an exported class that parses', () => {
+  expect(validatePageObject('class LoginPage {}\nmodule.exports = { LoginPage };')).toEqual([]);
+  expect(validatePageObject('class LoginPage {}')).toEqual(['The page object must define a class and export it with module.exports']);
+  expect(validatePageObject('module.exports = { login() {} };')).toEqual(['The page object must define a class and export it with module.exports']);
+  expect(validatePageObject('class LoginPage {')[0]).toMatch(/^Syntax error/);
+});
+
+test('extractFileBlocks keeps blocks whose first line names a file', () => {
+  const response = [
+    'Here are the files:',
+    '```javascript\n// playwright-tests/pages/LoginPage.js\nclass LoginPage {}\n```',
+    '```js\nconst noPath = true;\n```',
+    '```ts\n// File: playwright-tests/./pages/CartPage.ts\nexport class CartPage {}\n```'
+  ].join('\n');
+  expect(extractFileBlocks(response)).toEqual([
+    { file: 'playwright-tests/pages/LoginPage.js', code: 'class LoginPage {}\n' },
+    { file: 'playwright-tests/pages/CartPage.ts', code: 'export class CartPage {}\n' }
+  ]);
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for lib/self_healing.js: which locator calls heal, against a fake page (no browser)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { wrapPage, readLedger, describeCall } = require('../../lib/self_healing');
+
+/**
+ * Fake locator matching `count` elements; reads and actions fail like Playwright's when it matches none
+ * @param {number} count - Elements matched
+ * @param {string} [text] - Text content of the element
+ * @returns {Object} Locator
+ */
+function fakeLocator(count, text = '') {
+  const requireElement = method => {
+    if (count === 0) throw new Error(`locator.${method}: element not found`);
+  };
+  return {
+    clicks: 0,
+    first() { return this; },
+    async waitFor() { requireElement('waitFor'); },
+    async count() { return count; },
+    async textContent() { requireElement('textContent'); return text; },
+    async click() { requireElement('click'); this.clicks++; }
+  };
+}
+
+/**
+ * Fake page where #total is missing and getByText(/total/i) finds look-alikes
+ * @param {Object} [options]
+ * @param {number} [options.lookAlikes=1] - Elements getByText(/total/i) matches
+ * @param {boolean} [options.present=false] - Whether #total itself exists
+ * @returns {{page: Object, primary: Object, lookAlike: Object}} Page, the #total locator and the look-alike locator
+ */
+function fakePage({ lookAlikes = 1, present = false } = {}) {
+  const primary = fakeLocator(present ? 1 : 0, '42');
+  const lookAlike = fakeLocator(lookAlikes, '41');
+  const page = {
+    locator: selector => (selector === '#total' ? primary : fakeLocator(0)),
+    getByLabel: () => fakeLocator(0),
+    getByPlaceholder: () => fakeLocator(0),
+    getByText: name => (name instanceof RegExp && name.test('Total') ? lookAlike : fakeLocator(0)),
+    evaluate: async () => null
+  };
+  return { page: wrapPage(page), primary, lookAlike };
+}
+
+test('describeCall renders a locator call as source code', () => {
+  expect(describeCall('getByRole', ['button', { name: "Sign 'In'" }])).toBe("getByRole('button', { name: 'Sign \\'In\\'' })");
+  expect(describeCall('getByText', [/total/i])).toBe('getByText(/total/i)');
+});
+
+test.describe('runtime healing', () => {
+  let ledger;
+
+  test.beforeEach(() => {
+    ledger = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ai-qa-heal-')), 'heal-ledger.jsonl');
+    process.env.AI_QA_HEAL_LEDGER = ledger;
+    process.env.AI_QA_HEAL_WAIT_MS = '0';
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(path.dirname(ledger), { recursive: true, force: true });
+    delete process.env.AI_QA_HEAL_LEDGER;
+    delete process.env.AI_QA_HEAL_WAIT_MS;
+  });
+
+  test('actions on a missing locator heal to a unique look-alike and are recorded', async () => {
+    const { page, lookAlike } = fakePage();
+    await page.locator('#total').click();
+    expect(lookAlike.clicks).toBe(1);
+    expect(readLedger(ledger)).toEqual([expect.objectContaining({ original: "locator('#total')", healed: 'getByText(/total/i)', strategy: 'text-similarity' })]);
+  });
+
+  test('a locator that exists is used as written', async () => {
+    const { page, primary, lookAlike } = fakePage({ present: true });
+    await page.locator('#total').click();
+    expect([primary.clicks, lookAlike.clicks]).toEqual([1, 0]);
+    expect(readLedger(ledger)).toEqual([]);
+  });
+
+  test('a fallback matching several elements is not used', async () => {
+    const { page, lookAlike } = fakePage({ lookAlikes: 2 });
+    await expect(page.locator('#total').click()).rejects.toThrow('locator.click: element not found');
+    expect(lookAlike.clicks).toBe(0);
+    expect(readLedger(ledger)).toEqual([]);
+  });
+
+  test('AI_QA_NO_HEAL=1 turns healing off', async () => {
+    process.env.AI_QA_NO_HEAL = '1';
+    try {
+      const { page, lookAlike } = fakePage();
+      await expect(page.locator('#total').click()).rejects.toThrow('locator.click: element not found');
+      expect(lookAlike.clicks).toBe(0);
+    } finally {
+      delete process.env.AI_QA_NO_HEAL;
+    }
+  });
+
+  test('reads on a missing locator throw instead of healing', async () => {
+    const { page } = fakePage();
+    await expect(page.locator('#total').textContent()).rejects.toThrow('locator.textContent: element not found');
+    expect(readLedger(ledger)).toEqual([]);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for lib/spec_dependencies.js: following a spec's local imports, their kinds, and
+ * which ones a repair prompt gets
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { listLocalImports, findSpecDependencies } = require('../../lib/spec_dependencies');
+
+const SPEC = 'playwright-tests/module-A/login.spec.js';
+const SPEC_SOURCE = `
+const { expect } = require('@playwright/test');
+const { test } = require('../fixtures');
+const { LoginPage } = require('../pages/LoginPage');
+const { login } = require('./helpers/auth');
+`;
+
+let cwd;
+let project;
+
+/**
+ * Writes project files under the temporary project root
+ * @param {Object<string, string>} files - Path → content
+ */
+const writeFiles = files => {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content, 'utf-8');
+  }
+};
+
+// Imports are resolved inside the project (the cwd), so each test runs in a fresh one
+test.beforeEach(() => {
+  cwd = process.cwd();
+  project = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-qa-deps-'));
+  process.chdir(project);
+  writeFiles({
+    [SPEC]: SPEC_SOURCE,
+    'playwright-tests/fixtures.js': "const base = require('@playwright/test');\nexports.test = base.test.extend({ user: async ({}, use) => use('jane') });\n",
+    'playwright-tests/pages/LoginPage.js': 'class LoginPage {}\nmodule.exports = { LoginPage };\n',
+    'playwright-tests/module-A/helpers/auth.js': "const { users } = require('./data');\nexports.login = () => users;\n",
+    'playwright-tests/module-A/helpers/data.js': "require('./auth');\nexports.users = [];\n"
+  });
+});
+
+test.afterEach(() => {
+  process.chdir(cwd);
+  fs.rmSync(project, { recursive: true, force: true });
+});
+
+test('listLocalImports follows relative imports, with kinds and depths, once each', () => {
+  const found = listLocalImports(SPEC_SOURCE, SPEC).map(({ file, kind, depth }) => ({ file, kind, depth }));
+  expect(found).toEqual([
+    { file: 'playwright-tests/fixtures.js', kind: 'fixture', depth: 1 },
+    { file: 'playwright-tests/pages/LoginPage.js', kind: 'page-object', depth: 1 },
+    { file: 'playwright-tests/module-A/helpers/auth.js', kind: 'helper', depth: 1 },
+    { file: 'playwright-tests/module-A/helpers/data.js', kind: 'helper', depth: 2 }
+  ]);
+});
+
+test('listLocalImports resolves a .js specifier to a TypeScript file', () => {
+  writeFiles({ 'playwright-tests/module-A/users.ts': 'export const users: string[] = [];\n' });
+  const found = listLocalImports("import { users } from './users.js';\n", 'playwright-tests/module-A/users.spec.ts');
+  expect(found.map(({ file }) => file)).toEqual(['playwright-tests/module-A/users.ts']);
+});
+
+test('findSpecDependencies keeps direct imports and adds deeper files the error log points into, first', () => {
+  expect(findSpecDependencies(SPEC_SOURCE, SPEC).map(({ file }) => file)).toEqual([
+    'playwright-tests/fixtures.js',
+    'playwright-tests/pages/LoginPage.js',
+    'playwright-tests/module-A/helpers/auth.js'
+  ]);
+
+  const errorLog = `Error: boom\n    at users (${path.join(project, 'playwright-tests/module-A/helpers/data.js')}:2:5)`;
+  const files = findSpecDependencies(SPEC_SOURCE, SPEC, { errorLog }).map(({ file }) => file);
+  expect(files[0]).toBe('playwright-tests/module-A/helpers/data.js');
+  expect(files).toHaveLength(4);
+});
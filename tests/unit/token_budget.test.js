@@ -0,0 +1,81 @@
+/**
+ * Unit tests for lib/token_budget.js: estimates, context windows, truncation and fitting a prompt
+ * into its budget
+ */
+
+const { test, expect } = require('@playwright/test');
+const {
+  DEFAULT_CONTEXT_WINDOW, estimateTokens, contextWindowFor, promptBudget, truncateText, fitToBudget
+} = require('../../lib/token_budget');
+
+// Numbered lines of equal length: "line 001", "line 002", ...
+const numberedLines = count => Array.from({ length: count }, (_, i) => `line ${String(i + 1).padStart(3, '0')}`).join('\n');
+
+test.describe('estimates', () => {
+  test('count about 3.5 characters per token', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('x'.repeat(35))).toBe(10);
+    expect(estimateTokens('x'.repeat(36))).toBe(11);
+  });
+
+  test('use the configured context window, then known models, then the default', () => {
+    expect(contextWindowFor('gpt-4o-mini', 4000)).toBe(4000);
+    expect(contextWindowFor('gpt-4o-mini')).toBe(128000);
+    expect(contextWindowFor('some-local-model')).toBe(DEFAULT_CONTEXT_WINDOW);
+    expect(promptBudget(10000, 2000)).toBe(7500);
+    expect(promptBudget(1000, 2000)).toBe(0);
+  });
+});
+
+test.describe('truncateText', () => {
+  test('leaves text that fits alone', () => {
+    expect(truncateText('short', 100, 'middle')).toBe('short');
+  });
+
+  test("'head' keeps whole lines from the start", () => {
+    const result = truncateText(numberedLines(50), 90);
+    const lines = result.split('\n');
+    expect(lines.slice(0, -1)).toEqual(numberedLines(10).split('\n'));
+    expect(lines[lines.length - 1]).toBe('... (40 line(s) omitted to fit the context window)');
+  });
+
+  test("'middle' keeps the first and last lines around a marker", () => {
+    const result = truncateText(numberedLines(100), 180, 'middle');
+    const lines = result.split('\n');
+    const marker = lines.findIndex(line => line.startsWith('...'));
+    expect(lines.slice(0, marker)).toEqual(['line 001', 'line 002', 'line 003', 'line 004', 'line 005', 'line 006', 'line 007', 'line 008']);
+    expect(lines[lines.length - 1]).toBe('line 100');
+    expect(lines[marker]).toBe(`... (${100 - lines.length + 1} line(s) omitted to fit the context window) ...`);
+    expect(result.length - lines[marker].length).toBeLessThanOrEqual(180);
+  });
+});
+
+test.describe('fitToBudget', () => {
+  const render = values => `INSTRUCTIONS\n${values.examples}\n${values.errorLog}\nSPEC`;
+  const shrinkable = [{ name: 'examples', strategy: 'drop' }, { name: 'errorLog', strategy: 'middle' }];
+
+  test('renders the prompt unchanged when it fits', () => {
+    const variables = { examples: 'example', errorLog: 'error' };
+    expect(fitToBudget(render, variables, 1000, shrinkable)).toEqual({ prompt: render(variables), shortened: [] });
+  });
+
+  test('shortens sections in order, only as far as needed', () => {
+    const variables = { examples: 'x'.repeat(3500), errorLog: numberedLines(400) };
+    const { prompt, shortened } = fitToBudget(render, variables, 800, shrinkable);
+    expect(shortened).toEqual(['examples', 'errorLog']);
+    expect(estimateTokens(prompt)).toBeLessThanOrEqual(800);
+    expect(prompt).not.toContain('xxx');
+    expect(prompt).toContain('line 001');
+    expect(prompt).toContain('line 400');
+    expect(prompt.endsWith('SPEC')).toBe(true);
+  });
+
+  test('stops once the prompt fits', () => {
+    const { shortened } = fitToBudget(render, { examples: 'x'.repeat(3500), errorLog: 'error' }, 100, shrinkable);
+    expect(shortened).toEqual(['examples']);
+  });
+
+  test('fails when the fixed parts alone exceed the budget', () => {
+    expect(() => fitToBudget(() => 'x'.repeat(700), {}, 100, shrinkable)).toThrow('The prompt needs about 200 tokens but only 100 fit');
+  });
+});